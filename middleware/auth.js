@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionActive, touchSession } = require('../services/sessions');
 
 const auth = async (req, res, next) => {
   try {
@@ -11,6 +12,16 @@ const auth = async (req, res, next) => {
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
     
+    // Share link guests only get socket access to the board they were invited to
+    if (decoded.guest) {
+      return res.status(401).json({ message: 'Guest sessions cannot access this resource' });
+    }
+
+    // Signing out, a password change or deactivation revokes the session
+    if (!(await isSessionActive(decoded))) {
+      return res.status(401).json({ message: 'Session has expired or been revoked' });
+    }
+
     // Check if user still exists
     const user = await User.findById(decoded.userId).select('-password');
     if (!user) {
@@ -23,6 +34,11 @@ const auth = async (req, res, next) => {
 
     req.user = decoded;
     req.userObj = user;
+    req.sessionId = decoded.sid;
+
+    // Keep the device list current without holding up the request
+    touchSession(decoded.sid, { userAgent: req.get('User-Agent'), ip: req.ip })
+      .catch(error => console.error('Touch session error:', error));
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -1,4 +1,5 @@
 const Whiteboard = require('../models/Whiteboard');
+const { resolveBoardRole, roleAllows, isBoardOwner } = require('../services/boardAccess');
 
 const checkPermissions = (requiredPermission) => {
   return async (req, res, next) => {
@@ -14,35 +15,19 @@ const checkPermissions = (requiredPermission) => {
         return res.status(404).json({ message: 'Whiteboard not found' });
       }
 
-      // Check if user is the owner
-      if (whiteboard.owner._id.toString() === userId) {
-        req.userRole = 'owner';
-        req.whiteboard = whiteboard;
-        return next();
-      }
+      // Ownership, collaborator entries and workspace membership all count
+      const role = await resolveBoardRole(whiteboard, userId);
 
-      // Check if user is a collaborator
-      const collaborator = whiteboard.collaborators.find(
-        collab => collab.user._id.toString() === userId
-      );
-
-      if (collaborator) {
-        const permissions = {
-          'view': ['view'],
-          'edit': ['view', 'edit'],
-          'admin': ['view', 'edit', 'admin']
-        };
-
-        if (permissions[collaborator.permission].includes(requiredPermission)) {
-          req.userRole = collaborator.permission;
-          req.whiteboard = whiteboard;
-          return next();
-        }
+      // Boards holding sensitive data can insist on 2FA for everyone but the owner
+      if (role && !isBoardOwner(whiteboard, userId) && whiteboard.requireTwoFactor && !(req.userObj && req.userObj.twoFactor.enabled)) {
+        return res.status(403).json({
+          message: 'Two-factor authentication is required for this whiteboard',
+          twoFactorRequired: true
+        });
       }
 
-      // Check if whiteboard is public and only viewing is required
-      if (whiteboard.isPublic && requiredPermission === 'view') {
-        req.userRole = 'viewer';
+      if (roleAllows(role, requiredPermission)) {
+        req.userRole = role;
         req.whiteboard = whiteboard;
         return next();
       }
@@ -50,7 +35,7 @@ const checkPermissions = (requiredPermission) => {
       return res.status(403).json({ 
         message: 'Insufficient permissions',
         required: requiredPermission,
-        available: collaborator ? collaborator.permission : 'none'
+        available: role || 'none'
       });
     } catch (error) {
       console.error('Permission check error:', error);
@@ -0,0 +1,51 @@
+const Whiteboard = require('../models/Whiteboard');
+
+const formatETag = (revision) => `"${revision}"`;
+
+// Accepts "3", W/"3" or 3; returns null for anything else
+const parseETag = (value) => {
+  const match = /^(?:W\/)?"?(\d+)"?$/.exec(value.trim());
+  return match ? parseInt(match[1], 10) : null;
+};
+
+const sendRevisionConflict = (res, revision) => {
+  res.set('ETag', formatETag(revision));
+  return res.status(409).json({
+    message: 'Whiteboard has been modified since it was loaded',
+    revision
+  });
+};
+
+// Honour If-Match on writes. Must run after checkPermissions so req.whiteboard is loaded.
+// The header is optional; when present, req.expectedRevision is set so the handler
+// can make its update conditional and close the gap between this check and the write.
+const ifMatch = (req, res, next) => {
+  const header = req.header('If-Match');
+  if (!header || header.trim() === '*') {
+    return next();
+  }
+
+  const revision = parseETag(header);
+  if (revision === null) {
+    return res.status(400).json({ message: 'Invalid If-Match header' });
+  }
+
+  if (revision !== req.whiteboard.revision) {
+    return sendRevisionConflict(res, req.whiteboard.revision);
+  }
+
+  req.expectedRevision = revision;
+  next();
+};
+
+// Called when a conditional update matched nothing: either the board was
+// deleted or another write got in first
+const handleMissedWrite = async (req, res) => {
+  const current = await Whiteboard.findById(req.params.id).select('revision');
+  if (!current) {
+    return res.status(404).json({ message: 'Whiteboard not found' });
+  }
+  return sendRevisionConflict(res, current.revision);
+};
+
+module.exports = { formatETag, parseETag, ifMatch, handleMissedWrite };
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// A single-use token emailed to a user, e.g. to reset their password. Only a
+// hash is stored; the token itself exists only in the email.
+const AccountTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['password-reset', 'email-verification'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+AccountTokenSchema.index({ user: 1, purpose: 1 });
+// Let MongoDB remove tokens once they expire
+AccountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AccountToken', AccountTokenSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A file uploaded to a board. The bytes live in the storage backend named by
+// `storage` under `key`; this document holds what's needed to serve them.
+const AssetSchema = new mongoose.Schema({
+  whiteboard: {
+    type: String,
+    ref: 'Whiteboard',
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 255
+  },
+  mimeType: { type: String, required: true },
+  size: { type: Number, required: true },
+  storage: {
+    type: String,
+    enum: ['local', 'gridfs'],
+    required: true
+  },
+  key: { type: String, required: true, unique: true },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+
+AssetSchema.index({ whiteboard: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Asset', AssetSchema);
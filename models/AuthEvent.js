@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Audit trail of sign-in and credential events, successful or not
+const AuthEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: [
+      'login-succeeded',
+      'login-failed',
+      'login-throttled',
+      'two-factor-failed',
+      'two-factor-enabled',
+      'two-factor-setup-started',
+      'two-factor-disabled',
+      'recovery-codes-regenerated',
+      'password-confirm-failed',
+      'account-locked',
+      'password-changed',
+      'password-change-failed',
+      'password-reset-requested',
+      'password-reset-throttled',
+      'password-reset-locked',
+      'password-reset',
+      'password-reset-failed'
+    ],
+    required: true
+  },
+  // Missing when the attempt named an email with no account
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: { type: String, lowercase: true, trim: true },
+  ip: { type: String, default: '' },
+  userAgent: { type: String, default: '' },
+  details: { type: mongoose.Schema.Types.Mixed },
+  createdAt: { type: Date, default: Date.now }
+});
+
+AuthEventSchema.index({ user: 1, createdAt: -1 });
+AuthEventSchema.index({ email: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuthEvent', AuthEventSchema);
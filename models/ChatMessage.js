@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// A chat message sent in a board's room
+const ChatMessageSchema = new mongoose.Schema({
+  whiteboard: {
+    type: String,
+    ref: 'Whiteboard',
+    required: true
+  },
+  // Room user id: a user id, or guest:<id> for share link guests
+  authorId: { type: String, required: true },
+  // Set for registered users only
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  username: { type: String, required: true },
+  isGuest: { type: Boolean, default: false },
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+
+ChatMessageSchema.index({ whiteboard: 1, _id: -1 });
+
+module.exports = mongoose.model('ChatMessage', ChatMessageSchema);
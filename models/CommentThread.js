@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const ANCHOR_TYPES = ['point', 'note', 'path', 'element'];
+
+const CommentSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 5000
+  },
+  // Board members named with @username
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  editedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Where a thread is pinned: a point on the board, or a sticky note, path or
+// element by id. Object anchors also keep the point they were created at so
+// the thread can still be shown if the object is deleted.
+const AnchorSchema = new mongoose.Schema({
+  type: { type: String, enum: ANCHOR_TYPES, required: true },
+  x: { type: Number, required: true },
+  y: { type: Number, required: true },
+  targetId: {
+    type: String,
+    required: function() { return this.type !== 'point'; }
+  }
+}, { _id: false });
+
+// A comment thread on a board: the first comment and its replies
+const CommentThreadSchema = new mongoose.Schema({
+  whiteboard: {
+    type: String,
+    ref: 'Whiteboard',
+    required: true
+  },
+  anchor: { type: AnchorSchema, required: true },
+  comments: [CommentSchema],
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: { type: Date },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+CommentThreadSchema.index({ whiteboard: 1, status: 1, createdAt: -1 });
+CommentThreadSchema.index({ whiteboard: 1, 'anchor.targetId': 1 });
+
+CommentThreadSchema.statics.ANCHOR_TYPES = ANCHOR_TYPES;
+
+module.exports = mongoose.model('CommentThread', CommentThreadSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// An invitation to a board for an email address that has no account yet.
+// It becomes a collaborator entry when someone registers with that email.
+const InvitationSchema = new mongoose.Schema({
+  whiteboard: {
+    type: String,
+    ref: 'Whiteboard',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  permission: {
+    type: String,
+    enum: ['view', 'edit', 'admin'],
+    default: 'view'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: { type: Date, required: true },
+  acceptedAt: { type: Date },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: { type: Date },
+  lastSentAt: { type: Date },
+  sendCount: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now }
+});
+
+InvitationSchema.index({ email: 1 });
+InvitationSchema.index({ whiteboard: 1, createdAt: -1 });
+
+// Query for invitations that can still be accepted
+InvitationSchema.statics.pendingFilter = (filter = {}) => ({
+  ...filter,
+  acceptedAt: null,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+module.exports = mongoose.model('Invitation', InvitationSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// A signed-in session. Access tokens carry the session id and stop working once
+// it's revoked; the refresh token rotates on every use and only its hash is kept.
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The token this one replaced. Seeing it again means it was copied, so the session is ended.
+  previousRefreshTokenHash: { type: String },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  revokedReason: { type: String },
+  lastRefreshedAt: { type: Date },
+  // Where the session is used from, for the user's list of signed-in devices
+  userAgent: { type: String, default: '' },
+  ip: { type: String, default: '' },
+  lastUsedAt: { type: Date, default: Date.now },
+  createdAt: { type: Date, default: Date.now }
+});
+
+SessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB remove sessions once their refresh token expires
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Query for sessions that can still be used
+SessionSchema.statics.activeFilter = (filter = {}) => ({
+  ...filter,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+// Never send token hashes to clients
+SessionSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.refreshTokenHash;
+    delete ret.previousRefreshTokenHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Session', SessionSchema);
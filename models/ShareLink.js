@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+// A link that lets people without an account join a board as guests. Only a
+// hash of the link token is stored; the token itself is shown once on creation.
+const ShareLinkSchema = new mongoose.Schema({
+  whiteboard: {
+    type: String,
+    ref: 'Whiteboard',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Guests never get admin rights, so they can't clear the board or manage sharing
+  permission: {
+    type: String,
+    enum: ['view', 'edit'],
+    default: 'view'
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: ''
+  },
+  password: { type: String },
+  // Password guessing protection (services/shareLinks.js)
+  failedPasswordAttempts: { type: Number, default: 0 },
+  passwordLockedUntil: { type: Date },
+  expiresAt: { type: Date },
+  revokedAt: { type: Date },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastUsedAt: { type: Date },
+  useCount: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now }
+});
+
+ShareLinkSchema.index({ whiteboard: 1, createdAt: -1 });
+
+// Hash the link password before saving
+ShareLinkSchema.pre('save', async function(next) {
+  if (!this.isModified('password') || !this.password) return next();
+
+  try {
+    const salt = await bcrypt.genSalt(10);
+    this.password = await bcrypt.hash(this.password, salt);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+ShareLinkSchema.methods.comparePassword = async function(candidatePassword) {
+  return await bcrypt.compare(String(candidatePassword || ''), this.password);
+};
+
+// Usable right now: neither revoked nor expired
+ShareLinkSchema.methods.isUsable = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+ShareLinkSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.requiresPassword = Boolean(ret.password);
+    ret.status = ret.revokedAt ? 'revoked' : (ret.expiresAt && ret.expiresAt <= new Date() ? 'expired' : 'active');
+    delete ret.password;
+    delete ret.tokenHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ShareLink', ShareLinkSchema);
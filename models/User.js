@@ -36,6 +36,30 @@ const UserSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: { type: Date },
+  // TOTP two-factor authentication. Secrets and recovery code hashes are only
+  // loaded when asked for with select('+twoFactor.secret') and so on.
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: { type: Date },
+    secret: { type: String, select: false },
+    // Secret from an enrolment that hasn't been confirmed with a code yet
+    pendingSecret: { type: String, select: false },
+    // Last time step a code was accepted for, so codes can't be replayed
+    lastUsedStep: { type: Number, select: false },
+    recoveryCodes: { type: [String], select: false }
+  },
+  // Brute-force protection (services/loginThrottle.js)
+  failedLoginAttempts: { type: Number, default: 0 },
+  lastFailedLoginAt: { type: Date },
+  lockedUntil: { type: Date },
+  passwordResetAttempts: { type: Number, default: 0 },
+  lastPasswordResetAt: { type: Date },
+  passwordResetLockedUntil: { type: Date },
   lastLogin: {
     type: Date,
     default: Date.now
@@ -72,6 +96,18 @@ UserSchema.pre('save', async function(next) {
   }
 });
 
+// Deactivating an account ends its sessions, wherever the change is made from
+UserSchema.pre('save', function(next) {
+  this.$locals.deactivated = this.isModified('isActive') && !this.isActive && !this.isNew;
+  next();
+});
+
+UserSchema.post('save', async function(doc) {
+  if (!doc.$locals.deactivated) return;
+  const { revokeUserSessions } = require('../services/sessions');
+  await revokeUserSessions(doc._id, 'Account is deactivated');
+});
+
 // Compare password method
 UserSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
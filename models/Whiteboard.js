@@ -8,6 +8,8 @@ const StickyNoteSchema = new mongoose.Schema({
   width: { type: Number, default: 200 },
   height: { type: Number, default: 150 },
   color: { type: String, default: '#ffeb3b' },
+  // Incremented on every edit; clients send it back as the base of concurrent edits
+  version: { type: Number, default: 0 },
   timestamp: { type: Date, default: Date.now }
 });
 
@@ -23,6 +25,52 @@ const DrawingPathSchema = new mongoose.Schema({
   timestamp: { type: Date, default: Date.now }
 });
 
+const ELEMENT_TYPES = ['rectangle', 'ellipse', 'line', 'arrow', 'text', 'image'];
+const BOX_TYPES = ['rectangle', 'ellipse', 'text', 'image'];
+const CONNECTOR_TYPES = ['line', 'arrow'];
+
+function isBox() {
+  return BOX_TYPES.includes(this.type);
+}
+
+function isConnector() {
+  return CONNECTOR_TYPES.includes(this.type);
+}
+
+// One end of a line or arrow. An end bound to a sticky note (noteId) follows
+// that note; x/y is where it was last drawn and is used if the note is gone.
+const EndpointSchema = new mongoose.Schema({
+  x: { type: Number, required: true },
+  y: { type: Number, required: true },
+  noteId: { type: String }
+}, { _id: false });
+
+// Shapes, connectors, text boxes and images. Boxes use x/y/width/height, connectors start/end.
+const ElementSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  type: { type: String, enum: ELEMENT_TYPES, required: true },
+  x: { type: Number, required: isBox },
+  y: { type: Number, required: isBox },
+  width: { type: Number, min: 0, required: isBox },
+  height: { type: Number, min: 0, required: isBox },
+  start: { type: EndpointSchema, required: isConnector },
+  end: { type: EndpointSchema, required: isConnector },
+  text: {
+    type: String,
+    required: function () { return this.type === 'text'; }
+  },
+  // Uploaded file (Asset) an image element shows
+  assetId: {
+    type: String,
+    required: function () { return this.type === 'image'; }
+  },
+  fontSize: { type: Number, min: 1, default: 16 },
+  strokeColor: { type: String, default: '#000000' },
+  fillColor: { type: String, default: 'transparent' },
+  strokeWidth: { type: Number, min: 0, default: 2 },
+  timestamp: { type: Date, default: Date.now }
+});
+
 const WhiteboardSchema = new mongoose.Schema({
   _id: { type: String, required: true },
   name: { type: String, required: true },
@@ -31,6 +79,11 @@ const WhiteboardSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Workspace that owns the board, if any; its members get access by role
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace'
+  },
   collaborators: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -50,10 +103,35 @@ const WhiteboardSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Only users with two-factor authentication on may open the board, apart from the owner
+  requireTwoFactor: {
+    type: Boolean,
+    default: false
+  },
+  // Let collaborators with view permission add comments
+  allowViewerComments: {
+    type: Boolean,
+    default: false
+  },
   drawingPaths: [DrawingPathSchema],
   stickyNotes: [StickyNoteSchema],
+  elements: [ElementSchema],
+  revision: { type: Number, default: 0 },
+  // Revision at which the board content was last replaced wholesale (PUT)
+  replacedAtRevision: { type: Number, default: 0 },
   lastModified: { type: Date, default: Date.now },
   createdAt: { type: Date, default: Date.now }
 });
 
+WhiteboardSchema.index({ workspace: 1 });
+// Content search (GET /api/whiteboards/search); names count most
+WhiteboardSchema.index(
+  { name: 'text', 'stickyNotes.text': 'text', 'elements.text': 'text' },
+  { name: 'content_text', weights: { name: 5, 'stickyNotes.text': 2, 'elements.text': 2 } }
+);
+// Board listing (services/boardListing.js)
+WhiteboardSchema.index({ owner: 1, lastModified: -1 });
+WhiteboardSchema.index({ 'collaborators.user': 1, lastModified: -1 });
+WhiteboardSchema.index({ isPublic: 1, lastModified: -1 });
+
 module.exports = mongoose.model('Whiteboard', WhiteboardSchema);
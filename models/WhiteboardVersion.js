@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const Whiteboard = require('./Whiteboard');
+
+// Reuse the board's own subdocument schemas so a snapshot restores exactly
+const DrawingPathSchema = Whiteboard.schema.path('drawingPaths').schema;
+const StickyNoteSchema = Whiteboard.schema.path('stickyNotes').schema;
+const ElementSchema = Whiteboard.schema.path('elements').schema;
+
+const WhiteboardVersionSchema = new mongoose.Schema({
+  whiteboard: {
+    type: String,
+    ref: 'Whiteboard',
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: ''
+  },
+  reason: {
+    type: String,
+    enum: ['manual', 'interval', 'before-clear', 'before-replace', 'before-restore'],
+    default: 'manual'
+  },
+  revision: { type: Number, default: 0 },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  drawingPaths: [DrawingPathSchema],
+  stickyNotes: [StickyNoteSchema],
+  elements: [ElementSchema],
+  createdAt: { type: Date, default: Date.now }
+});
+
+WhiteboardVersionSchema.index({ whiteboard: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WhiteboardVersion', WhiteboardVersionSchema);
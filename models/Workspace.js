@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Workspace roles, weakest first
+const WORKSPACE_ROLES = ['viewer', 'member', 'admin', 'owner'];
+
+// The access each workspace role gives to the workspace's boards. Workspace owners
+// administer boards but never own them: ownership stays with the board's owner.
+const BOARD_ROLE_FOR = {
+  viewer: 'view',
+  member: 'edit',
+  admin: 'admin',
+  owner: 'admin'
+};
+
+// A team that owns boards. Members get access to every board in the workspace
+// according to their role, on top of any per-board collaborator permission.
+const WorkspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  members: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: WORKSPACE_ROLES,
+      default: 'member'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+
+WorkspaceSchema.index({ 'members.user': 1 });
+
+// The member's role, or null if they aren't in the workspace
+WorkspaceSchema.methods.roleOf = function(userId) {
+  const member = this.members.find(m => (m.user._id || m.user).toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+WorkspaceSchema.statics.ROLES = WORKSPACE_ROLES;
+WorkspaceSchema.statics.BOARD_ROLE_FOR = BOARD_ROLE_FOR;
+
+// Whether a role is at least as strong as another
+WorkspaceSchema.statics.hasRole = (role, required) =>
+  WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(required);
+
+module.exports = mongoose.model('Workspace', WorkspaceSchema);
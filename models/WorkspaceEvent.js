@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Audit trail of membership changes in a workspace
+const WorkspaceEventSchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['member-removed', 'member-left'],
+    required: true
+  },
+  // Who made the change, and whom it was about
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  details: { type: mongoose.Schema.Types.Mixed },
+  createdAt: { type: Date, default: Date.now }
+});
+
+WorkspaceEventSchema.index({ workspace: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WorkspaceEvent', WorkspaceEventSchema);
@@ -0,0 +1,123 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const contentDisposition = require('content-disposition');
+const router = express.Router({ mergeParams: true });
+const Asset = require('../models/Asset');
+const Whiteboard = require('../models/Whiteboard');
+const auth = require('../middleware/auth');
+const { checkPermissions } = require('../middleware/permissions');
+const persistenceQueue = require('../services/persistenceQueue');
+const { parseUpload, storeAsset, openAsset, deleteAsset } = require('../services/assets');
+
+// Load an asset that belongs to the board in the URL into req.asset
+const loadAsset = async (req, res, next) => {
+  try {
+    const { id, assetId } = req.params;
+    if (!mongoose.isValidObjectId(assetId)) {
+      return res.status(404).json({ message: 'Asset not found' });
+    }
+
+    const asset = await Asset.findOne({ _id: assetId, whiteboard: id });
+    if (!asset) {
+      return res.status(404).json({ message: 'Asset not found' });
+    }
+
+    req.asset = asset;
+    next();
+  } catch (error) {
+    console.error('Load asset error:', error);
+    res.status(500).json({ message: 'Server error while loading asset' });
+  }
+};
+
+// Upload a file as multipart/form-data in a `file` field (requires edit permission)
+router.post('/', auth, checkPermissions('edit'), async (req, res) => {
+  try {
+    const file = await parseUpload(req, res);
+    if (!file) {
+      return res.status(400).json({ message: 'A file is required' });
+    }
+
+    const asset = await storeAsset(req.params.id, file, req.user.userId);
+    res.status(201).json(asset);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Upload asset error:', error);
+    res.status(500).json({ message: 'Server error during upload' });
+  }
+});
+
+// List a board's uploads, newest first (requires view permission)
+router.get('/', auth, checkPermissions('view'), async (req, res) => {
+  try {
+    const assets = await Asset.find({ whiteboard: req.params.id })
+      .populate('uploadedBy', 'username email')
+      .sort({ createdAt: -1 });
+    res.json(assets);
+  } catch (error) {
+    console.error('List assets error:', error);
+    res.status(500).json({ message: 'Server error while listing assets' });
+  }
+});
+
+// Download an asset (requires view permission). Images display inline,
+// anything else is always downloaded.
+router.get('/:assetId', auth, checkPermissions('view'), loadAsset, async (req, res) => {
+  const { asset } = req;
+  const disposition = asset.mimeType.startsWith('image/') ? 'inline' : 'attachment';
+
+  const headers = {
+    'Content-Type': asset.mimeType,
+    'Content-Length': String(asset.size),
+    // Non-ASCII names go in filename* (RFC 5987), with an ASCII fallback for old clients
+    'Content-Disposition': contentDisposition(asset.filename, { type: disposition }),
+    'X-Content-Type-Options': 'nosniff',
+    // Assets never change once uploaded
+    'Cache-Control': 'private, max-age=31536000, immutable'
+  };
+
+  let stream;
+  try {
+    res.set(headers);
+    stream = openAsset(asset);
+  } catch (error) {
+    console.error('Download asset error:', error);
+    for (const name of Object.keys(headers)) res.removeHeader(name);
+    return res.status(500).json({ message: 'Server error while downloading asset' });
+  }
+
+  stream.on('error', (error) => {
+    console.error('Download asset error:', error);
+    stream.destroy();
+    if (!res.headersSent) {
+      for (const name of Object.keys(headers)) res.removeHeader(name);
+      res.status(404).json({ message: 'Asset file is missing' });
+    } else {
+      res.destroy();
+    }
+  });
+  // Stop reading if the client goes away mid-download
+  res.on('close', () => stream.destroy());
+  stream.pipe(res);
+});
+
+// Delete an asset that no element uses any more (requires edit permission)
+router.delete('/:assetId', auth, checkPermissions('edit'), loadAsset, async (req, res) => {
+  try {
+    await persistenceQueue.flush(req.params.id);
+    const inUse = await Whiteboard.exists({ _id: req.params.id, 'elements.assetId': req.params.assetId });
+    if (inUse) {
+      return res.status(409).json({ message: 'Asset is still used on the board' });
+    }
+
+    await deleteAsset(req.asset);
+    res.json({ message: 'Asset deleted successfully' });
+  } catch (error) {
+    console.error('Delete asset error:', error);
+    res.status(500).json({ message: 'Server error while deleting asset' });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,25 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const { claimInvitations } = require('../services/invitations');
+const sessionRoutes = require('./sessions');
+const twoFactorRoutes = require('./twoFactor');
+const { createChallenge, verifyChallenge, verifySecondFactor } = require('../services/twoFactor');
+const {
+  recordAuthEvent,
+  claimOrThrottle,
+  rejectIfThrottled,
+  recordFailure,
+  recordSuccess
+} = require('../services/loginThrottle');
+const {
+  consumeToken,
+  revokeTokens,
+  sendPasswordReset,
+  sendEmailVerification
+} = require('../services/accountTokens');
+const { startSession, refreshSession, revokeSessions, revokeUserSessions } = require('../services/sessions');
 
 // Register
 router.post('/register', async (req, res) => {
@@ -29,22 +46,28 @@ router.post('/register', async (req, res) => {
     const user = new User({ username, email, password });
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, email: user.email, role: user.role },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '7d' }
-    );
+    // Invitations to this email are claimed once the address is verified,
+    // so registering with someone else's address doesn't grant their access
+    try {
+      await sendEmailVerification(user);
+    } catch (error) {
+      console.error('Send verification email error:', error);
+    }
+
+    // Start a session: a short-lived access token plus a refresh token
+    const { token, refreshToken } = await startSession(user, { userAgent: req.get('User-Agent'), ip: req.ip });
 
     res.status(201).json({
       message: 'User created successfully',
       token,
+      refreshToken,
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
         role: user.role,
-        avatar: user.avatar
+        avatar: user.avatar,
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
@@ -66,34 +89,55 @@ router.post('/login', async (req, res) => {
     // Find user
     const user = await User.findOne({ email });
     if (!user) {
+      await recordAuthEvent('login-failed', req, { email: String(email), details: { reason: 'unknown-email' } });
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
+    // Slow down and lock out repeated failures on this account. The attempt is
+    // counted before the password is checked so parallel guesses can't overtake it.
+    if (await rejectIfThrottled(req, res, user, 'login')) return;
+
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordFailure(req, user, 'login-failed', { reason: 'wrong-password' });
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
+    if (!user.isActive) {
+      return res.status(401).json({ message: 'Account is deactivated' });
+    }
+
+    // With 2FA on, the password only earns a challenge for /login/2fa. This attempt
+    // and earlier failures still count until the code is right, so codes can't be
+    // guessed between correct passwords.
+    if (user.twoFactor.enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: createChallenge(user)
+      });
+    }
+
+    await recordSuccess(req, user, 'login-succeeded');
+
     // Update last login
     await user.updateLastLogin();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, email: user.email, role: user.role },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '7d' }
-    );
+    // Start a session: a short-lived access token plus a refresh token
+    const { token, refreshToken } = await startSession(user, { userAgent: req.get('User-Agent'), ip: req.ip });
 
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
         role: user.role,
-        avatar: user.avatar
+        avatar: user.avatar,
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
@@ -102,6 +146,105 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Second login step: a challenge token from /login plus a TOTP or recovery code
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'Challenge token and a code or recovery code are required' });
+    }
+
+    const userId = verifyChallenge(challengeToken);
+    const user = await User.findById(userId);
+    if (!user || !user.isActive) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired' });
+    }
+
+    if (await rejectIfThrottled(req, res, user, 'two-factor')) return;
+
+    if (!(await verifySecondFactor(user._id, { code, recoveryCode }))) {
+      await recordFailure(req, user, 'two-factor-failed', { method: code ? 'totp' : 'recovery-code' });
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    await recordSuccess(req, user, 'login-succeeded', { method: code ? 'totp' : 'recovery-code' });
+    await user.updateLastLogin();
+
+    const { token, refreshToken } = await startSession(user, { userAgent: req.get('User-Agent'), ip: req.ip });
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        avatar: user.avatar,
+        emailVerified: user.emailVerified
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
+// Exchange a refresh token for a new access token. The refresh token is
+// rotated, so the one sent here stops working.
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const { token, refreshToken: nextRefreshToken } = await refreshSession(refreshToken, {
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    });
+    res.json({ token, refreshToken: nextRefreshToken });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Token refresh error:', error);
+    res.status(500).json({ message: 'Server error during token refresh' });
+  }
+});
+
+// Sign out of the current session
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await revokeSessions({ _id: req.sessionId }, 'Signed out');
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// Sign out of every session, including this one
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.userId, 'Signed out everywhere');
+    res.json({ message: 'Logged out of all sessions', sessionsRevoked: revoked.length });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// Signed-in sessions and devices
+router.use('/sessions', sessionRoutes);
+
+// Two-factor authentication settings
+router.use('/2fa', twoFactorRoutes);
+
 // Get current user
 router.get('/me', auth, async (req, res) => {
   try {
@@ -162,15 +305,22 @@ router.put('/change-password', auth, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    if (await rejectIfThrottled(req, res, user, 'change-password')) return;
+
     // Verify current password
     const isMatch = await user.comparePassword(currentPassword);
     if (!isMatch) {
+      await recordFailure(req, user, 'password-change-failed');
       return res.status(400).json({ message: 'Current password is incorrect' });
     }
 
     // Update password
     user.password = newPassword;
     await user.save();
+    await recordSuccess(req, user, 'password-changed');
+
+    // Sign out everywhere else
+    await revokeUserSessions(user._id, 'Password was changed', { except: req.sessionId });
 
     res.json({ message: 'Password changed successfully' });
   } catch (error) {
@@ -179,4 +329,133 @@ router.put('/change-password', auth, async (req, res) => {
   }
 });
 
+// Request a password reset email. The response is the same whether or not the
+// address has an account, so it can't be used to look up registered emails.
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    // Requests for an account are throttled on counters of their own. Throttled ones
+    // are audited by the throttle and get the same answer as the rest.
+    const user = await User.findOne({ email: String(email) });
+    if (!user) {
+      await recordAuthEvent('password-reset-requested', req, { email: String(email) });
+    } else if (!(await claimOrThrottle(req, user, 'forgot-password', { counter: 'password-reset' }))) {
+      await recordAuthEvent('password-reset-requested', req, { user });
+      if (user.isActive) {
+        try {
+          await sendPasswordReset(user);
+        } catch (error) {
+          console.error('Send password reset error:', error);
+        }
+      }
+    }
+
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error during password reset request' });
+  }
+});
+
+// Set a new password with a token from a reset email
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    if (!token || !newPassword) {
+      return res.status(400).json({ message: 'Token and new password are required' });
+    }
+
+    // Check the password before spending the token on it
+    if (new User({ password: newPassword }).validateSync(['password'])) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters' });
+    }
+
+    const record = await consumeToken(token, 'password-reset');
+    if (!record) {
+      await recordAuthEvent('password-reset-failed', req, { details: { reason: 'invalid-token' } });
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    const user = await User.findById(record.user);
+    if (!user || !user.isActive) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    user.password = newPassword;
+    // The reset link reached this inbox, which proves the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    // Proving control of the inbox also lifts any lockout
+    await recordSuccess(req, user, 'password-reset');
+    await revokeTokens(user._id, 'password-reset');
+    await revokeUserSessions(user._id, 'Password was reset');
+
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({ message: 'Server error during password reset' });
+  }
+});
+
+// Confirm an email address with a token from a verification email
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ message: 'Token is required' });
+    }
+
+    const record = await consumeToken(token, 'email-verification');
+    if (!record) {
+      return res.status(400).json({ message: 'Invalid or expired verification token' });
+    }
+
+    const user = await User.findById(record.user);
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired verification token' });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    // The address is proven now, so its pending invitations can be claimed
+    let invitations = [];
+    try {
+      invitations = await claimInvitations(user);
+    } catch (error) {
+      console.error('Claim invitations error:', error);
+    }
+
+    res.json({ message: 'Email verified successfully', invitations });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({ message: 'Server error during email verification' });
+  }
+});
+
+// Send another verification email to the current user
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    if (req.userObj.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendEmailVerification(req.userObj);
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error while sending verification email' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
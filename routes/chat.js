@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const auth = require('../middleware/auth');
+const { checkPermissions } = require('../middleware/permissions');
+const { roleAllows } = require('../services/boardAccess');
+const { listMessages, deleteMessage } = require('../services/chat');
+
+// Chat history, oldest first within a page (requires view permission).
+// ?limit= (default 50) and ?before=<nextCursor> to page further back.
+router.get('/messages', auth, checkPermissions('view'), async (req, res) => {
+  try {
+    const page = await listMessages(req.params.id, {
+      before: req.query.before,
+      limit: req.query.limit
+    });
+    res.json(page);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Chat history error:', error);
+    res.status(500).json({ message: 'Server error while loading chat history' });
+  }
+});
+
+// Delete a message (its author or a board admin)
+router.delete('/messages/:messageId', auth, checkPermissions('view'), async (req, res) => {
+  try {
+    const message = await deleteMessage(req.params.id, req.params.messageId, {
+      userId: req.user.userId,
+      isAdmin: roleAllows(req.userRole, 'admin')
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(req.params.id).emit('chat-message-deleted', { id: message.id, whiteboardId: req.params.id });
+    }
+
+    res.json({ message: 'Message deleted successfully' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Delete chat message error:', error);
+    res.status(500).json({ message: 'Server error while deleting message' });
+  }
+});
+
+module.exports = router;
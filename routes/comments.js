@@ -0,0 +1,254 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router({ mergeParams: true });
+const CommentThread = require('../models/CommentThread');
+const auth = require('../middleware/auth');
+const { checkPermissions } = require('../middleware/permissions');
+const { roleAllows } = require('../services/boardAccess');
+const { canComment, resolveAnchor, resolveMentions, notifyMentions } = require('../services/comments');
+
+const populateThread = (query) => query
+  .populate('createdBy', 'username')
+  .populate('resolvedBy', 'username')
+  .populate('comments.author', 'username')
+  .populate('comments.mentions', 'username');
+
+// Tell everyone in the board's room about a comment change
+const broadcast = (req, event, payload) => {
+  const io = req.app.get('io');
+  if (io) {
+    io.to(req.params.id).emit(event, { whiteboardId: req.params.id, ...payload });
+  }
+};
+
+// Only people allowed to comment on the board get past this
+const requireCommenter = (req, res, next) => {
+  if (!canComment(req.whiteboard, req.userRole)) {
+    return res.status(403).json({ message: 'You do not have permission to comment on this whiteboard' });
+  }
+  next();
+};
+
+// Load the thread in the URL into req.thread
+const loadThread = async (req, res, next) => {
+  try {
+    const { id, threadId } = req.params;
+    if (!mongoose.isValidObjectId(threadId)) {
+      return res.status(404).json({ message: 'Comment thread not found' });
+    }
+
+    const thread = await CommentThread.findOne({ _id: threadId, whiteboard: id });
+    if (!thread) {
+      return res.status(404).json({ message: 'Comment thread not found' });
+    }
+
+    req.thread = thread;
+    next();
+  } catch (error) {
+    console.error('Load comment thread error:', error);
+    res.status(500).json({ message: 'Server error while loading comment thread' });
+  }
+};
+
+// Whether the user may change or remove something written by authorId
+const isAuthorOrAdmin = (req, authorId) =>
+  authorId.toString() === req.user.userId || roleAllows(req.userRole, 'admin');
+
+// List the board's threads, newest first (requires view permission).
+// ?status=open|resolved|all (default open); ?targetId= for one note, path or element.
+router.get('/', auth, checkPermissions('view'), async (req, res) => {
+  try {
+    const status = req.query.status || 'open';
+    if (!['open', 'resolved', 'all'].includes(status)) {
+      return res.status(400).json({ message: 'status must be open, resolved or all' });
+    }
+
+    const filter = { whiteboard: req.params.id };
+    if (status !== 'all') filter.status = status;
+    if (typeof req.query.targetId === 'string') filter['anchor.targetId'] = req.query.targetId;
+
+    const threads = await populateThread(CommentThread.find(filter).sort({ createdAt: -1 }));
+    res.json({ threads, canComment: canComment(req.whiteboard, req.userRole) });
+  } catch (error) {
+    console.error('List comments error:', error);
+    res.status(500).json({ message: 'Server error while listing comments' });
+  }
+});
+
+// Start a thread anchored to { x, y } or to a { noteId }, { pathId } or { elementId }
+router.post('/', auth, checkPermissions('view'), requireCommenter, async (req, res) => {
+  try {
+    const { text, anchor } = req.body;
+    if (!text || typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ message: 'Comment text is required' });
+    }
+
+    const resolvedAnchor = resolveAnchor(req.whiteboard, anchor);
+    const mentioned = await resolveMentions(req.whiteboard, text);
+
+    const thread = await CommentThread.create({
+      whiteboard: req.params.id,
+      anchor: resolvedAnchor,
+      comments: [{ author: req.user.userId, text, mentions: mentioned.map(user => user._id) }],
+      createdBy: req.user.userId
+    });
+    const populatedThread = await populateThread(CommentThread.findById(thread._id));
+
+    broadcast(req, 'comment-thread-created', { thread: populatedThread });
+    notifyMentions(req.whiteboard, req.userObj, mentioned, text);
+
+    res.status(201).json(populatedThread);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create comment thread error:', error);
+    res.status(500).json({ message: 'Server error while creating comment' });
+  }
+});
+
+// Reply to a thread. Replying to a resolved thread reopens it.
+router.post('/:threadId/replies', auth, checkPermissions('view'), requireCommenter, loadThread, async (req, res) => {
+  try {
+    const { text } = req.body;
+    if (!text || typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ message: 'Comment text is required' });
+    }
+
+    const mentioned = await resolveMentions(req.whiteboard, text);
+    req.thread.comments.push({ author: req.user.userId, text, mentions: mentioned.map(user => user._id) });
+    if (req.thread.status === 'resolved') {
+      req.thread.status = 'open';
+      req.thread.resolvedBy = undefined;
+      req.thread.resolvedAt = undefined;
+    }
+    req.thread.updatedAt = new Date();
+    await req.thread.save();
+
+    const thread = await populateThread(CommentThread.findById(req.thread._id));
+    const comment = thread.comments[thread.comments.length - 1];
+
+    broadcast(req, 'comment-added', { threadId: thread._id, comment, status: thread.status });
+    notifyMentions(req.whiteboard, req.userObj, mentioned, text);
+
+    res.status(201).json({ thread, comment });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Reply to comment error:', error);
+    res.status(500).json({ message: 'Server error while adding reply' });
+  }
+});
+
+// Edit a comment (its author only)
+router.patch('/:threadId/comments/:commentId', auth, checkPermissions('view'), requireCommenter, loadThread, async (req, res) => {
+  try {
+    const { text } = req.body;
+    if (!text || typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ message: 'Comment text is required' });
+    }
+
+    const comment = req.thread.comments.id(req.params.commentId);
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    if (comment.author.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Only the author can edit a comment' });
+    }
+
+    const mentioned = await resolveMentions(req.whiteboard, text);
+    const previouslyMentioned = new Set(comment.mentions.map(String));
+    comment.text = text;
+    comment.mentions = mentioned.map(user => user._id);
+    comment.editedAt = new Date();
+    req.thread.updatedAt = new Date();
+    await req.thread.save();
+
+    const thread = await populateThread(CommentThread.findById(req.thread._id));
+    broadcast(req, 'comment-thread-updated', { thread });
+    notifyMentions(req.whiteboard, req.userObj, mentioned.filter(user => !previouslyMentioned.has(user._id.toString())), text);
+
+    res.json(thread);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Edit comment error:', error);
+    res.status(500).json({ message: 'Server error while editing comment' });
+  }
+});
+
+// Delete a comment (its author or a board admin). Deleting the first comment removes the thread.
+router.delete('/:threadId/comments/:commentId', auth, checkPermissions('view'), loadThread, async (req, res) => {
+  try {
+    const comment = req.thread.comments.id(req.params.commentId);
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    if (!isAuthorOrAdmin(req, comment.author)) {
+      return res.status(403).json({ message: 'Only the author or a board admin can delete a comment' });
+    }
+
+    if (req.thread.comments[0]._id.equals(comment._id)) {
+      await CommentThread.deleteOne({ _id: req.thread._id });
+      broadcast(req, 'comment-thread-deleted', { threadId: req.thread._id });
+      return res.json({ message: 'Comment thread deleted successfully' });
+    }
+
+    comment.deleteOne();
+    req.thread.updatedAt = new Date();
+    await req.thread.save();
+    broadcast(req, 'comment-deleted', { threadId: req.thread._id, commentId: comment._id });
+    res.json({ message: 'Comment deleted successfully' });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({ message: 'Server error while deleting comment' });
+  }
+});
+
+// Mark a thread resolved, or open it again
+const setStatus = (status) => async (req, res) => {
+  try {
+    if (req.thread.status === status) {
+      return res.status(400).json({ message: `Comment thread is already ${status}` });
+    }
+
+    req.thread.status = status;
+    req.thread.resolvedBy = status === 'resolved' ? req.user.userId : undefined;
+    req.thread.resolvedAt = status === 'resolved' ? new Date() : undefined;
+    req.thread.updatedAt = new Date();
+    await req.thread.save();
+
+    const thread = await populateThread(CommentThread.findById(req.thread._id));
+    broadcast(req, 'comment-thread-updated', { thread });
+    res.json(thread);
+  } catch (error) {
+    console.error('Update comment thread error:', error);
+    res.status(500).json({ message: 'Server error while updating comment thread' });
+  }
+};
+
+router.post('/:threadId/resolve', auth, checkPermissions('view'), requireCommenter, loadThread, setStatus('resolved'));
+router.post('/:threadId/reopen', auth, checkPermissions('view'), requireCommenter, loadThread, setStatus('open'));
+
+// Delete a whole thread (whoever started it, or a board admin)
+router.delete('/:threadId', auth, checkPermissions('view'), loadThread, async (req, res) => {
+  try {
+    if (!isAuthorOrAdmin(req, req.thread.createdBy)) {
+      return res.status(403).json({ message: 'Only the thread author or a board admin can delete it' });
+    }
+
+    await CommentThread.deleteOne({ _id: req.thread._id });
+    broadcast(req, 'comment-thread-deleted', { threadId: req.thread._id });
+    res.json({ message: 'Comment thread deleted successfully' });
+  } catch (error) {
+    console.error('Delete comment thread error:', error);
+    res.status(500).json({ message: 'Server error while deleting comment thread' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router({ mergeParams: true });
+const Invitation = require('../models/Invitation');
+const auth = require('../middleware/auth');
+const { checkPermissions } = require('../middleware/permissions');
+const { resendInvitation } = require('../services/invitations');
+
+// Load a pending invitation to the board in the URL into req.invitation
+const loadInvitation = async (req, res, next) => {
+  try {
+    const { id, invitationId } = req.params;
+    if (!mongoose.isValidObjectId(invitationId)) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    const invitation = await Invitation.findOne({ _id: invitationId, whiteboard: id, acceptedAt: null, revokedAt: null });
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    req.invitation = invitation;
+    next();
+  } catch (error) {
+    console.error('Load invitation error:', error);
+    res.status(500).json({ message: 'Server error while loading invitation' });
+  }
+};
+
+// List invitations still waiting for a sign-up (requires admin permission).
+// Pass ?status=all to include accepted, revoked and expired ones.
+router.get('/', auth, checkPermissions('admin'), async (req, res) => {
+  try {
+    const filter = req.query.status === 'all'
+      ? { whiteboard: req.params.id }
+      : Invitation.pendingFilter({ whiteboard: req.params.id });
+
+    const invitations = await Invitation.find(filter)
+      .populate('invitedBy', 'username email')
+      .sort({ createdAt: -1 });
+    res.json(invitations);
+  } catch (error) {
+    console.error('List invitations error:', error);
+    res.status(500).json({ message: 'Server error while listing invitations' });
+  }
+});
+
+// Send an invitation again; this also extends an expired one (requires admin permission)
+router.post('/:invitationId/resend', auth, checkPermissions('admin'), loadInvitation, async (req, res) => {
+  try {
+    const emailSent = await resendInvitation(req.invitation, req.whiteboard, req.userObj);
+    res.json({
+      message: emailSent ? 'Invitation sent' : 'Invitation renewed but the email could not be sent',
+      invitation: req.invitation,
+      emailSent
+    });
+  } catch (error) {
+    console.error('Resend invitation error:', error);
+    res.status(500).json({ message: 'Server error while resending invitation' });
+  }
+});
+
+// Revoke an invitation (requires admin permission)
+router.delete('/:invitationId', auth, checkPermissions('admin'), loadInvitation, async (req, res) => {
+  try {
+    req.invitation.revokedAt = new Date();
+    await req.invitation.save();
+    res.json({ message: 'Invitation revoked successfully', invitation: req.invitation });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ message: 'Server error while revoking invitation' });
+  }
+});
+
+module.exports = router;
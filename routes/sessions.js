@@ -0,0 +1,62 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { listUserSessions, revokeSessions, revokeUserSessions } = require('../services/sessions');
+
+// List the current user's active sessions; the one making the request is marked current
+router.get('/', auth, async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.user.userId);
+    res.json(sessions.map(session => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session._id.toString() === req.sessionId
+    })));
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ message: 'Server error while listing sessions' });
+  }
+});
+
+// Revoke every session except the current one
+router.delete('/', auth, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.userId, 'Signed out from another device', {
+      except: req.sessionId
+    });
+    res.json({ message: 'Other sessions revoked successfully', sessionsRevoked: revoked.length });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ message: 'Server error while revoking sessions' });
+  }
+});
+
+// Revoke one session; its sockets are disconnected straight away
+router.delete('/:sessionId', auth, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!mongoose.isValidObjectId(sessionId)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const revoked = await revokeSessions(
+      { _id: sessionId, user: req.user.userId },
+      'Signed out from another device'
+    );
+    if (revoked.length === 0) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked successfully', current: sessionId === req.sessionId });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error while revoking session' });
+  }
+});
+
+module.exports = router;
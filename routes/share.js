@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const { findByToken, openGuestSession } = require('../services/shareLinks');
+
+// Public routes for people opening a share link; the link token is the credential
+
+// Describe a share link so the client can ask for a name (and password)
+router.get('/:token', async (req, res) => {
+  try {
+    const link = await findByToken(req.params.token);
+    if (!link || !link.whiteboard || !link.isUsable()) {
+      return res.status(404).json({ message: 'Share link is invalid or has expired' });
+    }
+
+    res.json({
+      whiteboard: { id: link.whiteboard._id, name: link.whiteboard.name },
+      permission: link.permission,
+      requiresPassword: Boolean(link.password),
+      expiresAt: link.expiresAt || null
+    });
+  } catch (error) {
+    console.error('Share link lookup error:', error);
+    res.status(500).json({ message: 'Server error while opening share link' });
+  }
+});
+
+// Start a guest session: { name, password } -> a guest token to send as the
+// `token` of join-whiteboard (or the socket handshake)
+router.post('/:token/session', async (req, res) => {
+  try {
+    const { guestToken, link } = await openGuestSession(req.params.token, req.body);
+
+    res.status(201).json({
+      token: guestToken,
+      whiteboard: { id: link.whiteboard._id, name: link.whiteboard.name },
+      permission: link.permission
+    });
+  } catch (error) {
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Guest session error:', error);
+    res.status(500).json({ message: 'Server error while opening share link' });
+  }
+});
+
+module.exports = router;
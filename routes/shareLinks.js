@@ -0,0 +1,82 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router({ mergeParams: true });
+const ShareLink = require('../models/ShareLink');
+const auth = require('../middleware/auth');
+const { checkPermissions } = require('../middleware/permissions');
+const { createShareLink, disconnectLinkGuests } = require('../services/shareLinks');
+
+// Create a share link (requires admin permission). The response holds the
+// link token, which can't be retrieved again.
+router.post('/', auth, checkPermissions('admin'), async (req, res) => {
+  try {
+    // Guests have no second factor to offer
+    if (req.whiteboard.requireTwoFactor) {
+      return res.status(403).json({
+        message: 'Share links cannot be created while two-factor authentication is required for this whiteboard'
+      });
+    }
+
+    const { permission, label, password, expiresAt } = req.body;
+    const { link, token } = await createShareLink(
+      req.params.id,
+      { permission, label, password, expiresAt },
+      req.user.userId
+    );
+
+    res.status(201).json({ link, token });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create share link error:', error);
+    res.status(500).json({ message: 'Server error while creating share link' });
+  }
+});
+
+// List a board's share links, newest first (requires admin permission)
+router.get('/', auth, checkPermissions('admin'), async (req, res) => {
+  try {
+    const links = await ShareLink.find({ whiteboard: req.params.id })
+      .populate('createdBy', 'username email')
+      .sort({ createdAt: -1 });
+    res.json(links);
+  } catch (error) {
+    console.error('List share links error:', error);
+    res.status(500).json({ message: 'Server error while listing share links' });
+  }
+});
+
+// Revoke a share link and disconnect its guests (requires admin permission)
+router.delete('/:linkId', auth, checkPermissions('admin'), async (req, res) => {
+  try {
+    const { id, linkId } = req.params;
+    if (!mongoose.isValidObjectId(linkId)) {
+      return res.status(404).json({ message: 'Share link not found' });
+    }
+
+    const link = await ShareLink.findOneAndUpdate(
+      { _id: linkId, whiteboard: id },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+    if (!link) {
+      return res.status(404).json({ message: 'Share link not found' });
+    }
+
+    const io = req.app.get('io');
+    if (io) {
+      disconnectLinkGuests(io, id, link._id, 'Share link was revoked');
+    }
+
+    res.json({ message: 'Share link revoked successfully', link });
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+    res.status(500).json({ message: 'Server error while revoking share link' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,146 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const twoFactor = require('../services/twoFactor');
+const { revokeUserSessions } = require('../services/sessions');
+const { rejectIfThrottled, recordFailure, recordSuccess } = require('../services/loginThrottle');
+
+// Whether the current user has 2FA on, and how many recovery codes are left
+router.get('/', auth, async (req, res) => {
+  try {
+    const { enabled, enabledAt } = req.userObj.twoFactor;
+    res.json({
+      enabled,
+      enabledAt,
+      recoveryCodesRemaining: enabled ? await twoFactor.recoveryCodesRemaining(req.user.userId) : 0
+    });
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    res.status(500).json({ message: 'Server error while loading two-factor status' });
+  }
+});
+
+// Start enrolment. Returns the secret and an otpauth:// URI to show as a QR code;
+// 2FA isn't on until a code from the app is sent to /verify.
+router.post('/setup', auth, async (req, res) => {
+  try {
+    const { password } = req.body;
+    if (!password) {
+      return res.status(400).json({ message: 'Password is required' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    // Same throttle as login, so a stolen access token can't be used to guess the password
+    if (await rejectIfThrottled(req, res, user, 'two-factor-setup')) return;
+    if (!(await user.comparePassword(password))) {
+      await recordFailure(req, user, 'password-confirm-failed', { action: 'two-factor-setup' });
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+    await recordSuccess(req, user, 'two-factor-setup-started');
+
+    const { secret, otpauthUri } = await twoFactor.beginEnrolment(user);
+    res.json({ secret, otpauthUri });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error during two-factor setup' });
+  }
+});
+
+// Confirm enrolment with a code from the app. The recovery codes are only shown here.
+router.post('/verify', auth, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ message: 'Code is required' });
+    }
+
+    // Same throttle as login, so codes for a pending secret can't be guessed freely
+    if (await rejectIfThrottled(req, res, req.userObj, 'two-factor-verify')) return;
+    const recoveryCodes = await twoFactor.confirmEnrolment(req.user.userId, code);
+    await recordSuccess(req, req.userObj, 'two-factor-enabled');
+
+    // Other sessions signed in with just a password
+    await revokeUserSessions(req.user.userId, 'Two-factor authentication was enabled', {
+      except: req.sessionId
+    });
+
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+  } catch (error) {
+    if (error.status) {
+      // The code was refused; the attempt claimed for it stays counted
+      await recordFailure(req, req.userObj, 'two-factor-failed', {
+        action: 'two-factor-enable',
+        reason: error.message
+      });
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({ message: 'Server error during two-factor verification' });
+  }
+});
+
+// Replace the recovery codes (requires a current code)
+router.post('/recovery-codes', auth, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!req.userObj.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (!code) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    if (await rejectIfThrottled(req, res, req.userObj, 'recovery-codes')) return;
+    if (!(await twoFactor.verifySecondFactor(req.user.userId, { code }))) {
+      await recordFailure(req, req.userObj, 'two-factor-failed', { action: 'recovery-codes', method: 'totp' });
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+    await recordSuccess(req, req.userObj, 'recovery-codes-regenerated');
+
+    const recoveryCodes = await twoFactor.regenerateRecoveryCodes(req.user.userId);
+    res.json({ message: 'Recovery codes regenerated', recoveryCodes });
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({ message: 'Server error while regenerating recovery codes' });
+  }
+});
+
+// Turn 2FA off (requires the password and a code or recovery code)
+router.post('/disable', auth, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    if (!req.userObj.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'Password and a code or recovery code are required' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (await rejectIfThrottled(req, res, user, 'two-factor-disable')) return;
+    if (!(await user.comparePassword(password))) {
+      await recordFailure(req, user, 'password-confirm-failed', { action: 'two-factor-disable' });
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+    if (!(await twoFactor.verifySecondFactor(user._id, { code, recoveryCode }))) {
+      await recordFailure(req, user, 'two-factor-failed', {
+        action: 'two-factor-disable',
+        method: code ? 'totp' : 'recovery-code'
+      });
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+    await recordSuccess(req, user, 'two-factor-disabled');
+
+    await twoFactor.disable(user._id);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Server error while disabling two-factor authentication' });
+  }
+});
+
+module.exports = router;
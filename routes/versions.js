@@ -0,0 +1,189 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router({ mergeParams: true });
+const Whiteboard = require('../models/Whiteboard');
+const WhiteboardVersion = require('../models/WhiteboardVersion');
+const auth = require('../middleware/auth');
+const { checkPermissions } = require('../middleware/permissions');
+const { formatETag } = require('../middleware/revision');
+const { replaceContent } = require('../services/boardOperations');
+const { createSnapshot, diffContent } = require('../services/versionHistory');
+const persistenceQueue = require('../services/persistenceQueue');
+const roomState = require('../services/roomState');
+const undoHistory = require('../services/undoHistory');
+
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 200;
+
+// Load a version that belongs to the board in the URL into req.version
+const loadVersion = async (req, res, next) => {
+  try {
+    const { id, versionId } = req.params;
+    if (!mongoose.isValidObjectId(versionId)) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+
+    const version = await WhiteboardVersion.findOne({ _id: versionId, whiteboard: id })
+      .populate('createdBy', 'username email');
+    if (!version) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+
+    req.version = version;
+    next();
+  } catch (error) {
+    console.error('Load version error:', error);
+    res.status(500).json({ message: 'Server error while loading version' });
+  }
+};
+
+// List versions, newest first (requires view permission)
+router.get('/', auth, checkPermissions('view'), async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? DEFAULT_LIST_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+      return res.status(400).json({ message: `limit must be a whole number from 1 to ${MAX_LIST_LIMIT}` });
+    }
+    const match = { whiteboard: req.params.id };
+    if (req.query.before) {
+      const before = new Date(req.query.before);
+      if (Number.isNaN(before.getTime())) {
+        return res.status(400).json({ message: 'Invalid before date' });
+      }
+      match.createdAt = { $lt: before };
+    }
+
+    const versions = await WhiteboardVersion.aggregate([
+      { $match: match },
+      { $sort: { createdAt: -1 } },
+      { $limit: limit },
+      {
+        $project: {
+          name: 1,
+          reason: 1,
+          revision: 1,
+          createdBy: 1,
+          createdAt: 1,
+          pathCount: { $size: '$drawingPaths' },
+          noteCount: { $size: '$stickyNotes' },
+          elementCount: { $size: { $ifNull: ['$elements', []] } }
+        }
+      }
+    ]);
+
+    await WhiteboardVersion.populate(versions, { path: 'createdBy', select: 'username email' });
+    res.json(versions);
+  } catch (error) {
+    console.error('List versions error:', error);
+    res.status(500).json({ message: 'Server error while listing versions' });
+  }
+});
+
+// Create a named snapshot of the current board (requires edit permission)
+router.post('/', auth, checkPermissions('edit'), async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ message: 'Snapshot name is required' });
+    }
+
+    // Include socket edits that haven't been written yet
+    await persistenceQueue.flush(req.params.id);
+
+    const version = await createSnapshot(req.params.id, {
+      name,
+      reason: 'manual',
+      createdBy: req.user.userId
+    });
+    if (!version) {
+      return res.status(404).json({ message: 'Whiteboard not found' });
+    }
+
+    res.status(201).json(version);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create snapshot error:', error);
+    res.status(500).json({ message: 'Server error while creating snapshot' });
+  }
+});
+
+// Preview a version's content (requires view permission)
+router.get('/:versionId', auth, checkPermissions('view'), loadVersion, async (req, res) => {
+  res.json(req.version);
+});
+
+// Diff a version against the current board or another version (requires view permission)
+router.get('/:versionId/diff', auth, checkPermissions('view'), loadVersion, async (req, res) => {
+  try {
+    const against = req.query.against || 'current';
+    let target;
+
+    if (against === 'current') {
+      await persistenceQueue.flush(req.params.id);
+      target = await Whiteboard.findById(req.params.id).select('revision drawingPaths stickyNotes elements');
+    } else if (mongoose.isValidObjectId(against)) {
+      target = await WhiteboardVersion.findOne({ _id: against, whiteboard: req.params.id });
+    }
+
+    if (!target) {
+      return res.status(404).json({ message: 'Comparison target not found' });
+    }
+
+    res.json({
+      from: { versionId: req.version._id, revision: req.version.revision },
+      to: against === 'current'
+        ? { current: true, revision: target.revision }
+        : { versionId: target._id, revision: target.revision },
+      ...diffContent(req.version, target)
+    });
+  } catch (error) {
+    console.error('Diff versions error:', error);
+    res.status(500).json({ message: 'Server error while comparing versions' });
+  }
+});
+
+// Restore a version (requires admin permission, like clearing the board)
+router.post('/:versionId/restore', auth, checkPermissions('admin'), loadVersion, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Write pending socket edits, then keep the current state recoverable
+    await persistenceQueue.flush(id);
+    await createSnapshot(id, { reason: 'before-restore', createdBy: req.user.userId });
+
+    const whiteboard = await replaceContent(id, {
+      drawingPaths: req.version.drawingPaths,
+      stickyNotes: req.version.stickyNotes,
+      elements: req.version.elements
+    });
+    if (!whiteboard) {
+      return res.status(404).json({ message: 'Whiteboard not found' });
+    }
+
+    undoHistory.clear(id);
+    await roomState.reload(id);
+
+    // Everyone in the room needs to reload the restored content
+    const io = req.app.get('io');
+    if (io) {
+      io.to(id).emit('board-restored', {
+        versionId: req.version._id,
+        revision: whiteboard.revision,
+        userId: req.user.userId
+      });
+    }
+
+    res.set('ETag', formatETag(whiteboard.revision));
+    res.json({
+      message: 'Version restored successfully',
+      whiteboard
+    });
+  } catch (error) {
+    console.error('Restore version error:', error);
+    res.status(500).json({ message: 'Server error while restoring version' });
+  }
+});
+
+module.exports = router;
@@ -1,46 +1,292 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Whiteboard = require('../models/Whiteboard');
+const WhiteboardVersion = require('../models/WhiteboardVersion');
+const ShareLink = require('../models/ShareLink');
+const Invitation = require('../models/Invitation');
+const Workspace = require('../models/Workspace');
+const CommentThread = require('../models/CommentThread');
+const ChatMessage = require('../models/ChatMessage');
 const auth = require('../middleware/auth');
 const { checkPermissions } = require('../middleware/permissions');
+const { ifMatch, handleMissedWrite, formatETag, parseETag } = require('../middleware/revision');
+const {
+  normalizeOperation,
+  toClientOperation,
+  applyOperations,
+  replaceContent
+} = require('../services/boardOperations');
+const { createSnapshot, snapshotContent, snapshotIfDue, removesContent } = require('../services/versionHistory');
+const roomState = require('../services/roomState');
+const persistenceQueue = require('../services/persistenceQueue');
+const { parseExportOptions, parseBoolean } = require('../services/boardLayout');
+const { renderSvg } = require('../services/svgExport');
+const { parsePdfOptions, renderPdf } = require('../services/pdfExport');
+const { buildArchive, importArchive } = require('../services/boardArchive');
+const { parseImport } = require('../services/boardImport');
+const {
+  parseListOptions,
+  buildListFilter,
+  sortSpec,
+  collationFor,
+  encodeCursor
+} = require('../services/boardListing');
+const { parseSearchQuery, findMatches } = require('../services/boardSearch');
+const { isBoardOwner } = require('../services/boardAccess');
+const { loadBoardAssets, deleteBoardAssets } = require('../services/assets');
+const { inviteEmail } = require('../services/invitations');
+const { REQUIRE_VERIFIED_COLLABORATORS } = require('../services/accountTokens');
+const undoHistory = require('../services/undoHistory');
+const versionRoutes = require('./versions');
+const assetRoutes = require('./assets');
+const shareLinkRoutes = require('./shareLinks');
+const invitationRoutes = require('./invitations');
+const commentRoutes = require('./comments');
+const chatRoutes = require('./chat');
 
-// Get all whiteboards for authenticated user
+const MAX_OPERATIONS_PER_REQUEST = 500;
+// Unconditional replacements retried this many times when another write lands in between
+const REPLACE_ATTEMPTS = 3;
+
+// Read a board for export, including socket edits that haven't been written yet
+const loadForExport = async (id) => {
+  await persistenceQueue.flush(id);
+  return Whiteboard.findById(id).populate('owner', 'username email');
+};
+
+const exportDisposition = (req, whiteboard, extension) => {
+  const filename = `${whiteboard.name.replace(/[^\w\- ]+/g, '').trim() || 'whiteboard'}.${extension}`;
+  const disposition = parseBoolean(req.query.download, false) ? 'attachment' : 'inline';
+  return `${disposition}; filename="${filename}"`;
+};
+
+// List the user's whiteboards a page at a time. See services/boardListing.js
+// for the filter, search and sort options.
 router.get('/', auth, async (req, res) => {
   try {
-    const whiteboards = await Whiteboard.find({
-      $or: [
-        { owner: req.user.userId },
-        { 'collaborators.user': req.user.userId },
-        { isPublic: true }
-      ]
-    })
-    .populate('owner', 'username email')
-    .select('_id name owner isPublic lastModified createdAt')
-    .sort({ lastModified: -1 });
-    
-    res.json(whiteboards);
+    const options = parseListOptions(req.query);
+    const filter = await buildListFilter(req.user.userId, options);
+    if (!filter) {
+      return res.json({ whiteboards: [], nextCursor: null, hasMore: false });
+    }
+
+    const query = Whiteboard.find(filter)
+      .populate('owner', 'username email')
+      .select('_id name owner workspace isPublic lastModified createdAt')
+      .sort(sortSpec(options))
+      .limit(options.limit + 1);
+    const collation = collationFor(options);
+    if (collation) query.collation(collation);
+
+    // One extra board tells us whether there is another page
+    const results = await query;
+    const hasMore = results.length > options.limit;
+    const whiteboards = hasMore ? results.slice(0, options.limit) : results;
+
+    res.json({
+      whiteboards,
+      nextCursor: hasMore ? encodeCursor(whiteboards[whiteboards.length - 1], options.sort) : null,
+      hasMore
+    });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: error.message });
   }
 });
 
+const MAX_SEARCH_RESULTS = 50;
+
+// Search board names, sticky notes and text elements. Returns the boards the
+// user can view, best match first, each with snippets and the coordinates of
+// the notes and elements that matched. Strangers' public boards are only
+// searched with ?includePublic=true.
+router.get('/search', auth, async (req, res) => {
+  try {
+    const { q, terms } = parseSearchQuery(req.query.q);
+
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_RESULTS) {
+      return res.status(400).json({ message: `limit must be a whole number from 1 to ${MAX_SEARCH_RESULTS}` });
+    }
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ message: 'offset must be a whole number of 0 or more' });
+    }
+
+    const access = await buildListFilter(req.user.userId, {
+      includePublic: parseBoolean(req.query.includePublic, false)
+    });
+
+    // Same rule as checkPermissions: boards that require 2FA stay hidden from
+    // members without it, apart from the owner. Filtered in the query so pages
+    // and hasMore only count boards the user will see.
+    const conditions = [access];
+    if (!req.userObj.twoFactor.enabled) {
+      conditions.push({ $or: [{ requireTwoFactor: { $ne: true } }, { owner: req.user.userId }] });
+    }
+
+    const results = await Whiteboard.find({ $and: conditions, $text: { $search: q } })
+      .select({
+        name: 1,
+        owner: 1,
+        workspace: 1,
+        collaborators: 1,
+        isPublic: 1,
+        lastModified: 1,
+        stickyNotes: 1,
+        elements: 1,
+        score: { $meta: 'textScore' }
+      })
+      .sort({ score: { $meta: 'textScore' } })
+      .skip(offset)
+      .limit(limit + 1)
+      .populate('owner', 'username email')
+      .lean();
+
+    const hasMore = results.length > limit;
+    const page = hasMore ? results.slice(0, limit) : results;
+
+    res.json({
+      results: page.map(whiteboard => ({
+        whiteboard: {
+          _id: whiteboard._id,
+          name: whiteboard.name,
+          owner: whiteboard.owner,
+          workspace: whiteboard.workspace,
+          isPublic: whiteboard.isPublic,
+          lastModified: whiteboard.lastModified
+        },
+        score: whiteboard.score,
+        matches: findMatches(whiteboard, terms)
+      })),
+      hasMore
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Search error:', error);
+    res.status(500).json({ message: 'Server error during search' });
+  }
+});
+
 // Get a specific whiteboard (requires view permission)
 router.get('/:id', auth, checkPermissions('view'), async (req, res) => {
   try {
+    const { revision } = req.whiteboard;
+    res.set('ETag', formatETag(revision));
+
+    const ifNoneMatch = req.header('If-None-Match');
+    if (ifNoneMatch && parseETag(ifNoneMatch) === revision) {
+      return res.status(304).end();
+    }
+
     res.json(req.whiteboard);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
+// Export a whiteboard as SVG (requires view permission)
+// Query options: crop, padding, background, scale, download
+router.get('/:id/export.svg', auth, checkPermissions('view'), async (req, res) => {
+  try {
+    const options = parseExportOptions(req.query);
+
+    const whiteboard = await loadForExport(req.params.id);
+    if (!whiteboard) {
+      return res.status(404).json({ message: 'Whiteboard not found' });
+    }
+
+    const assets = await loadBoardAssets(whiteboard);
+    res.set('Content-Type', 'image/svg+xml; charset=utf-8');
+    res.set('Content-Disposition', exportDisposition(req, whiteboard, 'svg'));
+    res.send(renderSvg(whiteboard, { ...options, assets }));
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('SVG export error:', error);
+    res.status(500).json({ message: 'Server error during export' });
+  }
+});
+
+// Export a whiteboard as a printable PDF (requires view permission)
+// Query options: as for SVG, plus paper, orientation, fit and titlePage
+router.get('/:id/export.pdf', auth, checkPermissions('view'), async (req, res) => {
+  try {
+    const options = parsePdfOptions(req.query);
+
+    const whiteboard = await loadForExport(req.params.id);
+    if (!whiteboard) {
+      return res.status(404).json({ message: 'Whiteboard not found' });
+    }
+
+    const assets = await loadBoardAssets(whiteboard);
+    const doc = renderPdf(whiteboard, { ...options, assets });
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', exportDisposition(req, whiteboard, 'pdf'));
+    doc.pipe(res);
+    doc.end();
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('PDF export error:', error);
+    res.status(500).json({ message: 'Server error during export' });
+  }
+});
+
+// Download a portable JSON archive of a whiteboard (requires view permission)
+// Query options: collaborators (include collaborator emails, admins only), download
+router.get('/:id/archive', auth, checkPermissions('view'), async (req, res) => {
+  try {
+    const includeCollaborators = parseBoolean(req.query.collaborators, false);
+    if (includeCollaborators && !['owner', 'admin'].includes(req.userRole)) {
+      return res.status(403).json({ message: 'Only owners and admins can export collaborators' });
+    }
+
+    await persistenceQueue.flush(req.params.id);
+    const whiteboard = await Whiteboard.findById(req.params.id)
+      .populate('owner', 'username email')
+      .populate('collaborators.user', 'username email');
+    if (!whiteboard) {
+      return res.status(404).json({ message: 'Whiteboard not found' });
+    }
+
+    res.set('Content-Disposition', exportDisposition(req, whiteboard, 'whiteboard.json'));
+    res.json(buildArchive(whiteboard, { includeCollaborators }));
+  } catch (error) {
+    console.error('Archive export error:', error);
+    res.status(500).json({ message: 'Server error during export' });
+  }
+});
+
 // Create a new whiteboard
 router.post('/', auth, async (req, res) => {
   try {
-    const { id, name } = req.body;
+    const { id, name, workspaceId } = req.body;
+
+    // Boards can be created straight into a workspace by its members
+    if (workspaceId) {
+      const workspace = mongoose.isValidObjectId(workspaceId) && await Workspace.findById(workspaceId);
+      const role = workspace && workspace.roleOf(req.user.userId);
+      if (!role) {
+        return res.status(404).json({ message: 'Workspace not found' });
+      }
+      if (!Workspace.hasRole(role, 'member')) {
+        return res.status(403).json({ message: 'Insufficient workspace permissions' });
+      }
+    }
+
     const whiteboard = new Whiteboard({
       _id: id,
       name: name || 'Untitled Whiteboard',
       owner: req.user.userId,
+      workspace: workspaceId || undefined,
       drawingPaths: [],
       stickyNotes: []
     });
@@ -58,30 +304,181 @@ router.post('/', auth, async (req, res) => {
   }
 });
 
-// Update whiteboard data (requires edit permission)
-router.put('/:id', auth, checkPermissions('edit'), async (req, res) => {
+// Create a whiteboard from an archive produced by GET /:id/archive, or from an
+// Excalidraw or tldraw file. The board always gets a new id (or ?id=) so files
+// can be imported repeatedly; ?name= overrides the imported name.
+router.post('/import', auth, async (req, res) => {
   try {
-    const { drawingPaths, stickyNotes } = req.body;
-    const whiteboard = await Whiteboard.findByIdAndUpdate(
-      req.params.id,
-      {
-        drawingPaths: drawingPaths || [],
-        stickyNotes: stickyNotes || [],
-        lastModified: new Date()
-      },
-      { new: true }
-    ).populate('owner', 'username email');
-    
+    const { id } = req.query;
+    if (id !== undefined && (typeof id !== 'string' || !id.trim())) {
+      return res.status(400).json({ message: 'id must be a single, non-empty string' });
+    }
+
+    const name = typeof req.query.name === 'string' ? req.query.name.trim() : '';
+    const parsed = parseImport(req.body, { name });
+    const { whiteboard, report } = await importArchive(parsed, req.user.userId, { id });
+
+    const populatedWhiteboard = await Whiteboard.findById(whiteboard._id)
+      .populate('owner', 'username email')
+      .populate('collaborators.user', 'username email');
+
+    res.status(201).json({
+      message: 'Whiteboard imported successfully',
+      whiteboard: populatedWhiteboard,
+      report
+    });
+  } catch (error) {
+    if (error.status === 400 || error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'Whiteboard with this ID already exists' });
+    }
+    console.error('Archive import error:', error);
+    res.status(500).json({ message: 'Server error during import' });
+  }
+});
+
+// Update whiteboard data (requires edit permission, honours If-Match)
+router.put('/:id', auth, checkPermissions('edit'), ifMatch, async (req, res) => {
+  try {
+    const content = {
+      drawingPaths: req.body.drawingPaths || [],
+      stickyNotes: req.body.stickyNotes || [],
+      // Omitted by older clients; their saves leave elements untouched
+      elements: req.body.elements
+    };
+
+    // Write pending socket edits so they are neither lost nor missing from the snapshot
+    await persistenceQueue.flush(req.params.id);
+
+    // Pin the write to the revision just read, so a snapshot holds exactly what was
+    // replaced. Without If-Match a racing write is not a conflict; read again and retry.
+    let current;
+    let whiteboard;
+    for (let attempt = 0; attempt < REPLACE_ATTEMPTS && !whiteboard; attempt++) {
+      current = await Whiteboard.findById(req.params.id)
+        .select('revision drawingPaths stickyNotes elements');
+      if (!current) {
+        return res.status(404).json({ message: 'Whiteboard not found' });
+      }
+      if (req.expectedRevision !== undefined && current.revision !== req.expectedRevision) break;
+
+      whiteboard = await replaceContent(req.params.id, content, {
+        expectedRevision: current.revision
+      });
+    }
+
     if (!whiteboard) {
-      return res.status(404).json({ message: 'Whiteboard not found' });
+      return handleMissedWrite(req, res);
+    }
+
+    // Routine autosaves only add to the board; snapshot when this one removed something
+    if (removesContent(current, content)) {
+      await snapshotContent(req.params.id, current, { reason: 'before-replace', createdBy: req.user.userId });
+    }
+
+    // Undo history refers to content that no longer exists
+    undoHistory.clear(req.params.id);
+    await roomState.reload(req.params.id);
+
+    // Clients in the room are now looking at outdated content
+    const io = req.app.get('io');
+    if (io) {
+      io.to(req.params.id).emit('board-replaced', {
+        revision: whiteboard.revision,
+        userId: req.user.userId
+      });
     }
     
+    res.set('ETag', formatETag(whiteboard.revision));
     res.json(whiteboard);
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
 });
 
+// Apply an ordered list of incremental operations (requires edit permission, honours If-Match)
+router.patch('/:id/operations', auth, checkPermissions('edit'), ifMatch, async (req, res) => {
+  try {
+    const { operations } = req.body;
+
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return res.status(400).json({ message: 'A non-empty operations array is required' });
+    }
+
+    if (operations.length > MAX_OPERATIONS_PER_REQUEST) {
+      return res.status(400).json({
+        message: `At most ${MAX_OPERATIONS_PER_REQUEST} operations can be applied per request`
+      });
+    }
+
+    const normalized = [];
+    for (const [index, operation] of operations.entries()) {
+      try {
+        normalized.push(normalizeOperation(operation));
+      } catch (error) {
+        return res.status(400).json({ message: error.message, index });
+      }
+    }
+
+    // Socket edits the room has already seen go first, so MongoDB gets them in that order
+    await persistenceQueue.flush(req.params.id);
+
+    if (normalized.some(operation => operation.type === 'clear')) {
+      await createSnapshot(req.params.id, { reason: 'before-clear', createdBy: req.user.userId });
+    }
+
+    const result = await applyOperations(req.params.id, normalized, {
+      expectedRevision: req.expectedRevision
+    });
+    if (!result) {
+      return handleMissedWrite(req, res);
+    }
+
+    // Let connected clients apply the same operations live
+    const io = req.app.get('io');
+    if (io) {
+      io.to(req.params.id).emit('board-operations', {
+        operations: normalized.map(toClientOperation),
+        revision: result.revision,
+        userId: req.user.userId
+      });
+    }
+
+    await roomState.reload(req.params.id);
+    await snapshotIfDue(req.params.id);
+
+    res.set('ETag', formatETag(result.revision));
+    res.json({
+      applied: normalized.length,
+      revision: result.revision,
+      lastModified: result.lastModified
+    });
+  } catch (error) {
+    console.error('Apply operations error:', error);
+    res.status(500).json({ message: 'Server error while applying operations' });
+  }
+});
+
+// Version history
+router.use('/:id/versions', versionRoutes);
+
+// Uploaded images and files
+router.use('/:id/assets', assetRoutes);
+
+// Guest share links
+router.use('/:id/share-links', shareLinkRoutes);
+
+// Pending invitations for emails without an account
+router.use('/:id/invitations', invitationRoutes);
+
+// Comment threads
+router.use('/:id/comments', commentRoutes);
+
+// Room chat history
+router.use('/:id/chat', chatRoutes);
+
 // Delete a whiteboard (requires owner permission)
 router.delete('/:id', auth, checkPermissions('admin'), async (req, res) => {
   try {
@@ -89,6 +486,12 @@ router.delete('/:id', auth, checkPermissions('admin'), async (req, res) => {
     if (!whiteboard) {
       return res.status(404).json({ message: 'Whiteboard not found' });
     }
+    await WhiteboardVersion.deleteMany({ whiteboard: req.params.id });
+    await deleteBoardAssets(req.params.id);
+    await ShareLink.deleteMany({ whiteboard: req.params.id });
+    await Invitation.deleteMany({ whiteboard: req.params.id });
+    await CommentThread.deleteMany({ whiteboard: req.params.id });
+    await ChatMessage.deleteMany({ whiteboard: req.params.id });
     res.json({ message: 'Whiteboard deleted successfully' });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -111,14 +514,24 @@ router.post('/:id/collaborators', auth, checkPermissions('admin'), async (req, r
     const User = require('../models/User');
     const userToAdd = await User.findOne({ email });
 
+    // No account yet: invite the address and add them once they register
     if (!userToAdd) {
-      return res.status(404).json({ message: 'User not found' });
+      const { invitation, emailSent } = await inviteEmail(req.whiteboard, { email, permission }, req.userObj);
+      return res.status(202).json({
+        message: emailSent ? 'Invitation sent' : 'Invitation created but the email could not be sent',
+        invitation,
+        emailSent
+      });
     }
 
     if (userToAdd._id.toString() === req.user.userId) {
       return res.status(400).json({ message: 'Cannot add yourself as collaborator' });
     }
 
+    if (REQUIRE_VERIFIED_COLLABORATORS && !userToAdd.emailVerified) {
+      return res.status(403).json({ message: 'User has not verified their email address' });
+    }
+
     const whiteboard = await Whiteboard.findById(req.params.id);
     if (!whiteboard) {
       return res.status(404).json({ message: 'Whiteboard not found' });
@@ -151,6 +564,9 @@ router.post('/:id/collaborators', auth, checkPermissions('admin'), async (req, r
       whiteboard: updatedWhiteboard
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Add collaborator error:', error);
     res.status(500).json({ message: 'Server error during collaborator addition' });
   }
@@ -209,4 +625,122 @@ router.put('/:id/visibility', auth, checkPermissions('admin'), async (req, res)
   }
 });
 
+// Move a board into a workspace, or back out of one with workspaceId null
+// (owner only, and they must be a member of the target workspace)
+router.put('/:id/workspace', auth, checkPermissions('admin'), async (req, res) => {
+  try {
+    if (!isBoardOwner(req.whiteboard, req.user.userId)) {
+      return res.status(403).json({ message: 'Only the owner can move a whiteboard between workspaces' });
+    }
+
+    const { workspaceId } = req.body;
+    if (workspaceId === undefined) {
+      return res.status(400).json({ message: 'workspaceId is required (null to remove from a workspace)' });
+    }
+
+    if (workspaceId !== null) {
+      const workspace = mongoose.isValidObjectId(workspaceId) && await Workspace.findById(workspaceId);
+      const role = workspace && workspace.roleOf(req.user.userId);
+      if (!role) {
+        return res.status(404).json({ message: 'Workspace not found' });
+      }
+      if (!Workspace.hasRole(role, 'member')) {
+        return res.status(403).json({ message: 'Insufficient workspace permissions' });
+      }
+    }
+
+    const update = workspaceId === null
+      ? { $unset: { workspace: 1 } }
+      : { $set: { workspace: workspaceId } };
+    const whiteboard = await Whiteboard.findByIdAndUpdate(req.params.id, update, { new: true })
+      .populate('owner', 'username email')
+      .populate('collaborators.user', 'username email');
+
+    res.json({
+      message: workspaceId === null ? 'Whiteboard removed from workspace' : 'Whiteboard moved to workspace',
+      whiteboard
+    });
+  } catch (error) {
+    console.error('Move whiteboard error:', error);
+    res.status(500).json({ message: 'Server error while moving whiteboard' });
+  }
+});
+
+// Let view-only collaborators comment, or stop them (owner only)
+router.put('/:id/viewer-comments', auth, checkPermissions('admin'), async (req, res) => {
+  try {
+    if (!isBoardOwner(req.whiteboard, req.user.userId)) {
+      return res.status(403).json({ message: 'Only the owner can change who can comment' });
+    }
+
+    const { allowed } = req.body;
+    if (typeof allowed !== 'boolean') {
+      return res.status(400).json({ message: 'allowed must be true or false' });
+    }
+
+    const whiteboard = await Whiteboard.findByIdAndUpdate(
+      req.params.id,
+      { $set: { allowViewerComments: allowed } },
+      { new: true }
+    )
+      .populate('owner', 'username email')
+      .populate('collaborators.user', 'username email');
+
+    res.json({
+      message: `Viewers ${allowed ? 'can now' : 'can no longer'} comment on this whiteboard`,
+      whiteboard
+    });
+  } catch (error) {
+    console.error('Viewer comments error:', error);
+    res.status(500).json({ message: 'Server error during comment settings update' });
+  }
+});
+
+// Require two-factor authentication from everyone but the owner (owner only)
+router.put('/:id/two-factor', auth, checkPermissions('admin'), async (req, res) => {
+  try {
+    if (!isBoardOwner(req.whiteboard, req.user.userId)) {
+      return res.status(403).json({ message: 'Only the owner can change two-factor requirements' });
+    }
+
+    const { required } = req.body;
+    if (typeof required !== 'boolean') {
+      return res.status(400).json({ message: 'required must be true or false' });
+    }
+
+    const whiteboard = await Whiteboard.findByIdAndUpdate(
+      req.params.id,
+      { $set: { requireTwoFactor: required } },
+      { new: true }
+    )
+      .populate('owner', 'username email')
+      .populate('collaborators.user', 'username email');
+
+    // Drop open sockets of members who no longer qualify. Share link guests have
+    // no second factor, so they all go.
+    const io = req.app.get('io');
+    if (io && required) {
+      const room = io.sockets.adapter.rooms.get(req.params.id);
+      for (const socketId of room ? Array.from(room) : []) {
+        const socket = io.sockets.sockets.get(socketId);
+        if (socket && (socket.isGuest || (!isBoardOwner(whiteboard, socket.userId) && !socket.twoFactorEnabled))) {
+          socket.emit('access-revoked', {
+            whiteboardId: req.params.id,
+            reason: 'Two-factor authentication is required for this whiteboard'
+          });
+          socket.disconnect(true);
+        }
+      }
+    }
+
+    res.json({
+      message: `Two-factor authentication is ${required ? 'now required' : 'no longer required'} for this whiteboard`,
+      whiteboard
+    });
+  } catch (error) {
+    console.error('Two-factor requirement error:', error);
+    res.status(500).json({ message: 'Server error during two-factor requirement update' });
+  }
+});
+
 module.exports = router;
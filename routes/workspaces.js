@@ -0,0 +1,302 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Workspace = require('../models/Workspace');
+const Whiteboard = require('../models/Whiteboard');
+const User = require('../models/User');
+const WorkspaceEvent = require('../models/WorkspaceEvent');
+const auth = require('../middleware/auth');
+const { REQUIRE_VERIFIED_COLLABORATORS } = require('../services/accountTokens');
+const { refreshSocketRoles } = require('../services/boardAccess');
+
+// Load the workspace in the URL into req.workspace if the user has at least
+// the given role in it, and their role into req.workspaceRole
+const requireWorkspaceRole = (requiredRole) => async (req, res, next) => {
+  try {
+    const { workspaceId } = req.params;
+    if (!mongoose.isValidObjectId(workspaceId)) {
+      return res.status(404).json({ message: 'Workspace not found' });
+    }
+
+    const workspace = await Workspace.findById(workspaceId);
+    if (!workspace) {
+      return res.status(404).json({ message: 'Workspace not found' });
+    }
+
+    const role = workspace.roleOf(req.user.userId);
+    if (!role) {
+      return res.status(404).json({ message: 'Workspace not found' });
+    }
+    if (!Workspace.hasRole(role, requiredRole)) {
+      return res.status(403).json({
+        message: 'Insufficient workspace permissions',
+        required: requiredRole,
+        available: role
+      });
+    }
+
+    req.workspace = workspace;
+    req.workspaceRole = role;
+    next();
+  } catch (error) {
+    console.error('Workspace permission error:', error);
+    res.status(500).json({ message: 'Server error during permission check' });
+  }
+};
+
+const populated = (workspaceId) => Workspace.findById(workspaceId)
+  .populate('members.user', 'username email');
+
+const owners = (workspace) => workspace.members.filter(member => member.role === 'owner');
+
+// Audit a membership change; a failed write is logged rather than failing the request
+const recordWorkspaceEvent = async (req, type, { user, details } = {}) => {
+  try {
+    await WorkspaceEvent.create({
+      workspace: req.workspace._id,
+      type,
+      actor: req.user.userId,
+      user,
+      details
+    });
+  } catch (error) {
+    console.error('Workspace audit event error:', error);
+  }
+};
+
+// List the workspaces the user belongs to, with their role in each
+router.get('/', auth, async (req, res) => {
+  try {
+    const workspaces = await Workspace.find({ 'members.user': req.user.userId })
+      .select('name members createdAt')
+      .sort({ name: 1 });
+
+    res.json(workspaces.map(workspace => ({
+      _id: workspace._id,
+      name: workspace.name,
+      role: workspace.roleOf(req.user.userId),
+      memberCount: workspace.members.length,
+      createdAt: workspace.createdAt
+    })));
+  } catch (error) {
+    console.error('List workspaces error:', error);
+    res.status(500).json({ message: 'Server error while listing workspaces' });
+  }
+});
+
+// Create a workspace; the creator becomes its owner
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ message: 'Workspace name is required' });
+    }
+
+    const workspace = await Workspace.create({
+      name,
+      members: [{ user: req.user.userId, role: 'owner' }],
+      createdBy: req.user.userId
+    });
+
+    res.status(201).json(await populated(workspace._id));
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create workspace error:', error);
+    res.status(500).json({ message: 'Server error while creating workspace' });
+  }
+});
+
+// Get a workspace with its members (any member)
+router.get('/:workspaceId', auth, requireWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    const workspace = await populated(req.workspace._id);
+    res.json({ workspace, role: req.workspaceRole });
+  } catch (error) {
+    console.error('Get workspace error:', error);
+    res.status(500).json({ message: 'Server error while loading workspace' });
+  }
+});
+
+// Rename a workspace (requires admin role)
+router.put('/:workspaceId', auth, requireWorkspaceRole('admin'), async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ message: 'Workspace name is required' });
+    }
+
+    req.workspace.name = name;
+    await req.workspace.save();
+    res.json({ message: 'Workspace updated successfully', workspace: await populated(req.workspace._id) });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update workspace error:', error);
+    res.status(500).json({ message: 'Server error while updating workspace' });
+  }
+});
+
+// Delete a workspace once it has no boards left (requires owner role)
+router.delete('/:workspaceId', auth, requireWorkspaceRole('owner'), async (req, res) => {
+  try {
+    const boardCount = await Whiteboard.countDocuments({ workspace: req.workspace._id });
+    if (boardCount > 0) {
+      return res.status(409).json({
+        message: 'Move or delete the workspace\'s boards before deleting it',
+        boardCount
+      });
+    }
+
+    await Workspace.deleteOne({ _id: req.workspace._id });
+    res.json({ message: 'Workspace deleted successfully' });
+  } catch (error) {
+    console.error('Delete workspace error:', error);
+    res.status(500).json({ message: 'Server error while deleting workspace' });
+  }
+});
+
+// List the workspace's boards (any member)
+router.get('/:workspaceId/boards', auth, requireWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    const whiteboards = await Whiteboard.find({ workspace: req.workspace._id })
+      .populate('owner', 'username email')
+      .select('_id name owner workspace isPublic lastModified createdAt')
+      .sort({ lastModified: -1 });
+    res.json(whiteboards);
+  } catch (error) {
+    console.error('List workspace boards error:', error);
+    res.status(500).json({ message: 'Server error while listing workspace boards' });
+  }
+});
+
+// Add a member or change their role (requires admin role; only owners can make owners)
+router.post('/:workspaceId/members', auth, requireWorkspaceRole('admin'), async (req, res) => {
+  try {
+    const { email, role = 'member' } = req.body;
+    if (typeof email !== 'string' || !email.trim()) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+    if (!Workspace.ROLES.includes(role)) {
+      return res.status(400).json({ message: 'Invalid workspace role' });
+    }
+    if (role === 'owner' && req.workspaceRole !== 'owner') {
+      return res.status(403).json({ message: 'Only owners can add owners' });
+    }
+
+    const userToAdd = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!userToAdd) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Members get access to the workspace's boards, so the same rule as for collaborators applies
+    if (REQUIRE_VERIFIED_COLLABORATORS && !userToAdd.emailVerified) {
+      return res.status(403).json({ message: 'User has not verified their email address' });
+    }
+
+    const existing = req.workspace.members.find(member => member.user.toString() === userToAdd._id.toString());
+    if (existing) {
+      if (existing.role === 'owner' && req.workspaceRole !== 'owner') {
+        return res.status(403).json({ message: 'Only owners can change an owner\'s role' });
+      }
+      if (existing.role === 'owner' && role !== 'owner' && owners(req.workspace).length === 1) {
+        return res.status(400).json({ message: 'A workspace needs at least one owner' });
+      }
+      existing.role = role;
+    } else {
+      req.workspace.members.push({ user: userToAdd._id, role });
+    }
+
+    await req.workspace.save();
+    res.json({ message: 'Member saved successfully', workspace: await populated(req.workspace._id) });
+  } catch (error) {
+    console.error('Add workspace member error:', error);
+    res.status(500).json({ message: 'Server error while adding member' });
+  }
+});
+
+// Remove a member (requires admin role; anyone may leave). A member who owns
+// boards in this workspace is only removed once the caller names, with
+// ?transferTo=<userId>, the remaining admin or owner who takes them over.
+router.delete('/:workspaceId/members/:userId', auth, requireWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const leaving = userId === req.user.userId;
+    if (!leaving && !Workspace.hasRole(req.workspaceRole, 'admin')) {
+      return res.status(403).json({ message: 'Insufficient workspace permissions' });
+    }
+
+    const member = req.workspace.members.find(m => m.user.toString() === userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+    if (member.role === 'owner' && !leaving && req.workspaceRole !== 'owner') {
+      return res.status(403).json({ message: 'Only owners can remove owners' });
+    }
+
+    const remainingOwners = owners(req.workspace).filter(m => m.user.toString() !== userId);
+    if (remainingOwners.length === 0) {
+      return res.status(400).json({ message: 'A workspace needs at least one owner' });
+    }
+
+    const ownedBoards = await Whiteboard.find({ workspace: req.workspace._id, owner: userId })
+      .select('_id name');
+    let newOwner = null;
+    if (ownedBoards.length) {
+      const { transferTo } = req.query;
+      if (typeof transferTo !== 'string' || !transferTo) {
+        return res.status(409).json({
+          message: 'Choose who takes over this member\'s boards with transferTo',
+          boards: ownedBoards
+        });
+      }
+      newOwner = req.workspace.members.find(m => m.user.toString() === transferTo && transferTo !== userId);
+      if (!newOwner || !Workspace.hasRole(newOwner.role, 'admin')) {
+        return res.status(400).json({ message: 'Boards can only be transferred to another workspace admin or owner' });
+      }
+    }
+
+    req.workspace.members = req.workspace.members.filter(m => m.user.toString() !== userId);
+    await req.workspace.save();
+
+    if (newOwner) {
+      await Whiteboard.updateMany(
+        { _id: { $in: ownedBoards.map(board => board._id) }, owner: userId },
+        { $set: { owner: newOwner.user } }
+      );
+    }
+
+    const boardsTransferred = newOwner ? ownedBoards : [];
+    const transferredTo = newOwner ? newOwner.user : null;
+    await recordWorkspaceEvent(req, leaving ? 'member-left' : 'member-removed', {
+      user: userId,
+      details: { role: member.role, transferredTo, boards: boardsTransferred.map(board => board._id) }
+    });
+
+    // Open boards must stop trusting the role the member joined with
+    const io = req.app.get('io');
+    if (io) {
+      const boards = await Whiteboard.find({ workspace: req.workspace._id })
+        .select('_id owner collaborators workspace isPublic requireTwoFactor');
+      for (const board of boards) {
+        await refreshSocketRoles(io, board, userId, 'You are no longer a member of this board\'s workspace');
+        if (newOwner) {
+          await refreshSocketRoles(io, board, newOwner.user, 'Access to this whiteboard has changed');
+        }
+      }
+    }
+
+    res.json({
+      message: leaving ? 'Left workspace successfully' : 'Member removed successfully',
+      boardsTransferred,
+      transferredTo
+    });
+  } catch (error) {
+    console.error('Remove workspace member error:', error);
+    res.status(500).json({ message: 'Server error while removing member' });
+  }
+});
+
+module.exports = router;
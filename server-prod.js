@@ -62,6 +62,8 @@ const io = new Server(server, {
 });
 
 // Middleware
+// Board imports (archives, Excalidraw and tldraw files) are much bigger than other requests
+app.use('/api/whiteboards/import', express.json({ limit: process.env.IMPORT_BODY_LIMIT || '10mb' }));
 app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 
@@ -108,13 +110,22 @@ mongoose.connection.on('error', (err) => {
   console.error('MongoDB error:', err);
 });
 
+// Expose Socket.IO to routes so REST changes reach connected clients
+app.set('io', io);
+
 // Import routes
 const authRoutes = require('./routes/auth');
 const whiteboardRoutes = require('./routes/whiteboard');
+const shareRoutes = require('./routes/share');
+const workspaceRoutes = require('./routes/workspaces');
+const registerWhiteboardSocket = require('./sockets/whiteboard');
+const persistenceQueue = require('./services/persistenceQueue');
 
 // API routes
 app.use('/api/auth', authRoutes);
+app.use('/api/share', shareRoutes);
 app.use('/api/whiteboards', whiteboardRoutes);
+app.use('/api/workspaces', workspaceRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -142,150 +153,23 @@ io.use((socket, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     socket.userId = decoded.userId;
     socket.userRole = decoded.role;
+    socket.sessionId = decoded.sid;
     next();
   } catch (err) {
     next(new Error('Authentication error'));
   }
 });
 
-io.on('connection', (socket) => {
-  console.log(`User ${socket.userId} connected:`, socket.id);
-
-  // Join a whiteboard room with authentication and permissions
-  socket.on('join-whiteboard', async (data) => {
-    try {
-      const { whiteboardId } = data;
-      
-      if (!whiteboardId) {
-        socket.emit('error', { message: 'Whiteboard ID is required' });
-        return;
-      }
-
-      const User = require('./models/User');
-      const Whiteboard = require('./models/Whiteboard');
-      
-      const user = await User.findById(socket.userId);
-      if (!user) {
-        socket.emit('error', { message: 'User not found' });
-        return;
-      }
-
-      // Get whiteboard and check permissions
-      const whiteboard = await Whiteboard.findById(whiteboardId)
-        .populate('owner', 'username email')
-        .populate('collaborators.user', 'username email');
-
-      if (!whiteboard) {
-        socket.emit('error', { message: 'Whiteboard not found' });
-        return;
-      }
-
-      // Check permissions (same logic as before)
-      let userRole = 'viewer';
-      let canEdit = false;
-
-      if (whiteboard.owner._id.toString() === user._id.toString()) {
-        userRole = 'owner';
-        canEdit = true;
-      } else {
-        const collaborator = whiteboard.collaborators.find(
-          collab => collab.user._id.toString() === user._id.toString()
-        );
-        
-        if (collaborator) {
-          userRole = collaborator.permission;
-          canEdit = ['edit', 'admin'].includes(collaborator.permission);
-        } else if (whiteboard.isPublic) {
-          userRole = 'viewer';
-          canEdit = false;
-        } else {
-          socket.emit('error', { message: 'Access denied' });
-          return;
-        }
-      }
-
-      // Join the room
-      socket.join(whiteboardId);
-      
-      // Store user info in socket for later use
-      socket.username = user.username;
-      socket.userRole = userRole;
-      socket.canEdit = canEdit;
-      socket.whiteboardId = whiteboardId;
-
-      console.log(`User ${socket.username} (${userRole}) joined whiteboard: ${whiteboardId}`);
-
-      // Notify other users in the room
-      socket.to(whiteboardId).emit('user-joined', {
-        userId: user._id,
-        username: user.username,
-        userRole: userRole,
-        socketId: socket.id
-      });
-
-      // Send current room info to the joining user
-      const room = io.sockets.adapter.rooms.get(whiteboardId);
-      const usersInRoom = room ? Array.from(room).map(socketId => {
-        const socketInfo = io.sockets.sockets.get(socketId);
-        return socketInfo ? {
-          socketId: socketId,
-          username: socketInfo.username,
-          userRole: socketInfo.userRole
-        } : null;
-      }).filter(Boolean) : [];
+registerWhiteboardSocket(io);
 
-      socket.emit('room-info', {
-        whiteboardId: whiteboardId,
-        users: usersInRoom,
-        yourRole: userRole,
-        canEdit: canEdit
-      });
-
-    } catch (error) {
-      console.error('Join whiteboard error:', error);
-      socket.emit('error', { message: 'Failed to join whiteboard' });
-    }
-  });
-
-  // Handle drawing events (same as before but with permission checking)
-  socket.on('drawing', (data) => {
-    if (!socket.canEdit) {
-      socket.emit('error', { message: 'You do not have permission to draw' });
-      return;
-    }
-    socket.to(socket.whiteboardId).emit('drawing', {
-      ...data,
-      userId: socket.userId,
-      username: socket.username
-    });
-  });
-
-  // Handle cursor movement
-  socket.on('cursor-move', (data) => {
-    if (socket.whiteboardId) {
-      socket.to(socket.whiteboardId).emit('cursor-move', {
-        ...data,
-        userId: socket.userId,
-        username: socket.username,
-        socketId: socket.id
-      });
-    }
-  });
+// Write any queued board edits before shutting down
+const shutdown = async () => {
+  await persistenceQueue.flushAll();
+  process.exit(0);
+};
 
-  // Handle user disconnect
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id, socket.username);
-    
-    // Notify other users in the room
-    if (socket.whiteboardId) {
-      socket.to(socket.whiteboardId).emit('user-left', {
-        userId: socket.userId,
-        username: socket.username,
-        socketId: socket.id
-      });
-    }
-  });
-});
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
 
 const PORT = process.env.PORT || 4000;
 server.listen(PORT, () => {
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const AccountToken = require('../models/AccountToken');
+const { sendMail, clientUrl } = require('./mailer');
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+// Reset emails to one account are at most this frequent, so the endpoint can't flood an inbox
+const RESET_EMAIL_COOLDOWN_MS = 60 * 1000;
+// Only users with a verified email can be added to boards unless this is set to 'false'
+const REQUIRE_VERIFIED_COLLABORATORS = process.env.REQUIRE_VERIFIED_COLLABORATORS !== 'false';
+
+const TOKEN_TTL_MS = {
+  'password-reset': PASSWORD_RESET_TTL_MINUTES * 60 * 1000,
+  'email-verification': EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Create a token for the user, replacing any unused one with the same purpose
+const issueToken = async (user, purpose) => {
+  await AccountToken.deleteMany({ user: user._id, purpose, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const record = await AccountToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MS[purpose])
+  });
+  return { token, expiresAt: record.expiresAt };
+};
+
+// Mark a token used and resolve with it, or null if it's unknown, used or expired.
+// The update is atomic so a token can't be redeemed twice.
+const consumeToken = async (token, purpose) => {
+  if (typeof token !== 'string' || !token) {
+    return null;
+  }
+  return AccountToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Drop every outstanding token of a kind, e.g. other reset links once one is used
+const revokeTokens = (userId, purpose) => AccountToken.deleteMany({ user: userId, purpose, usedAt: null });
+
+// Email a reset link. Resolves with false if one was sent too recently.
+const sendPasswordReset = async (user) => {
+  const recent = await AccountToken.exists({
+    user: user._id,
+    purpose: 'password-reset',
+    createdAt: { $gt: new Date(Date.now() - RESET_EMAIL_COOLDOWN_MS) }
+  });
+  if (recent) return false;
+
+  const { token, expiresAt } = await issueToken(user, 'password-reset');
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      `Someone asked to reset the password for your account. To choose a new one, open: ${clientUrl(`/reset-password?token=${token}`)}`,
+      '',
+      `The link can be used once and expires on ${expiresAt.toUTCString()}. If you didn't ask for this, you can ignore this email.`
+    ].join('\n')
+  });
+  return true;
+};
+
+const sendEmailVerification = async (user) => {
+  const { token, expiresAt } = await issueToken(user, 'email-verification');
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      `Please confirm this is your email address by opening: ${clientUrl(`/verify-email?token=${token}`)}`,
+      '',
+      `The link expires on ${expiresAt.toUTCString()}.`
+    ].join('\n')
+  });
+};
+
+module.exports = {
+  REQUIRE_VERIFIED_COLLABORATORS,
+  consumeToken,
+  revokeTokens,
+  sendPasswordReset,
+  sendEmailVerification
+};
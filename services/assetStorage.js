@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+
+// Where uploaded files live. Every backend stores a Buffer under a key and can
+// stream it back; the Asset model records which backend holds each file.
+// Choose with ASSET_STORAGE=local (default, files under ASSET_DIR) or gridfs.
+
+const createLocalStorage = (directory) => {
+  const root = path.resolve(directory);
+  // Keys are generated server-side, but never let one escape the directory
+  const fileFor = (key) => {
+    const file = path.resolve(root, key);
+    if (path.dirname(file) !== root) {
+      throw new Error('Invalid asset key');
+    }
+    return file;
+  };
+
+  return {
+    name: 'local',
+    save: async (key, data) => {
+      await fs.promises.mkdir(root, { recursive: true });
+      await fs.promises.writeFile(fileFor(key), data, { flag: 'wx' });
+    },
+    createReadStream: (key) => fs.createReadStream(fileFor(key)),
+    read: (key) => fs.promises.readFile(fileFor(key)),
+    remove: async (key) => {
+      await fs.promises.rm(fileFor(key), { force: true });
+    }
+  };
+};
+
+const createGridFSStorage = (bucketName) => {
+  // The connection may not be open yet when this module loads
+  const bucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName });
+
+  const findId = async (key) => {
+    const [file] = await bucket().find({ filename: key }).limit(1).toArray();
+    return file ? file._id : null;
+  };
+
+  return {
+    name: 'gridfs',
+    save: (key, data, { mimeType } = {}) =>
+      pipeline(
+        Readable.from([data]),
+        bucket().openUploadStream(key, { metadata: { mimeType } })
+      ),
+    createReadStream: (key) => bucket().openDownloadStreamByName(key),
+    read: async (key) => {
+      const chunks = [];
+      for await (const chunk of bucket().openDownloadStreamByName(key)) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks);
+    },
+    remove: async (key) => {
+      const id = await findId(key);
+      if (id) await bucket().delete(id);
+    }
+  };
+};
+
+const backends = {
+  local: () => createLocalStorage(process.env.ASSET_DIR || 'uploads'),
+  gridfs: () => createGridFSStorage(process.env.ASSET_BUCKET || 'assets')
+};
+
+const instances = new Map();
+
+// The backend named `name`, or the configured default
+const getStorage = (name = process.env.ASSET_STORAGE || 'local') => {
+  if (!backends[name]) {
+    throw new Error(`Unknown asset storage backend: ${name}`);
+  }
+  if (!instances.has(name)) {
+    instances.set(name, backends[name]());
+  }
+  return instances.get(name);
+};
+
+module.exports = { getStorage, createLocalStorage, createGridFSStorage };
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const Asset = require('../models/Asset');
+const { getStorage } = require('./assetStorage');
+
+const MAX_ASSET_BYTES = parseInt(process.env.MAX_ASSET_BYTES) || 10 * 1024 * 1024;
+// Largest image embedded in an export; bigger ones are drawn as placeholders
+const MAX_EMBEDDED_IMAGE_BYTES = parseInt(process.env.MAX_EMBEDDED_IMAGE_BYTES) || 5 * 1024 * 1024;
+// Matches the Asset schema's maxlength
+const MAX_FILENAME_LENGTH = 255;
+
+// Accepted types and the leading bytes that identify them. SVG is left out on
+// purpose: it can carry script and would be served from our own origin.
+const SIGNATURES = {
+  'image/png': (data) => data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/jpeg': (data) => data.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+  'image/gif': (data) => ['GIF87a', 'GIF89a'].includes(data.subarray(0, 6).toString('latin1')),
+  'image/webp': (data) => data.subarray(0, 4).toString('latin1') === 'RIFF' &&
+    data.subarray(8, 12).toString('latin1') === 'WEBP',
+  'application/pdf': (data) => data.subarray(0, 5).toString('latin1') === '%PDF-'
+};
+const ALLOWED_MIME_TYPES = Object.keys(SIGNATURES);
+
+const uploadError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Multipart parser for a single `file` field, held in memory up to the size limit
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ASSET_BYTES, files: 1 },
+  fileFilter: (req, file, callback) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      return callback(uploadError(415, `Unsupported file type. Allowed: ${ALLOWED_MIME_TYPES.join(', ')}`));
+    }
+    callback(null, true);
+  }
+}).single('file');
+
+// Run the multipart parser, turning its errors into { status, message } errors
+const parseUpload = (req, res) => new Promise((resolve, reject) => {
+  upload(req, res, (error) => {
+    if (!error) return resolve(req.file);
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return reject(uploadError(413, `File is larger than ${MAX_ASSET_BYTES} bytes`));
+    }
+    if (error instanceof multer.MulterError) {
+      return reject(uploadError(400, error.message));
+    }
+    reject(error);
+  });
+});
+
+// The type the file's contents actually are, as long as it matches what the client declared
+const detectMimeType = (data, declared) => {
+  const detected = ALLOWED_MIME_TYPES.find(type => SIGNATURES[type](data));
+  return detected && detected === declared ? detected : null;
+};
+
+// The name to record for an upload: shortened to fit, keeping a short extension
+const storedFilename = (originalname) => {
+  const name = String(originalname || '').trim() || 'upload';
+  if (name.length <= MAX_FILENAME_LENGTH) return name;
+
+  const dot = name.lastIndexOf('.');
+  const extension = dot > 0 && name.length - dot <= 10 ? name.slice(dot) : '';
+  return name.slice(0, MAX_FILENAME_LENGTH - extension.length).trimEnd() + extension;
+};
+
+// Store an uploaded file for a board and record it
+const storeAsset = async (whiteboardId, file, uploadedBy) => {
+  const mimeType = detectMimeType(file.buffer, file.mimetype);
+  if (!mimeType) {
+    throw uploadError(415, 'File contents do not match its declared type');
+  }
+
+  const storage = getStorage();
+  const key = crypto.randomUUID();
+  await storage.save(key, file.buffer, { mimeType });
+
+  try {
+    return await Asset.create({
+      whiteboard: whiteboardId,
+      filename: storedFilename(file.originalname),
+      mimeType,
+      size: file.size,
+      storage: storage.name,
+      key,
+      uploadedBy
+    });
+  } catch (error) {
+    await storage.remove(key);
+    throw error;
+  }
+};
+
+const openAsset = (asset) => getStorage(asset.storage).createReadStream(asset.key);
+
+const deleteAsset = async (asset) => {
+  await getStorage(asset.storage).remove(asset.key);
+  await Asset.deleteOne({ _id: asset._id });
+};
+
+const deleteBoardAssets = async (whiteboardId) => {
+  const assets = await Asset.find({ whiteboard: whiteboardId });
+  for (const asset of assets) {
+    await deleteAsset(asset);
+  }
+};
+
+// The assets a board's image elements refer to, for exporters. Images small
+// enough to embed come with their bytes; anything else only with its details.
+// Resolves with assetId -> { filename, mimeType, data }.
+const loadBoardAssets = async (whiteboard) => {
+  const ids = [...new Set(
+    (whiteboard.elements || [])
+      .filter(element => element.type === 'image' && element.assetId)
+      .map(element => String(element.assetId))
+  )];
+  const assets = new Map();
+  if (!ids.length) return assets;
+
+  const found = await Asset.find({
+    _id: { $in: ids.filter(id => mongoose.isValidObjectId(id)) },
+    whiteboard: whiteboard._id
+  });
+  for (const asset of found) {
+    let data = null;
+    if (asset.mimeType.startsWith('image/') && asset.size <= MAX_EMBEDDED_IMAGE_BYTES) {
+      try {
+        data = await getStorage(asset.storage).read(asset.key);
+      } catch (error) {
+        // A missing file shouldn't break the whole export
+        console.error('Read asset error:', error);
+      }
+    }
+    assets.set(asset._id.toString(), { filename: asset.filename, mimeType: asset.mimeType, data });
+  }
+  return assets;
+};
+
+module.exports = {
+  ALLOWED_MIME_TYPES,
+  MAX_ASSET_BYTES,
+  parseUpload,
+  storeAsset,
+  openAsset,
+  deleteAsset,
+  deleteBoardAssets,
+  loadBoardAssets
+};
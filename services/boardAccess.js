@@ -0,0 +1,84 @@
+const Workspace = require('../models/Workspace');
+
+// Board roles, weakest first. 'viewer' (anyone on a public board) sits apart:
+// it only ever allows viewing.
+const BOARD_ROLES = ['view', 'edit', 'admin', 'owner'];
+
+const PERMISSIONS = {
+  view: ['view'],
+  edit: ['view', 'edit'],
+  admin: ['view', 'edit', 'admin'],
+  owner: ['view', 'edit', 'admin'],
+  viewer: ['view']
+};
+
+const idOf = (ref) => (ref && ref._id ? ref._id : ref);
+
+// Whether the user is the board's owner, as opposed to administering it through a workspace
+const isBoardOwner = (whiteboard, userId) => idOf(whiteboard.owner).toString() === userId.toString();
+
+const stronger = (a, b) => (BOARD_ROLES.indexOf(a) >= BOARD_ROLES.indexOf(b) ? a : b);
+
+// A user's role on a board: 'owner', 'admin', 'edit' or 'view' from ownership,
+// collaborator entries and workspace membership (the strongest wins), 'viewer'
+// on a public board they have no other access to, or null.
+const resolveBoardRole = async (whiteboard, userId) => {
+  const id = userId.toString();
+  if (isBoardOwner(whiteboard, id)) {
+    return 'owner';
+  }
+
+  let role = null;
+  const collaborator = whiteboard.collaborators.find(
+    collab => collab.user && idOf(collab.user).toString() === id
+  );
+  if (collaborator) {
+    role = collaborator.permission;
+  }
+
+  if (whiteboard.workspace) {
+    const workspace = await Workspace.findById(idOf(whiteboard.workspace)).select('members');
+    const workspaceRole = workspace && workspace.roleOf(id);
+    if (workspaceRole) {
+      const boardRole = Workspace.BOARD_ROLE_FOR[workspaceRole];
+      role = role ? stronger(role, boardRole) : boardRole;
+    }
+  }
+
+  if (!role && whiteboard.isPublic) {
+    return 'viewer';
+  }
+  return role;
+};
+
+// Whether a board role grants a permission ('view', 'edit' or 'admin').
+// Other roles, like a share link 'guest', grant none.
+const roleAllows = (role, permission) => Boolean(role && (PERMISSIONS[role] || []).includes(permission));
+
+// Bring a user's open sockets on a board in line with their current role: drop
+// them if they lost access, otherwise update what they may do
+const refreshSocketRoles = async (io, whiteboard, userId, reason) => {
+  const whiteboardId = whiteboard._id.toString();
+  const room = io.sockets.adapter.rooms.get(whiteboardId);
+  const sockets = (room ? Array.from(room) : [])
+    .map(socketId => io.sockets.sockets.get(socketId))
+    .filter(socket => socket && !socket.isGuest && socket.userId === userId.toString());
+  if (!sockets.length) return;
+
+  const role = await resolveBoardRole(whiteboard, userId);
+  for (const socket of sockets) {
+    const missingTwoFactor = !isBoardOwner(whiteboard, userId) && whiteboard.requireTwoFactor &&
+      !socket.twoFactorEnabled;
+    if (!role || missingTwoFactor) {
+      socket.emit('access-revoked', { whiteboardId, reason });
+      socket.disconnect(true);
+      continue;
+    }
+
+    socket.userRole = role;
+    socket.canEdit = roleAllows(role, 'edit');
+    socket.emit('role-changed', { whiteboardId, role, canEdit: socket.canEdit });
+  }
+};
+
+module.exports = { resolveBoardRole, roleAllows, isBoardOwner, refreshSocketRoles };
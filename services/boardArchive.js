@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const Whiteboard = require('../models/Whiteboard');
+const User = require('../models/User');
+const { REQUIRE_VERIFIED_COLLABORATORS } = require('./accountTokens');
+
+const ARCHIVE_FORMAT = 'whiteboard-archive';
+const ARCHIVE_VERSION = 1;
+
+const invalidArchive = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Drop database ids so content can be re-imported anywhere
+const stripIds = ({ _id, ...rest }) => rest;
+
+const portablePath = (path) => ({
+  ...stripIds(path),
+  points: path.points.map(({ x, y }) => ({ x, y }))
+});
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Cast imported content through the board schema, rejecting anything invalid
+const validateContent = (content) => {
+  for (const field of ['drawingPaths', 'stickyNotes', 'elements']) {
+    const entries = content[field] || [];
+    const index = entries.findIndex(entry => !isPlainObject(entry));
+    if (index !== -1) {
+      throw invalidArchive(`Invalid content at ${field}.${index}: expected an object`);
+    }
+  }
+
+  const candidate = new Whiteboard({
+    drawingPaths: content.drawingPaths.map(stripIds),
+    stickyNotes: content.stickyNotes.map(stripIds),
+    elements: (content.elements || []).map(stripIds)
+  });
+  const validationError = candidate.validateSync(['drawingPaths', 'stickyNotes', 'elements']);
+  if (validationError) {
+    const [[path, error]] = Object.entries(validationError.errors);
+    throw invalidArchive(`Invalid content at ${path}: ${error.message}`);
+  }
+  return {
+    drawingPaths: candidate.drawingPaths,
+    stickyNotes: candidate.stickyNotes,
+    elements: candidate.elements
+  };
+};
+
+// Build a versioned, environment-independent archive of a board
+const buildArchive = (whiteboard, { includeCollaborators = false } = {}) => {
+  const board = whiteboard.toObject();
+
+  const archive = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    board: {
+      id: board._id,
+      name: board.name,
+      isPublic: board.isPublic,
+      createdAt: board.createdAt,
+      lastModified: board.lastModified,
+      revision: board.revision
+    },
+    owner: board.owner && board.owner.email
+      ? { username: board.owner.username, email: board.owner.email }
+      : null,
+    content: {
+      drawingPaths: board.drawingPaths.map(portablePath),
+      stickyNotes: board.stickyNotes.map(stripIds),
+      elements: (board.elements || []).map(stripIds)
+    }
+  };
+
+  if (includeCollaborators) {
+    archive.collaborators = board.collaborators
+      .filter(collaborator => collaborator.user && collaborator.user.email)
+      .map(collaborator => ({
+        email: collaborator.user.email,
+        permission: collaborator.permission
+      }));
+  }
+
+  return archive;
+};
+
+// Validate an uploaded archive and return what's needed to create the board
+const parseArchive = (archive) => {
+  if (!archive || archive.format !== ARCHIVE_FORMAT) {
+    throw invalidArchive(`Not a ${ARCHIVE_FORMAT} file`);
+  }
+  if (!Number.isInteger(archive.version) || archive.version < 1 || archive.version > ARCHIVE_VERSION) {
+    throw invalidArchive(`Unsupported archive version: ${archive.version}`);
+  }
+
+  const board = archive.board || {};
+  const content = archive.content || {};
+  if (!Array.isArray(content.drawingPaths) || !Array.isArray(content.stickyNotes)) {
+    throw invalidArchive('Archive content must include drawingPaths and stickyNotes arrays');
+  }
+  // Archives written before shapes existed have no elements
+  if (content.elements !== undefined && !Array.isArray(content.elements)) {
+    throw invalidArchive('Archive elements must be an array');
+  }
+
+  const { drawingPaths, stickyNotes, elements } = validateContent(content);
+
+  const collaborators = Array.isArray(archive.collaborators) ? archive.collaborators : [];
+  for (const collaborator of collaborators) {
+    if (!collaborator || typeof collaborator.email !== 'string' ||
+        !['view', 'edit', 'admin'].includes(collaborator.permission)) {
+      throw invalidArchive('Each collaborator needs an email and a view, edit or admin permission');
+    }
+  }
+
+  return {
+    format: ARCHIVE_FORMAT,
+    sourceId: board.id || null,
+    name: typeof board.name === 'string' && board.name.trim() ? board.name.trim() : 'Imported Whiteboard',
+    isPublic: board.isPublic === true,
+    drawingPaths,
+    stickyNotes,
+    elements,
+    collaborators
+  };
+};
+
+// Create a board from a parsed archive (or converted import) under a fresh id owned by `ownerId`.
+// Collaborators are matched to local accounts by email, under the same rules as
+// adding them by hand; the rest are reported.
+const importArchive = async (parsed, ownerId, { id } = {}) => {
+  const resolved = [];
+  const unresolved = [];
+
+  for (const { email, permission } of parsed.collaborators) {
+    const user = await User.findOne({ email: email.toLowerCase().trim() }).select('_id emailVerified');
+    if (!user) {
+      unresolved.push({ email, permission, reason: 'No account with this email' });
+    } else if (REQUIRE_VERIFIED_COLLABORATORS && !user.emailVerified) {
+      unresolved.push({ email, permission, reason: 'User has not verified their email address' });
+    } else if (user._id.toString() === ownerId.toString()) {
+      unresolved.push({ email, permission, reason: 'Importing user is the owner' });
+    } else if (!resolved.some(collaborator => collaborator.user.equals(user._id))) {
+      resolved.push({ user: user._id, permission });
+    }
+  }
+
+  const whiteboard = await Whiteboard.create({
+    _id: id || crypto.randomUUID(),
+    name: parsed.name,
+    owner: ownerId,
+    isPublic: parsed.isPublic,
+    collaborators: resolved,
+    drawingPaths: parsed.drawingPaths,
+    stickyNotes: parsed.stickyNotes,
+    elements: parsed.elements
+  });
+
+  return {
+    whiteboard,
+    report: {
+      format: parsed.format,
+      sourceId: parsed.sourceId,
+      id: whiteboard._id,
+      drawingPaths: whiteboard.drawingPaths.length,
+      stickyNotes: whiteboard.stickyNotes.length,
+      elements: whiteboard.elements.length,
+      collaboratorsAdded: resolved.length,
+      unresolvedCollaborators: unresolved,
+      approximated: parsed.approximated || [],
+      skipped: parsed.skipped || []
+    }
+  };
+};
+
+module.exports = {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  invalidArchive,
+  validateContent,
+  buildArchive,
+  parseArchive,
+  importArchive
+};
@@ -0,0 +1,49 @@
+const {
+  ARCHIVE_FORMAT,
+  invalidArchive,
+  validateContent,
+  parseArchive
+} = require('./boardArchive');
+const { createImportReport } = require('./importHelpers');
+const { isExcalidraw, fromExcalidraw } = require('./excalidrawImport');
+const { isTldraw, fromTldraw } = require('./tldrawImport');
+
+const CONVERTERS = [
+  { format: 'excalidraw', label: 'Excalidraw', detect: isExcalidraw, convert: fromExcalidraw },
+  { format: 'tldraw', label: 'tldraw', detect: isTldraw, convert: fromTldraw }
+];
+
+// Work out what kind of file was uploaded and turn it into something importArchive
+// can create a board from. External formats go through the same schema validation
+// as archives and carry a report of what couldn't be represented exactly.
+const parseImport = (data, { name } = {}) => {
+  if (!data || typeof data !== 'object') {
+    throw invalidArchive('Import body must be a JSON document');
+  }
+
+  if (data.format === ARCHIVE_FORMAT) {
+    const parsed = parseArchive(data);
+    return name ? { ...parsed, name } : parsed;
+  }
+
+  const converter = CONVERTERS.find(candidate => candidate.detect(data));
+  if (!converter) {
+    throw invalidArchive(`Unrecognised import format; expected a ${ARCHIVE_FORMAT}, Excalidraw or tldraw file`);
+  }
+
+  const report = createImportReport();
+  const converted = converter.convert(data, report);
+  const content = validateContent(converted);
+
+  return {
+    format: converter.format,
+    sourceId: null,
+    name: name || converted.name || `Imported from ${converter.label}`,
+    isPublic: false,
+    ...content,
+    collaborators: [],
+    ...report.toJSON()
+  };
+};
+
+module.exports = { parseImport };
@@ -0,0 +1,213 @@
+// Geometry shared by the board exporters
+
+const DEFAULT_PADDING = 20;
+const DEFAULT_SIZE = { width: 800, height: 600 };
+const NOTE_PADDING = 10;
+const NOTE_FONT_SIZE = 14;
+const NOTE_LINE_HEIGHT = 1.3;
+// Rough average glyph width for a sans-serif font, as a fraction of the font size
+const CHARACTER_WIDTH = 0.55;
+
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|[a-z]{3,20}|rgba?\([\d\s.,%]+\))$/i;
+
+const invalidOption = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const parseBoolean = (value, fallback) => {
+  if (value === undefined) return fallback;
+  return !['false', '0', 'no'].includes(String(value).toLowerCase());
+};
+
+// Options common to all export formats, read from the query string
+const parseExportOptions = (query) => {
+  const scale = query.scale === undefined ? 1 : parseFloat(query.scale);
+  if (!Number.isFinite(scale) || scale < 0.1 || scale > 10) {
+    throw invalidOption('scale must be between 0.1 and 10');
+  }
+
+  const padding = query.padding === undefined ? DEFAULT_PADDING : parseInt(query.padding, 10);
+  if (!Number.isInteger(padding) || padding < 0 || padding > 1000) {
+    throw invalidOption('padding must be between 0 and 1000');
+  }
+
+  const background = query.background || '#ffffff';
+  if (background !== 'transparent' && !COLOR_PATTERN.test(background)) {
+    throw invalidOption('background must be a colour or "transparent"');
+  }
+
+  return {
+    crop: parseBoolean(query.crop, true),
+    padding,
+    background,
+    scale
+  };
+};
+
+// Visible pen strokes only; eraser strokes never extend the drawing
+const pathBounds = (path) => {
+  if (path.tool === 'eraser' || !path.points.length) return null;
+  const half = path.brushSize / 2;
+  const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+  for (const { x, y } of path.points) {
+    bounds.minX = Math.min(bounds.minX, x - half);
+    bounds.minY = Math.min(bounds.minY, y - half);
+    bounds.maxX = Math.max(bounds.maxX, x + half);
+    bounds.maxY = Math.max(bounds.maxY, y + half);
+  }
+  return bounds;
+};
+
+const noteBounds = (note) => ({
+  minX: note.x,
+  minY: note.y,
+  maxX: note.x + note.width,
+  maxY: note.y + note.height
+});
+
+// Where a connector end meets the edge of the note it is bound to, heading towards `other`
+const edgePoint = (note, other) => {
+  const center = { x: note.x + note.width / 2, y: note.y + note.height / 2 };
+  const dx = other.x - center.x;
+  const dy = other.y - center.y;
+  if (!dx && !dy) return center;
+  const scale = Math.min(
+    1,
+    dx ? note.width / 2 / Math.abs(dx) : Infinity,
+    dy ? note.height / 2 / Math.abs(dy) : Infinity
+  );
+  return { x: center.x + dx * scale, y: center.y + dy * scale };
+};
+
+// Resolve a line or arrow's ends, following any sticky notes they are bound to.
+// `notesById` maps note ids to notes; unbound or dangling ends use their stored x/y.
+const connectorPoints = (element, notesById) => {
+  const boundNote = (endpoint) => (endpoint.noteId && notesById.get(endpoint.noteId)) || null;
+  const anchor = (endpoint) => {
+    const note = boundNote(endpoint);
+    return note ? { x: note.x + note.width / 2, y: note.y + note.height / 2 } : endpoint;
+  };
+
+  const startNote = boundNote(element.start);
+  const endNote = boundNote(element.end);
+  const start = startNote ? edgePoint(startNote, anchor(element.end)) : element.start;
+  const end = endNote ? edgePoint(endNote, anchor(element.start)) : element.end;
+  return [{ x: start.x, y: start.y }, { x: end.x, y: end.y }];
+};
+
+// The two back corners of an arrowhead pointing from `from` to `to`
+const arrowHead = (from, to, strokeWidth) => {
+  const length = Math.max(10, strokeWidth * 4);
+  const angle = Math.atan2(to.y - from.y, to.x - from.x);
+  const spread = Math.PI / 7;
+  return [angle - spread, angle + spread].map(side => ({
+    x: to.x - length * Math.cos(side),
+    y: to.y - length * Math.sin(side)
+  }));
+};
+
+const elementBounds = (element, notesById) => {
+  if (element.type === 'line' || element.type === 'arrow') {
+    const points = connectorPoints(element, notesById);
+    if (element.type === 'arrow') points.push(...arrowHead(points[0], points[1], element.strokeWidth));
+    const half = element.strokeWidth / 2;
+    return {
+      minX: Math.min(...points.map(point => point.x)) - half,
+      minY: Math.min(...points.map(point => point.y)) - half,
+      maxX: Math.max(...points.map(point => point.x)) + half,
+      maxY: Math.max(...points.map(point => point.y)) + half
+    };
+  }
+  const half = element.type === 'text' || element.type === 'image' ? 0 : element.strokeWidth / 2;
+  return {
+    minX: element.x - half,
+    minY: element.y - half,
+    maxX: element.x + element.width + half,
+    maxY: element.y + element.height + half
+  };
+};
+
+const notesById = (whiteboard) => new Map(whiteboard.stickyNotes.map(note => [note.id, note]));
+
+// The area to export: the content's bounding box (plus padding) when cropping,
+// otherwise everything from the board origin to the far edge of the content
+const contentBounds = (whiteboard, { crop, padding }) => {
+  const notes = notesById(whiteboard);
+  const boxes = [
+    ...whiteboard.drawingPaths.map(pathBounds),
+    ...whiteboard.stickyNotes.map(noteBounds),
+    ...(whiteboard.elements || []).map(element => elementBounds(element, notes))
+  ].filter(Boolean);
+
+  if (!boxes.length) {
+    return { x: 0, y: 0, ...DEFAULT_SIZE };
+  }
+
+  const minX = Math.min(...boxes.map(box => box.minX));
+  const minY = Math.min(...boxes.map(box => box.minY));
+  const maxX = Math.max(...boxes.map(box => box.maxX));
+  const maxY = Math.max(...boxes.map(box => box.maxY));
+
+  if (!crop) {
+    const x = Math.min(0, minX);
+    const y = Math.min(0, minY);
+    return { x, y, width: maxX - x, height: maxY - y };
+  }
+
+  return {
+    x: minX - padding,
+    y: minY - padding,
+    width: maxX - minX + padding * 2,
+    height: maxY - minY + padding * 2
+  };
+};
+
+// Greedy word wrap into lines that fit the note (or text box), dropping lines that would overflow it
+const wrapNoteText = (note, fontSize = NOTE_FONT_SIZE, text = note.text) => {
+  const maxCharacters = Math.max(1, Math.floor((note.width - NOTE_PADDING * 2) / (fontSize * CHARACTER_WIDTH)));
+  const maxLines = Math.max(0, Math.floor((note.height - NOTE_PADDING * 2) / (fontSize * NOTE_LINE_HEIGHT)));
+  const lines = [];
+
+  for (const paragraph of String(text || '').split('\n')) {
+    let line = '';
+    for (let word of paragraph.split(/\s+/).filter(Boolean)) {
+      // Break words longer than a whole line
+      while (word.length > maxCharacters) {
+        if (line) {
+          lines.push(line);
+          line = '';
+        }
+        lines.push(word.slice(0, maxCharacters));
+        word = word.slice(maxCharacters);
+      }
+      if (!word) continue;
+
+      const candidate = line ? `${line} ${word}` : word;
+      if (candidate.length > maxCharacters) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+
+  return lines.slice(0, maxLines);
+};
+
+module.exports = {
+  NOTE_PADDING,
+  NOTE_FONT_SIZE,
+  NOTE_LINE_HEIGHT,
+  invalidOption,
+  parseBoolean,
+  parseExportOptions,
+  contentBounds,
+  notesById,
+  connectorPoints,
+  arrowHead,
+  wrapNoteText
+};
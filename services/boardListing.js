@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const Workspace = require('../models/Workspace');
+const { parseBoolean } = require('./boardLayout');
+
+// Options for GET /api/whiteboards:
+//   filter         owned | shared | public (default: owned, shared and workspace boards)
+//   workspace      only boards in this workspace (the user must be a member)
+//   includePublic  also list other people's public boards (default false)
+//   modifiedSince  only boards modified after this date
+//   q              case-insensitive search in board names
+//   sort           lastModified | createdAt | name (default lastModified)
+//   order          asc | desc (default desc, asc for name)
+//   limit          page size, 1-100 (default 50)
+//   cursor         nextCursor from the previous page
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+const MAX_QUERY_LENGTH = 100;
+const FILTERS = ['owned', 'shared', 'public'];
+const SORT_FIELDS = ['lastModified', 'createdAt', 'name'];
+const DATE_FIELDS = ['lastModified', 'createdAt'];
+
+const listError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Cursors are opaque to clients: the last board's sort value and id
+const encodeCursor = (board, sort) => Buffer.from(JSON.stringify({
+  v: board[sort] instanceof Date ? board[sort].toISOString() : board[sort],
+  id: board._id
+})).toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof id !== 'string' || typeof v !== 'string') throw new Error('Malformed cursor');
+    const value = DATE_FIELDS.includes(sort) ? new Date(v) : v;
+    if (value instanceof Date && Number.isNaN(value.getTime())) throw new Error('Malformed cursor');
+    return { value, id };
+  } catch (error) {
+    throw listError('Invalid cursor');
+  }
+};
+
+// Validate the query string. Throws errors with status 400.
+const parseListOptions = (query) => {
+  const single = (name) => {
+    const value = query[name];
+    if (Array.isArray(value)) throw listError(`${name} may only be given once`);
+    return value;
+  };
+
+  const filter = single('filter');
+  if (filter !== undefined && !FILTERS.includes(filter)) {
+    throw listError(`filter must be one of: ${FILTERS.join(', ')}`);
+  }
+
+  const workspace = single('workspace');
+  if (workspace !== undefined && !mongoose.isValidObjectId(workspace)) {
+    throw listError('workspace must be a workspace id');
+  }
+
+  let modifiedSince;
+  if (single('modifiedSince') !== undefined) {
+    modifiedSince = new Date(query.modifiedSince);
+    if (Number.isNaN(modifiedSince.getTime())) throw listError('modifiedSince must be a date');
+  }
+
+  const q = single('q');
+  if (q !== undefined && q.length > MAX_QUERY_LENGTH) {
+    throw listError(`q must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  const sort = single('sort') || 'lastModified';
+  if (!SORT_FIELDS.includes(sort)) {
+    throw listError(`sort must be one of: ${SORT_FIELDS.join(', ')}`);
+  }
+
+  const order = single('order') || (sort === 'name' ? 'asc' : 'desc');
+  if (!['asc', 'desc'].includes(order)) throw listError('order must be asc or desc');
+
+  let limit = DEFAULT_LIMIT;
+  if (single('limit') !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw listError(`limit must be a whole number from 1 to ${MAX_LIMIT}`);
+    }
+  }
+
+  const cursor = single('cursor');
+
+  return {
+    filter,
+    workspace,
+    includePublic: parseBoolean(single('includePublic'), false),
+    modifiedSince,
+    q: q ? q.trim() : '',
+    sort,
+    order,
+    limit,
+    cursor: cursor ? decodeCursor(cursor, sort) : null
+  };
+};
+
+// The MongoDB filter for a user's listing. Resolves with null when the listing
+// is certainly empty (e.g. a workspace they don't belong to).
+const buildListFilter = async (userId, options) => {
+  const conditions = [];
+  const userObjectId = new mongoose.Types.ObjectId(String(userId));
+
+  if (options.workspace) {
+    const workspace = await Workspace.findById(options.workspace).select('members');
+    if (!workspace || !workspace.roleOf(userId)) return null;
+    conditions.push({ workspace: workspace._id });
+  }
+
+  if (options.filter === 'owned') {
+    conditions.push({ owner: userObjectId });
+  } else if (options.filter === 'shared') {
+    conditions.push({ 'collaborators.user': userObjectId, owner: { $ne: userObjectId } });
+  } else if (options.filter === 'public') {
+    conditions.push({ isPublic: true });
+  } else if (!options.workspace) {
+    const workspaces = await Workspace.find({ 'members.user': userObjectId }).select('_id');
+    const access = [
+      { owner: userObjectId },
+      { 'collaborators.user': userObjectId },
+      { workspace: { $in: workspaces.map(workspace => workspace._id) } }
+    ];
+    // Strangers' public boards only when asked for
+    if (options.includePublic) access.push({ isPublic: true });
+    conditions.push({ $or: access });
+  }
+
+  if (options.modifiedSince) {
+    conditions.push({ lastModified: { $gt: options.modifiedSince } });
+  }
+
+  if (options.q) {
+    conditions.push({ name: { $regex: escapeRegExp(options.q), $options: 'i' } });
+  }
+
+  // Continue after the last board of the previous page, with the id breaking ties
+  if (options.cursor) {
+    const comparison = options.order === 'asc' ? '$gt' : '$lt';
+    const { value, id } = options.cursor;
+    conditions.push({
+      $or: [
+        { [options.sort]: { [comparison]: value } },
+        { [options.sort]: value, _id: { [comparison]: id } }
+      ]
+    });
+  }
+
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+};
+
+const sortSpec = ({ sort, order }) => {
+  const direction = order === 'asc' ? 1 : -1;
+  return { [sort]: direction, _id: direction };
+};
+
+// Names sort case-insensitively; the cursor comparison uses the same collation
+const collationFor = ({ sort }) => (sort === 'name' ? { locale: 'en', strength: 2 } : null);
+
+module.exports = { parseListOptions, buildListFilter, sortSpec, collationFor, encodeCursor };
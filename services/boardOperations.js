@@ -0,0 +1,315 @@
+const Whiteboard = require('../models/Whiteboard');
+
+const OPERATION_TYPES = [
+  'add-path',
+  'delete-path',
+  'upsert-note',
+  'delete-note',
+  'upsert-element',
+  'delete-element',
+  'clear'
+];
+const NOTE_FIELDS = ['text', 'x', 'y', 'width', 'height', 'color'];
+
+const StickyNoteSchema = Whiteboard.schema.path('stickyNotes').schema;
+
+const invalidOperation = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Cast a subdocument through the Whiteboard schema so defaults and validation
+// match a normal save. Returns the first validation message instead of throwing.
+const castSubdocument = (field, value) => {
+  const board = new Whiteboard({ [field]: [value] });
+  const validationError = board.validateSync([field]);
+  if (validationError) {
+    return { error: Object.values(validationError.errors)[0].message };
+  }
+  return { doc: board[field][0].toObject() };
+};
+
+const castPath = (path) => {
+  if (!path || typeof path.id !== 'string' || !path.id) {
+    throw invalidOperation('Path id is required');
+  }
+
+  const { doc, error } = castSubdocument('drawingPaths', path);
+  if (error) {
+    throw invalidOperation(error);
+  }
+  return doc;
+};
+
+// Elements are always sent whole, so an upsert replaces the stored element
+const castElement = (element) => {
+  if (!element || typeof element.id !== 'string' || !element.id) {
+    throw invalidOperation('Element id is required');
+  }
+
+  const { doc, error } = castSubdocument('elements', element);
+  if (error) {
+    throw invalidOperation(error);
+  }
+  return doc;
+};
+
+// Notes may be partial updates, so only the fields present are cast.
+// A full note (one that passes validation) can also be inserted if it doesn't exist yet.
+const castNote = (note) => {
+  if (!note || typeof note.id !== 'string' || !note.id) {
+    throw invalidOperation('Note id is required');
+  }
+
+  const fields = {};
+  for (const field of NOTE_FIELDS) {
+    if (note[field] === undefined) continue;
+    try {
+      fields[field] = StickyNoteSchema.path(field).cast(note[field]);
+    } catch (error) {
+      throw invalidOperation(`Invalid value for note ${field}`);
+    }
+    // Partial updates get the same checks as whole notes, e.g. text can't be emptied
+    const validationError = StickyNoteSchema.path(field).doValidateSync(fields[field], note);
+    if (validationError) {
+      throw invalidOperation(validationError.message);
+    }
+  }
+  fields.timestamp = new Date();
+
+  const { doc } = castSubdocument('stickyNotes', { id: note.id, ...fields });
+
+  return { id: note.id, fields, insertable: Boolean(doc), full: doc || null };
+};
+
+// Validate a client-supplied operation and return it in canonical form.
+// An optional baseRevision is the board revision the client last loaded.
+const normalizeOperation = (operation) => {
+  if (!operation || !OPERATION_TYPES.includes(operation.type)) {
+    throw invalidOperation(`Operation type must be one of: ${OPERATION_TYPES.join(', ')}`);
+  }
+
+  const normalized = normalizeContent(operation);
+  if (operation.baseRevision !== undefined && operation.baseRevision !== null) {
+    if (!Number.isInteger(operation.baseRevision) || operation.baseRevision < 0) {
+      throw invalidOperation('baseRevision must be a non-negative integer');
+    }
+    normalized.baseRevision = operation.baseRevision;
+  }
+  return normalized;
+};
+
+const normalizeContent = (operation) => {
+  switch (operation.type) {
+    case 'add-path':
+      return { type: 'add-path', path: castPath(operation.path) };
+    case 'upsert-note':
+      return { type: 'upsert-note', note: castNote(operation.note) };
+    case 'upsert-element':
+      return { type: 'upsert-element', element: castElement(operation.element) };
+    case 'delete-path':
+    case 'delete-note':
+    case 'delete-element':
+      if (typeof operation.id !== 'string' || !operation.id) {
+        throw invalidOperation(`An id is required for ${operation.type}`);
+      }
+      return { type: operation.type, id: operation.id };
+    default:
+      return { type: 'clear' };
+  }
+};
+
+// The wire format clients send and receive, without the server's casting details
+const toClientOperation = (operation) => {
+  switch (operation.type) {
+    case 'add-path':
+      return { type: 'add-path', path: operation.path };
+    case 'upsert-note': {
+      const { timestamp, ...fields } = operation.note.fields;
+      return { type: 'upsert-note', note: { id: operation.note.id, ...fields } };
+    }
+    case 'upsert-element':
+      return { type: 'upsert-element', element: operation.element };
+    case 'delete-path':
+    case 'delete-note':
+    case 'delete-element':
+      return { type: operation.type, id: operation.id };
+    default:
+      return { type: 'clear' };
+  }
+};
+
+const withoutId = (field, id) => ({
+  $filter: {
+    input: { $ifNull: [`$${field}`, []] },
+    cond: { $ne: ['$$this.id', { $literal: id }] }
+  }
+});
+
+// Each operation becomes one $set stage, so the pipeline replays them in order
+// and MongoDB applies the whole batch to the document atomically.
+const toStage = (operation) => {
+  const stage = toContentStage(operation);
+  if (operation.baseRevision === undefined) return stage;
+
+  // The client edited a board that has since been replaced wholesale: leave the
+  // fields untouched rather than applying the edit to content it never saw
+  const stale = { $gt: [{ $ifNull: ['$replacedAtRevision', 0] }, operation.baseRevision] };
+  const guarded = {};
+  for (const [field, value] of Object.entries(stage.$set)) {
+    guarded[field] = { $cond: [stale, `$${field}`, value] };
+  }
+  return { $set: guarded };
+};
+
+// A stale operation is one the guard in toStage skipped
+const isStaleOperation = (operation, whiteboard) =>
+  operation.baseRevision !== undefined && operation.baseRevision < whiteboard.replacedAtRevision;
+
+const toContentStage = (operation) => {
+  switch (operation.type) {
+    case 'add-path':
+      return {
+        $set: {
+          drawingPaths: {
+            $concatArrays: [withoutId('drawingPaths', operation.path.id), [{ $literal: operation.path }]]
+          }
+        }
+      };
+    case 'delete-path':
+      return { $set: { drawingPaths: withoutId('drawingPaths', operation.id) } };
+    case 'upsert-note': {
+      const { id, fields, insertable, full } = operation.note;
+      const notes = { $ifNull: ['$stickyNotes', []] };
+      // Socket edits arrive with the version the room assigned; anything else bumps it
+      const nextVersion = fields.version === undefined
+        ? { version: { $add: [{ $ifNull: ['$$this.version', 0] }, 1] } }
+        : {};
+      return {
+        $set: {
+          stickyNotes: {
+            $cond: [
+              { $in: [{ $literal: id }, { $map: { input: notes, in: '$$this.id' } }] },
+              {
+                $map: {
+                  input: notes,
+                  in: {
+                    $cond: [
+                      { $eq: ['$$this.id', { $literal: id }] },
+                      { $mergeObjects: ['$$this', { $literal: fields }, nextVersion] },
+                      '$$this'
+                    ]
+                  }
+                }
+              },
+              insertable ? { $concatArrays: [notes, [{ $literal: full }]] } : notes
+            ]
+          }
+        }
+      };
+    }
+    case 'delete-note':
+      return { $set: { stickyNotes: withoutId('stickyNotes', operation.id) } };
+    case 'upsert-element': {
+      const { element } = operation;
+      const elements = { $ifNull: ['$elements', []] };
+      // Replace in place so an edited element keeps its stacking order
+      return {
+        $set: {
+          elements: {
+            $cond: [
+              { $in: [{ $literal: element.id }, { $map: { input: elements, in: '$$this.id' } }] },
+              {
+                $map: {
+                  input: elements,
+                  in: { $cond: [{ $eq: ['$$this.id', { $literal: element.id }] }, { $literal: element }, '$$this'] }
+                }
+              },
+              { $concatArrays: [elements, [{ $literal: element }]] }
+            ]
+          }
+        }
+      };
+    }
+    case 'delete-element':
+      return { $set: { elements: withoutId('elements', operation.id) } };
+    default:
+      return { $set: { drawingPaths: [], stickyNotes: [], elements: [] } };
+  }
+};
+
+const buildUpdatePipeline = (operations) => [
+  ...operations.map(toStage),
+  {
+    $set: {
+      lastModified: '$$NOW',
+      revision: { $add: [{ $ifNull: ['$revision', 0] }, 1] }
+    }
+  }
+];
+
+const revisionFilter = (whiteboardId, expectedRevision) => (
+  expectedRevision === undefined
+    ? { _id: whiteboardId }
+    : { _id: whiteboardId, revision: expectedRevision }
+);
+
+// Apply an ordered list of normalized operations to a whiteboard in a single update.
+// Resolves with the board's new revision fields, or null if it doesn't exist
+// (or, when expectedRevision is given, if the board has moved past it).
+const applyOperations = async (whiteboardId, operations, { expectedRevision } = {}) => {
+  if (!operations.length) return null;
+
+  return Whiteboard.findOneAndUpdate(
+    revisionFilter(whiteboardId, expectedRevision),
+    buildUpdatePipeline(operations),
+    { new: true }
+  ).select('revision replacedAtRevision lastModified');
+};
+
+// Replace a board's content wholesale, recording the revision so in-flight
+// operations based on the old content can be detected. Elements are left alone
+// when not given, for clients that only know about paths and notes.
+const replaceContent = async (whiteboardId, { drawingPaths, stickyNotes, elements }, { expectedRevision } = {}) => {
+  const fields = elements === undefined
+    ? ['drawingPaths', 'stickyNotes']
+    : ['drawingPaths', 'stickyNotes', 'elements'];
+  const board = new Whiteboard({ drawingPaths, stickyNotes, elements });
+  const validationError = board.validateSync(fields);
+  if (validationError) {
+    throw invalidOperation(Object.values(validationError.errors)[0].message);
+  }
+
+  const content = board.toObject();
+  const replaced = {};
+  for (const field of fields) {
+    replaced[field] = { $literal: content[field] };
+  }
+
+  return Whiteboard.findOneAndUpdate(
+    revisionFilter(whiteboardId, expectedRevision),
+    [
+      {
+        $set: {
+          ...replaced,
+          lastModified: '$$NOW',
+          revision: { $add: [{ $ifNull: ['$revision', 0] }, 1] }
+        }
+      },
+      { $set: { replacedAtRevision: '$revision' } }
+    ],
+    { new: true }
+  ).populate('owner', 'username email');
+};
+
+module.exports = {
+  OPERATION_TYPES,
+  NOTE_FIELDS,
+  normalizeOperation,
+  toClientOperation,
+  buildUpdatePipeline,
+  isStaleOperation,
+  applyOperations,
+  replaceContent
+};
@@ -0,0 +1,155 @@
+// Finding where a search matched inside a board, for GET /api/whiteboards/search.
+// MongoDB's text index picks the boards; this module points at the board name,
+// sticky notes and text elements that contain the search terms.
+
+const { newStemmer } = require('snowball-stemmers');
+
+const SNIPPET_CONTEXT = 40;
+const MAX_MATCHES_PER_BOARD = 10;
+const MAX_QUERY_LENGTH = 200;
+
+const searchError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The text index's default language is English, which MongoDB stems with Snowball
+const stemmer = newStemmer('english');
+
+// Words as the text index splits them: runs of letters and digits between
+// whitespace and punctuation
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}_]+/gu;
+
+// What the text index stores for a word: case and diacritics folded, then stemmed
+const indexKey = (word) => stemmer.stem(word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase());
+
+// The words (as index keys) and quoted phrases of a $text query, minus negated ones
+const searchTerms = (q) => {
+  const words = new Set();
+  const phrases = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+  while ((match = pattern.exec(q)) !== null) {
+    if (match[1] || match[3]) continue;
+    if (match[2] !== undefined) {
+      const phrase = match[2].trim();
+      if (phrase) phrases.push(phrase);
+    } else {
+      for (const word of match[4].match(WORD_PATTERN) || []) words.add(indexKey(word));
+    }
+  }
+  return { words, phrases };
+};
+
+// Validate the search string. Throws errors with status 400.
+const parseSearchQuery = (q) => {
+  if (typeof q !== 'string' || !q.trim()) {
+    throw searchError('Search query q is required');
+  }
+  if (q.length > MAX_QUERY_LENGTH) {
+    throw searchError(`q must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+  const terms = searchTerms(q.trim());
+  if (terms.words.size === 0 && terms.phrases.length === 0) {
+    throw searchError('Search query needs at least one term that is not excluded');
+  }
+  return { q: q.trim(), terms };
+};
+
+// Where the terms occur in text, in order and without overlaps. Words match the
+// way the index matched them, so "plans" finds "planning"; phrases match as typed,
+// ignoring case.
+const hitsIn = (text, { words, phrases }) => {
+  const hits = [];
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    if (words.has(indexKey(match[0]))) {
+      hits.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+  if (phrases.length) {
+    for (const match of text.matchAll(new RegExp(phrases.map(escapeRegExp).join('|'), 'gi'))) {
+      hits.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  hits.sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const hit of hits) {
+    const previous = merged[merged.length - 1];
+    if (previous && hit.start <= previous.end) {
+      previous.end = Math.max(previous.end, hit.end);
+    } else {
+      merged.push({ ...hit });
+    }
+  }
+  return merged;
+};
+
+// A stretch of text around the first hit with the positions of every hit in it,
+// or null if no term appears. Positions are [start, end) offsets into the snippet.
+const snippetFor = (text, terms) => {
+  const hits = hitsIn(text, terms);
+  if (hits.length === 0) return null;
+
+  const from = Math.max(0, hits[0].start - SNIPPET_CONTEXT);
+  const to = Math.min(text.length, hits[0].end + SNIPPET_CONTEXT * 2);
+  const prefix = from > 0 ? '…' : '';
+  const suffix = to < text.length ? '…' : '';
+
+  return {
+    snippet: `${prefix}${text.slice(from, to)}${suffix}`,
+    highlights: hits
+      .filter(hit => hit.start >= from && hit.end <= to)
+      .map(hit => ({ start: hit.start - from + prefix.length, end: hit.end - from + prefix.length }))
+  };
+};
+
+// Where the terms appear in a board: its name, sticky notes (with coordinates so
+// the client can jump to them) and text elements
+const findMatches = (whiteboard, terms) => {
+  const matches = [];
+
+  const name = snippetFor(whiteboard.name || '', terms);
+  if (name) matches.push({ field: 'name', ...name });
+
+  for (const note of whiteboard.stickyNotes || []) {
+    if (matches.length >= MAX_MATCHES_PER_BOARD) break;
+    const hit = snippetFor(note.text || '', terms);
+    if (hit) {
+      matches.push({
+        field: 'stickyNote',
+        id: note.id,
+        x: note.x,
+        y: note.y,
+        width: note.width,
+        height: note.height,
+        ...hit
+      });
+    }
+  }
+
+  for (const element of whiteboard.elements || []) {
+    if (matches.length >= MAX_MATCHES_PER_BOARD) break;
+    if (!element.text) continue;
+    const hit = snippetFor(element.text, terms);
+    if (hit) {
+      matches.push({
+        field: 'element',
+        id: element.id,
+        type: element.type,
+        x: element.x,
+        y: element.y,
+        width: element.width,
+        height: element.height,
+        ...hit
+      });
+    }
+  }
+
+  return matches;
+};
+
+module.exports = { parseSearchQuery, findMatches };
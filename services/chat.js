@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const ChatMessage = require('../models/ChatMessage');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+const chatError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// What clients see of a message
+const toClientMessage = (message) => ({
+  id: message._id,
+  whiteboardId: message.whiteboard,
+  userId: message.authorId,
+  username: message.username,
+  isGuest: message.isGuest,
+  text: message.text,
+  createdAt: message.createdAt
+});
+
+// Store a message from a room member. Throws errors with a status.
+const postMessage = async (whiteboardId, sender, text) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw chatError(400, 'Message text is required');
+  }
+
+  try {
+    const message = await ChatMessage.create({
+      whiteboard: whiteboardId,
+      authorId: sender.userId,
+      author: sender.isGuest ? undefined : sender.userId,
+      username: sender.username,
+      isGuest: Boolean(sender.isGuest),
+      text
+    });
+    return toClientMessage(message);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      throw chatError(400, Object.values(error.errors)[0].message);
+    }
+    throw error;
+  }
+};
+
+// A page of a board's history, oldest first. Pass the previous page's
+// nextCursor as `before` to go further back.
+const listMessages = async (whiteboardId, { before, limit } = {}) => {
+  const pageSize = limit === undefined ? DEFAULT_PAGE_SIZE : Number(limit);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw chatError(400, `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`);
+  }
+
+  const filter = { whiteboard: whiteboardId };
+  if (before !== undefined) {
+    if (!mongoose.isValidObjectId(before)) {
+      throw chatError(400, 'Invalid cursor');
+    }
+    filter._id = { $lt: before };
+  }
+
+  const results = await ChatMessage.find(filter).sort({ _id: -1 }).limit(pageSize + 1);
+  const hasMore = results.length > pageSize;
+  const page = (hasMore ? results.slice(0, pageSize) : results).reverse();
+
+  return {
+    messages: page.map(toClientMessage),
+    nextCursor: hasMore ? page[0]._id : null,
+    hasMore
+  };
+};
+
+// Delete a message if the requester wrote it or administers the board.
+// Resolves with the deleted message; throws errors with a status.
+const deleteMessage = async (whiteboardId, messageId, requester) => {
+  if (!mongoose.isValidObjectId(messageId)) {
+    throw chatError(404, 'Message not found');
+  }
+
+  const message = await ChatMessage.findOne({ _id: messageId, whiteboard: whiteboardId });
+  if (!message) {
+    throw chatError(404, 'Message not found');
+  }
+  if (message.authorId !== requester.userId && !requester.isAdmin) {
+    throw chatError(403, 'Only the author or a board admin can delete a message');
+  }
+
+  await ChatMessage.deleteOne({ _id: message._id });
+  return toClientMessage(message);
+};
+
+module.exports = { postMessage, listMessages, deleteMessage };
@@ -0,0 +1,106 @@
+const User = require('../models/User');
+const roomState = require('./roomState');
+const { resolveBoardRole, roleAllows } = require('./boardAccess');
+const { sendMail, clientUrl } = require('./mailer');
+
+const MENTION_PATTERN = /(^|[^\w@])@([A-Za-z0-9_.-]{3,30})/g;
+
+const commentError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Editors can always comment; view-only members can when the owner allows it.
+// People who can only see a board because it's public can't.
+const canComment = (whiteboard, role) =>
+  roleAllows(role, 'edit') || (role === 'view' && Boolean(whiteboard.allowViewerComments));
+
+// Find the object an anchor points at, in the live room if the board is open
+const findTarget = (whiteboard, type, targetId) => {
+  const room = roomState.get(whiteboard._id);
+  if (type === 'note') {
+    return room ? room.notes.get(targetId) : whiteboard.stickyNotes.find(note => note.id === targetId);
+  }
+  if (type === 'path') {
+    return room ? room.paths.get(targetId) : whiteboard.drawingPaths.find(path => path.id === targetId);
+  }
+  return room ? room.elements.get(targetId) : whiteboard.elements.find(element => element.id === targetId);
+};
+
+// Turn a request body anchor into { type, x, y, targetId }. Accepts { x, y } or
+// one of { noteId }, { pathId }, { elementId }. Throws errors with a status.
+const resolveAnchor = (whiteboard, anchor) => {
+  if (!anchor || typeof anchor !== 'object') {
+    throw commentError(400, 'anchor is required');
+  }
+
+  const targets = [['note', anchor.noteId], ['path', anchor.pathId], ['element', anchor.elementId]]
+    .filter(([, id]) => id !== undefined);
+  if (targets.length > 1) {
+    throw commentError(400, 'Anchor to one of noteId, pathId or elementId');
+  }
+
+  if (targets.length === 0) {
+    const x = Number(anchor.x);
+    const y = Number(anchor.y);
+    if (anchor.x === undefined || anchor.y === undefined || !Number.isFinite(x) || !Number.isFinite(y)) {
+      throw commentError(400, 'anchor needs x and y, or a noteId, pathId or elementId');
+    }
+    return { type: 'point', x, y };
+  }
+
+  const [type, targetId] = targets[0];
+  const target = findTarget(whiteboard, type, String(targetId));
+  if (!target) {
+    throw commentError(404, `No ${type} with id ${targetId} on this whiteboard`);
+  }
+
+  // Remember where the object was, in case it's deleted later
+  let point = { x: target.x, y: target.y };
+  if (type === 'path') point = target.points && target.points[0] ? target.points[0] : { x: 0, y: 0 };
+  else if (target.start) point = target.start;
+  return { type, x: point.x, y: point.y, targetId: String(targetId) };
+};
+
+// Users named with @username who are members of the board (not just public viewers)
+const resolveMentions = async (whiteboard, text) => {
+  const usernames = new Set();
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    usernames.add(match[2]);
+  }
+  if (usernames.size === 0) return [];
+
+  const users = await User.find({ username: { $in: Array.from(usernames) }, isActive: true })
+    .select('username email');
+  const members = [];
+  for (const user of users) {
+    const role = await resolveBoardRole(whiteboard, user._id);
+    if (role && role !== 'viewer') members.push(user);
+  }
+  return members;
+};
+
+// Email people who were mentioned. Failures are logged, not thrown.
+const notifyMentions = async (whiteboard, author, mentioned, text) => {
+  for (const user of mentioned) {
+    if (user._id.toString() === author._id.toString()) continue;
+    try {
+      await sendMail({
+        to: user.email,
+        subject: `${author.username} mentioned you on "${whiteboard.name}"`,
+        text: [
+          `${author.username} mentioned you in a comment on "${whiteboard.name}":`,
+          '',
+          text,
+          '',
+          `Open the whiteboard: ${clientUrl(`/whiteboard/${encodeURIComponent(whiteboard._id)}`)}`
+        ].join('\n')
+      });
+    } catch (error) {
+      console.error('Mention notification error:', error);
+    }
+  }
+};
+
+module.exports = { canComment, resolveAnchor, resolveMentions, notifyMentions };
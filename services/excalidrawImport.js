@@ -0,0 +1,150 @@
+const {
+  isFiniteNumber,
+  rotatePoint,
+  rectangleOutline,
+  diamondOutline,
+  ellipseOutline
+} = require('./importHelpers');
+const { NOTE_PADDING } = require('./boardLayout');
+
+const OUTLINES = {
+  rectangle: rectangleOutline,
+  diamond: diamondOutline,
+  ellipse: ellipseOutline
+};
+// Shapes with a matching board element when they aren't rotated
+const ELEMENT_SHAPES = ['rectangle', 'ellipse'];
+const SKIP_REASONS = {
+  image: 'Images are not supported',
+  frame: 'Frame borders are not imported; their contents are',
+  magicframe: 'Frame borders are not imported; their contents are',
+  embeddable: 'Embedded content is not supported',
+  iframe: 'Embedded content is not supported'
+};
+
+const isExcalidraw = (data) =>
+  typeof data.type === 'string' && data.type.startsWith('excalidraw') && Array.isArray(data.elements);
+
+const strokeOf = (element) => ({
+  color: element.strokeColor || '#000000',
+  brushSize: Math.max(1, element.strokeWidth || 1),
+  tool: 'pen'
+});
+
+const hasBox = (element) =>
+  [element.x, element.y, element.width, element.height].every(isFiniteNumber);
+
+// Excalidraw rotates elements around the centre of their bounding box
+const rotateAll = (points, angle) => {
+  if (!angle || !points.length) return points;
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  const center = {
+    x: (Math.min(...xs) + Math.max(...xs)) / 2,
+    y: (Math.min(...ys) + Math.max(...ys)) / 2
+  };
+  return points.map(point => rotatePoint(point, center, angle));
+};
+
+// Freehand, line and arrow points are [dx, dy] pairs relative to the element
+const linearPoints = (element) => (Array.isArray(element.points) ? element.points : [])
+  .filter(point => Array.isArray(point) && isFiniteNumber(point[0]) && isFiniteNumber(point[1]))
+  .map(([dx, dy]) => ({ x: element.x + dx, y: element.y + dy }));
+
+const styleOf = (element) => ({
+  strokeColor: element.strokeColor || '#000000',
+  fillColor: element.backgroundColor || 'transparent',
+  strokeWidth: Math.max(0, element.strokeWidth || 0)
+});
+
+// Text bound to a shape becomes a note filling that shape
+const noteFromText = (element, container) => {
+  const note = {
+    id: element.id,
+    text: element.originalText || element.text,
+    x: container.x,
+    y: container.y,
+    width: container.width,
+    height: container.height
+  };
+  if (container.backgroundColor && container.backgroundColor !== 'transparent') {
+    note.color = container.backgroundColor;
+  }
+  return note;
+};
+
+// Free-standing text becomes a text box; the board pads text inside its box
+const textElement = (id, element) => ({
+  id,
+  type: 'text',
+  text: element.originalText || element.text,
+  x: element.x - NOTE_PADDING,
+  y: element.y - NOTE_PADDING,
+  width: element.width + NOTE_PADDING * 2,
+  height: element.height + NOTE_PADDING * 2,
+  fontSize: isFiniteNumber(element.fontSize) ? element.fontSize : 16,
+  strokeColor: element.strokeColor || '#000000'
+});
+
+// Convert an Excalidraw scene (.excalidraw file or clipboard payload) to board content
+const fromExcalidraw = (scene, report) => {
+  const elements = scene.elements.filter(element => element && typeof element === 'object' && !element.isDeleted);
+  const byId = new Map(elements.map(element => [element.id, element]));
+  const drawingPaths = [];
+  const stickyNotes = [];
+  const boardElements = [];
+
+  elements.forEach((element, index) => {
+    const id = typeof element.id === 'string' && element.id ? element.id : `excalidraw-${index}`;
+    const type = element.type || 'unknown';
+
+    if (type === 'freedraw' || type === 'line' || type === 'arrow') {
+      const points = rotateAll(linearPoints(element), element.angle);
+      if (!points.length || !isFiniteNumber(element.x) || !isFiniteNumber(element.y)) {
+        return report.skip(type, 'Element has no points');
+      }
+      // Straight two-point lines and arrows map directly; bindings to shapes are dropped
+      if (type !== 'freedraw' && points.length === 2) {
+        const [start, end] = points;
+        boardElements.push({ id, type, start, end, ...styleOf(element), fillColor: 'transparent' });
+        return;
+      }
+      drawingPaths.push({ id, points, ...strokeOf(element) });
+      if (type !== 'freedraw') report.approximate(type, 'drawing path');
+      return;
+    }
+
+    if (OUTLINES[type]) {
+      if (!hasBox(element)) return report.skip(type, 'Element has no size');
+      if (ELEMENT_SHAPES.includes(type) && !element.angle) {
+        const { x, y, width, height } = element;
+        boardElements.push({ id, type, x, y, width, height, ...styleOf(element) });
+        return;
+      }
+      const outline = OUTLINES[type](element.x, element.y, element.width, element.height);
+      drawingPaths.push({ id, points: rotateAll(outline, element.angle), ...strokeOf(element) });
+      return report.approximate(type, 'drawing path');
+    }
+
+    if (type === 'text') {
+      const container = element.containerId ? byId.get(element.containerId) : null;
+      if (!(element.originalText || element.text) || !hasBox(element)) {
+        return report.skip(type, 'Empty text');
+      }
+      if (container && hasBox(container)) {
+        stickyNotes.push({ ...noteFromText(element, container), id });
+        return report.approximate(type, 'sticky note');
+      }
+      boardElements.push(textElement(id, element));
+      if (element.angle) report.approximate(type, 'unrotated text box');
+      return;
+    }
+
+    report.skip(type, SKIP_REASONS[type] || 'Unsupported element type');
+  });
+
+  const name = scene.appState && typeof scene.appState.name === 'string' ? scene.appState.name : null;
+  return { name, drawingPaths, stickyNotes, elements: boardElements };
+};
+
+module.exports = { isExcalidraw, fromExcalidraw };
@@ -0,0 +1,73 @@
+// Helpers shared by the Excalidraw and tldraw importers
+
+const ELLIPSE_SEGMENTS = 32;
+
+// Tally of elements that were converted loosely or left out, grouped by type
+const createImportReport = () => {
+  const approximated = new Map();
+  const skipped = new Map();
+
+  const count = (entries, key, details) => {
+    const entry = entries.get(key) || { ...details, count: 0 };
+    entry.count++;
+    entries.set(key, entry);
+  };
+
+  return {
+    approximate: (type, as) => count(approximated, `${type}\0${as}`, { type, as }),
+    skip: (type, reason) => count(skipped, `${type}\0${reason}`, { type, reason }),
+    toJSON: () => ({ approximated: [...approximated.values()], skipped: [...skipped.values()] })
+  };
+};
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Rotate a point by `angle` radians around `center`
+const rotatePoint = (point, center, angle) => {
+  if (!angle) return point;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const dx = point.x - center.x;
+  const dy = point.y - center.y;
+  return {
+    x: center.x + dx * cos - dy * sin,
+    y: center.y + dx * sin + dy * cos
+  };
+};
+
+const rectangleOutline = (x, y, width, height) => [
+  { x, y },
+  { x: x + width, y },
+  { x: x + width, y: y + height },
+  { x, y: y + height },
+  { x, y }
+];
+
+const diamondOutline = (x, y, width, height) => [
+  { x: x + width / 2, y },
+  { x: x + width, y: y + height / 2 },
+  { x: x + width / 2, y: y + height },
+  { x, y: y + height / 2 },
+  { x: x + width / 2, y }
+];
+
+const ellipseOutline = (x, y, width, height) => {
+  const points = [];
+  for (let i = 0; i <= ELLIPSE_SEGMENTS; i++) {
+    const angle = (i / ELLIPSE_SEGMENTS) * Math.PI * 2;
+    points.push({
+      x: x + width / 2 + (width / 2) * Math.cos(angle),
+      y: y + height / 2 + (height / 2) * Math.sin(angle)
+    });
+  }
+  return points;
+};
+
+module.exports = {
+  createImportReport,
+  isFiniteNumber,
+  rotatePoint,
+  rectangleOutline,
+  diamondOutline,
+  ellipseOutline
+};
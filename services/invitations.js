@@ -0,0 +1,94 @@
+const Invitation = require('../models/Invitation');
+const Whiteboard = require('../models/Whiteboard');
+const { sendMail, clientUrl } = require('./mailer');
+
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS) || 14;
+
+const nextExpiry = () => new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Email the invitation and record that it was sent. Resolves with whether the
+// mail went out; a failure is logged rather than thrown so the invitation stands.
+const sendInvitation = async (invitation, { boardName, inviterName }) => {
+  try {
+    await sendMail({
+      to: invitation.email,
+      subject: `${inviterName} invited you to "${boardName}"`,
+      text: [
+        `${inviterName} has invited you to collaborate on the whiteboard "${boardName}" (${invitation.permission} access).`,
+        '',
+        `Create an account with this email address and verify it to join: ${clientUrl(`/register?email=${encodeURIComponent(invitation.email)}`)}`,
+        '',
+        `This invitation expires on ${invitation.expiresAt.toUTCString()}.`
+      ].join('\n')
+    });
+  } catch (error) {
+    console.error('Send invitation error:', error);
+    return false;
+  }
+
+  invitation.lastSentAt = new Date();
+  invitation.sendCount += 1;
+  await invitation.save();
+  return true;
+};
+
+// Invite an email address to a board, refreshing any pending invitation for it
+const inviteEmail = async (whiteboard, { email, permission }, inviter) => {
+  const address = String(email).toLowerCase().trim();
+  let invitation = await Invitation.findOne(Invitation.pendingFilter({ whiteboard: whiteboard._id, email: address }));
+
+  if (invitation) {
+    invitation.permission = permission;
+    invitation.invitedBy = inviter._id;
+    invitation.expiresAt = nextExpiry();
+  } else {
+    invitation = new Invitation({
+      whiteboard: whiteboard._id,
+      email: address,
+      permission,
+      invitedBy: inviter._id,
+      expiresAt: nextExpiry()
+    });
+  }
+  await invitation.save();
+
+  const emailSent = await sendInvitation(invitation, {
+    boardName: whiteboard.name,
+    inviterName: inviter.username
+  });
+  return { invitation, emailSent };
+};
+
+// Send a pending invitation again, giving it a fresh expiry
+const resendInvitation = async (invitation, whiteboard, inviter) => {
+  invitation.expiresAt = nextExpiry();
+  await invitation.save();
+  return sendInvitation(invitation, { boardName: whiteboard.name, inviterName: inviter.username });
+};
+
+// Turn a verified user's pending invitations into collaborator entries.
+// Resolves with the boards they were added to.
+const claimInvitations = async (user) => {
+  const invitations = await Invitation.find(Invitation.pendingFilter({ email: user.email }))
+    .sort({ createdAt: 1 });
+  const claimed = [];
+
+  for (const invitation of invitations) {
+    // Skip boards the user already owns or collaborates on
+    const result = await Whiteboard.updateOne(
+      { _id: invitation.whiteboard, owner: { $ne: user._id }, 'collaborators.user': { $ne: user._id } },
+      { $push: { collaborators: { user: user._id, permission: invitation.permission } } }
+    );
+
+    invitation.acceptedAt = new Date();
+    invitation.acceptedBy = user._id;
+    await invitation.save();
+
+    if (result.modifiedCount) {
+      claimed.push({ whiteboard: invitation.whiteboard, permission: invitation.permission });
+    }
+  }
+  return claimed;
+};
+
+module.exports = { inviteEmail, resendInvitation, claimInvitations };
@@ -0,0 +1,178 @@
+const User = require('../models/User');
+const AuthEvent = require('../models/AuthEvent');
+
+// Per-account brute-force protection for anything that checks a credential
+// (password, 2FA code). After FREE_ATTEMPTS failures each further attempt has to
+// wait twice as long as the last, up to MAX_DELAY_SECONDS; LOCKOUT_THRESHOLD
+// failures lock the account for LOCKOUT_MINUTES. Counting is per account rather
+// than per IP, so spreading attempts over many addresses doesn't help.
+//
+// Each attempt is counted as a failure before the credential is checked, in one
+// atomic update that only succeeds while the account may try, and is forgotten
+// again if the check passes. Concurrent guesses therefore can't all slip past
+// the limit while their checks are still running.
+//
+// Password reset requests go through the same limits on counters of their own,
+// so requesting reset emails for an account can't lock its owner out of signing in.
+
+const FREE_ATTEMPTS = 3;
+const MAX_DELAY_SECONDS = 30;
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOCKOUT_THRESHOLD) || 10;
+const LOCKOUT_MINUTES = parseInt(process.env.LOCKOUT_MINUTES) || 15;
+const MAX_USER_AGENT_LENGTH = 500;
+
+// The User fields each kind of attempt is counted in, and the events it is audited as
+const COUNTERS = {
+  login: {
+    attempts: 'failedLoginAttempts',
+    lastAttemptAt: 'lastFailedLoginAt',
+    lockedUntil: 'lockedUntil',
+    throttledEvent: 'login-throttled',
+    lockedEvent: 'account-locked'
+  },
+  'password-reset': {
+    attempts: 'passwordResetAttempts',
+    lastAttemptAt: 'lastPasswordResetAt',
+    lockedUntil: 'passwordResetLockedUntil',
+    throttledEvent: 'password-reset-throttled',
+    lockedEvent: 'password-reset-locked'
+  }
+};
+
+const delaySeconds = (failures) => failures < FREE_ATTEMPTS
+  ? 0
+  : Math.min(2 ** (failures - FREE_ATTEMPTS), MAX_DELAY_SECONDS);
+
+// Write an event to the audit trail. Failures are logged, never thrown.
+const recordAuthEvent = async (type, req, { user, email, details } = {}) => {
+  try {
+    await AuthEvent.create({
+      type,
+      user: user ? user._id : undefined,
+      email: email || (user ? user.email : undefined),
+      ip: req.ip || '',
+      userAgent: String(req.get('User-Agent') || '').slice(0, MAX_USER_AGENT_LENGTH),
+      details
+    });
+  } catch (error) {
+    console.error('Audit event error:', error);
+  }
+};
+
+// Milliseconds an account has to wait after its last attempt, as a MongoDB expression
+const delayExpression = ({ attempts }) => ({
+  $cond: [
+    { $lt: [{ $ifNull: [`$${attempts}`, 0] }, FREE_ATTEMPTS] },
+    0,
+    {
+      $multiply: [
+        { $min: [{ $pow: [2, { $subtract: [`$${attempts}`, FREE_ATTEMPTS] }] }, MAX_DELAY_SECONDS] },
+        1000
+      ]
+    }
+  ]
+});
+
+const notLocked = ({ lockedUntil }, now) => ({ $or: [{ [lockedUntil]: null }, { [lockedUntil]: { $lte: now } }] });
+
+// Seconds until the account may try again, or 0 if it may try now
+const retryAfter = (user, { attempts, lastAttemptAt, lockedUntil }, now = Date.now()) => {
+  if (user[lockedUntil] && user[lockedUntil].getTime() > now) {
+    return Math.ceil((user[lockedUntil].getTime() - now) / 1000);
+  }
+  if (!user[lastAttemptAt]) return 0;
+  const nextAttemptAt = user[lastAttemptAt].getTime() + delaySeconds(user[attempts]) * 1000;
+  return Math.max(0, Math.ceil((nextAttemptAt - now) / 1000));
+};
+
+// Count an attempt before its credential is checked, if the account may try now.
+// Resolves with false when it has to wait.
+const claimAttempt = async (user, counter) => {
+  const { attempts, lastAttemptAt } = counter;
+  const now = new Date();
+  const claimed = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      [attempts]: { $not: { $gte: LOCKOUT_THRESHOLD } },
+      $and: [
+        notLocked(counter, now),
+        {
+          $or: [
+            { [lastAttemptAt]: null },
+            { $expr: { $lte: [{ $add: [`$${lastAttemptAt}`, delayExpression(counter)] }, now] } }
+          ]
+        }
+      ]
+    },
+    { $inc: { [attempts]: 1 }, $set: { [lastAttemptAt]: now } },
+    { new: true }
+  ).select('_id');
+  return Boolean(claimed);
+};
+
+// Lock an account that has used up its attempts. Attempts that were claimed but never
+// settled (a 2FA challenge that was abandoned, say) count too, so the account can't
+// stay stuck at the threshold without a lockout that ends.
+const lockIfExhausted = async (req, user, counter) => {
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+  const locked = await User.findOneAndUpdate(
+    { _id: user._id, [counter.attempts]: { $gte: LOCKOUT_THRESHOLD }, ...notLocked(counter, now) },
+    { $set: { [counter.lockedUntil]: lockedUntil, [counter.attempts]: 0, [counter.lastAttemptAt]: null } }
+  );
+  if (locked) {
+    await recordAuthEvent(counter.lockedEvent, req, { user, details: { lockedUntil } });
+  }
+};
+
+// Claim an attempt of the given kind ('login' unless said otherwise). Resolves with
+// null if it may go ahead, or { retryAfter, locked } once the refusal is audited.
+const claimOrThrottle = async (req, user, attempt, { counter: kind = 'login' } = {}) => {
+  const counter = COUNTERS[kind];
+  if (await claimAttempt(user, counter)) return null;
+
+  await lockIfExhausted(req, user, counter);
+  const current = await User.findById(user._id)
+    .select([counter.attempts, counter.lastAttemptAt, counter.lockedUntil].join(' '));
+  const locked = Boolean(current[counter.lockedUntil] && current[counter.lockedUntil].getTime() > Date.now());
+  const wait = retryAfter(current, counter) || 1;
+
+  await recordAuthEvent(counter.throttledEvent, req, { user, details: { attempt, locked, retryAfter: wait } });
+  return { retryAfter: wait, locked };
+};
+
+// Claim an attempt for the account, or refuse the request with 429 if it has to
+// wait. Call before checking the credential. Returns true if it refused.
+const rejectIfThrottled = async (req, res, user, attempt, options) => {
+  const throttled = await claimOrThrottle(req, user, attempt, options);
+  if (!throttled) return false;
+
+  res.set('Retry-After', String(throttled.retryAfter));
+  res.status(429).json({
+    message: throttled.locked
+      ? 'Account is temporarily locked after too many failed attempts. Try again later.'
+      : 'Too many failed attempts. Please wait before trying again.',
+    retryAfter: throttled.retryAfter
+  });
+  return true;
+};
+
+// The claimed attempt failed: audit it, and lock the account once it reaches the threshold
+const recordFailure = async (req, user, type, details) => {
+  const counter = COUNTERS.login;
+  const current = await User.findById(user._id).select(counter.attempts);
+  await recordAuthEvent(type, req, { user, details: { ...details, failedAttempts: current[counter.attempts] } });
+  await lockIfExhausted(req, user, counter);
+};
+
+// A credential check passed: forget the claimed attempt and earlier failures
+const recordSuccess = async (req, user, type, details) => {
+  const counter = COUNTERS.login;
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { [counter.attempts]: 0, [counter.lastAttemptAt]: null, [counter.lockedUntil]: null } }
+  );
+  await recordAuthEvent(type, req, { user, details });
+};
+
+module.exports = { recordAuthEvent, claimOrThrottle, rejectIfThrottled, recordFailure, recordSuccess };
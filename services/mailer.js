@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Outgoing mail. MAIL_TRANSPORT picks where messages go:
+//   console (default) - print them, for development. Refused in production,
+//                       where the links in them are credentials and logs aren't private.
+//   file              - write each one as an .eml file under MAIL_DIR
+//   smtp              - send through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+// Other transports can be plugged in with setTransport({ send(message) }).
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Whiteboard <no-reply@localhost>';
+
+const createConsoleTransport = () => ({
+  send: async (message) => {
+    console.log(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+});
+
+const createFileTransport = (directory) => {
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  return {
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      await fs.promises.mkdir(directory, { recursive: true });
+      const name = `${Date.now()}-${info.messageId.replace(/[^\w.-]+/g, '')}.eml`;
+      await fs.promises.writeFile(path.join(directory, name), info.message);
+    }
+  };
+};
+
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+  return { send: (message) => transporter.sendMail(message) };
+};
+
+const transports = {
+  console: createConsoleTransport,
+  file: () => createFileTransport(path.resolve(process.env.MAIL_DIR || 'mail')),
+  smtp: createSmtpTransport
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const production = process.env.NODE_ENV === 'production';
+    const name = process.env.MAIL_TRANSPORT || (production ? '' : 'console');
+    if (production && (!name || name === 'console')) {
+      throw new Error('Set MAIL_TRANSPORT to file or smtp in production');
+    }
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = transports[name]();
+  }
+  return transport;
+};
+
+const setTransport = (custom) => {
+  transport = custom;
+};
+
+// Send { to, subject, text, html? } from MAIL_FROM
+const sendMail = async (message) => getTransport().send({ from: MAIL_FROM, ...message });
+
+// Base URL of the web client, for links in emails
+const clientUrl = (pathname) => `${(process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '')}${pathname}`;
+
+module.exports = { sendMail, setTransport, clientUrl };
@@ -0,0 +1,258 @@
+const PDFDocument = require('pdfkit');
+const {
+  NOTE_PADDING,
+  NOTE_FONT_SIZE,
+  invalidOption,
+  parseBoolean,
+  parseExportOptions,
+  contentBounds,
+  notesById,
+  connectorPoints,
+  arrowHead
+} = require('./boardLayout');
+
+// Paper sizes in PDF points (portrait)
+const PAPER_SIZES = {
+  A3: [841.89, 1190.55],
+  A4: [595.28, 841.89],
+  A5: [419.53, 595.28],
+  LETTER: [612, 792],
+  LEGAL: [612, 1008],
+  TABLOID: [792, 1224]
+};
+const ORIENTATIONS = ['auto', 'portrait', 'landscape'];
+const PAGE_MARGIN = 36;
+const MAX_PAGES = 100;
+// Board coordinates are CSS pixels; at scale 1 one pixel prints as 0.75pt (96 dpi)
+const POINTS_PER_PIXEL = 0.75;
+
+const parsePdfOptions = (query) => {
+  const options = parseExportOptions(query);
+
+  const paper = String(query.paper || 'A4').toUpperCase();
+  if (!PAPER_SIZES[paper]) {
+    throw invalidOption(`paper must be one of: ${Object.keys(PAPER_SIZES).join(', ')}`);
+  }
+
+  const orientation = query.orientation || 'auto';
+  if (!ORIENTATIONS.includes(orientation)) {
+    throw invalidOption(`orientation must be one of: ${ORIENTATIONS.join(', ')}`);
+  }
+
+  return {
+    ...options,
+    paper,
+    orientation,
+    fit: parseBoolean(query.fit, false),
+    titlePage: parseBoolean(query.titlePage, true)
+  };
+};
+
+// pdfkit understands hex and CSS colour names; rgb()/rgba() need converting
+const toPdfColor = (value) => {
+  const rgb = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i.exec(value || '');
+  return rgb ? rgb.slice(1, 4).map(Number) : value;
+};
+
+// Set a colour, falling back when pdfkit doesn't recognise it
+const setColor = (doc, method, value, fallback) => {
+  doc[method](fallback);
+  if (value) doc[method](toPdfColor(value));
+};
+
+// Work out page size, board-to-page scale and how many pages the board spans
+const planLayout = (bounds, options) => {
+  let [pageWidth, pageHeight] = PAPER_SIZES[options.paper];
+  const landscape = options.orientation === 'landscape' ||
+    (options.orientation === 'auto' && bounds.width > bounds.height);
+  if (landscape) [pageWidth, pageHeight] = [pageHeight, pageWidth];
+
+  const areaWidth = pageWidth - PAGE_MARGIN * 2;
+  const areaHeight = pageHeight - PAGE_MARGIN * 2;
+  const unit = options.fit
+    ? Math.min(areaWidth / bounds.width, areaHeight / bounds.height)
+    : POINTS_PER_PIXEL * options.scale;
+
+  const columns = Math.max(1, Math.ceil((bounds.width * unit) / areaWidth - 1e-9));
+  const rows = Math.max(1, Math.ceil((bounds.height * unit) / areaHeight - 1e-9));
+  if (columns * rows > MAX_PAGES) {
+    throw invalidOption(
+      `The board would span ${columns * rows} pages; use fit=true, a smaller scale or larger paper`
+    );
+  }
+
+  return { pageWidth, pageHeight, areaWidth, areaHeight, unit, columns, rows };
+};
+
+const drawStroke = (doc, path, color) => {
+  const [first, ...rest] = path.points;
+  doc.lineWidth(path.brushSize).lineCap('round').lineJoin('round');
+  setColor(doc, 'strokeColor', color, '#000000');
+  doc.moveTo(first.x, first.y);
+  // A single point still needs a segment for the round cap to draw a dot
+  for (const point of rest.length ? rest : [first]) {
+    doc.lineTo(point.x, point.y);
+  }
+  doc.stroke();
+};
+
+// A fixed height makes pdfkit stop at the bottom of the box rather than add pages
+const drawText = (doc, box, text, fontSize) => {
+  doc.font('Helvetica').fontSize(fontSize).text(text || '', box.x + NOTE_PADDING, box.y + NOTE_PADDING, {
+    width: Math.max(1, box.width - NOTE_PADDING * 2),
+    height: Math.max(1, box.height - NOTE_PADDING * 2),
+    ellipsis: true
+  });
+};
+
+const drawNote = (doc, note) => {
+  setColor(doc, 'fillColor', note.color, '#ffeb3b');
+  doc.roundedRect(note.x, note.y, note.width, note.height, 4).fill();
+
+  setColor(doc, 'fillColor', '#222222', '#222222');
+  drawText(doc, note, note.text, NOTE_FONT_SIZE);
+};
+
+// Fill (unless transparent) and stroke the current path
+const paintShape = (doc, element) => {
+  const fill = element.fillColor && element.fillColor !== 'transparent';
+  if (fill) setColor(doc, 'fillColor', element.fillColor, '#ffffff');
+  setColor(doc, 'strokeColor', element.strokeColor, '#000000');
+  doc.lineWidth(element.strokeWidth);
+  if (!element.strokeWidth) {
+    if (fill) doc.fill();
+  } else if (fill) {
+    doc.fillAndStroke();
+  } else {
+    doc.stroke();
+  }
+};
+
+// pdfkit can only place PNG and JPEG images; anything else shows as a labelled frame
+const PDF_IMAGE_TYPES = ['image/png', 'image/jpeg'];
+
+const drawImage = (doc, element, asset) => {
+  if (asset && asset.data && PDF_IMAGE_TYPES.includes(asset.mimeType)) {
+    doc.image(asset.data, element.x, element.y, { width: element.width, height: element.height });
+    return;
+  }
+
+  doc.save();
+  doc.rect(element.x, element.y, element.width, element.height).dash(6, { space: 4 });
+  doc.lineWidth(1).fillColor('#f5f5f5').strokeColor('#9e9e9e').fillAndStroke();
+  doc.restore();
+  setColor(doc, 'fillColor', '#616161', '#616161');
+  drawText(doc, element, asset ? asset.filename : 'Missing image', NOTE_FONT_SIZE);
+};
+
+const drawElement = (doc, element, notes, assets) => {
+  switch (element.type) {
+    case 'rectangle':
+      doc.rect(element.x, element.y, element.width, element.height);
+      return paintShape(doc, element);
+    case 'ellipse':
+      doc.ellipse(element.x + element.width / 2, element.y + element.height / 2, element.width / 2, element.height / 2);
+      return paintShape(doc, element);
+    case 'text':
+      if (element.fillColor && element.fillColor !== 'transparent') {
+        setColor(doc, 'fillColor', element.fillColor, '#ffffff');
+        doc.rect(element.x, element.y, element.width, element.height).fill();
+      }
+      setColor(doc, 'fillColor', element.strokeColor, '#000000');
+      return drawText(doc, element, element.text, element.fontSize);
+    case 'image':
+      return drawImage(doc, element, assets && assets.get(String(element.assetId)));
+    default: {
+      const [start, end] = connectorPoints(element, notes);
+      setColor(doc, 'strokeColor', element.strokeColor, '#000000');
+      doc.lineWidth(element.strokeWidth).lineCap('round').moveTo(start.x, start.y).lineTo(end.x, end.y).stroke();
+      if (element.type === 'arrow') {
+        setColor(doc, 'fillColor', element.strokeColor, '#000000');
+        doc.polygon([end.x, end.y], ...arrowHead(start, end, element.strokeWidth).map(({ x, y }) => [x, y])).fill();
+      }
+    }
+  }
+};
+
+// Draw the whole board in board coordinates. Paper has no transparency, so
+// eraser strokes paint the background colour over what was drawn before them.
+const drawBoard = (doc, whiteboard, bounds, background, assets) => {
+  setColor(doc, 'fillColor', background, '#ffffff');
+  doc.rect(bounds.x, bounds.y, bounds.width, bounds.height).fill();
+
+  for (const path of whiteboard.drawingPaths) {
+    if (!path.points.length) continue;
+    drawStroke(doc, path, path.tool === 'eraser' ? background : path.color);
+  }
+
+  const notes = notesById(whiteboard);
+  for (const element of whiteboard.elements || []) {
+    drawElement(doc, element, notes, assets);
+  }
+
+  for (const note of whiteboard.stickyNotes) {
+    drawNote(doc, note);
+  }
+};
+
+const drawTitlePage = (doc, whiteboard, layout) => {
+  const owner = whiteboard.owner && whiteboard.owner.username
+    ? `${whiteboard.owner.username} <${whiteboard.owner.email}>`
+    : 'Unknown';
+  const pages = layout.columns * layout.rows;
+
+  doc.addPage({ size: [layout.pageWidth, layout.pageHeight], margin: PAGE_MARGIN });
+  setColor(doc, 'fillColor', '#222222', '#222222');
+  doc.font('Helvetica-Bold').fontSize(28).text(whiteboard.name, { width: layout.areaWidth });
+  doc.moveDown();
+  doc.font('Helvetica').fontSize(12)
+    .text(`Owner: ${owner}`)
+    .text(`Last modified: ${new Date(whiteboard.lastModified).toUTCString()}`)
+    .text(`Pages: ${pages}${pages > 1 ? ` (${layout.rows} rows x ${layout.columns} columns)` : ''}`);
+};
+
+// Render a board to a PDF document. The caller pipes the returned document
+// somewhere and calls end() on it. Throws (status 400) if the layout is invalid.
+// options.assets (from loadBoardAssets) supplies image data to embed.
+const renderPdf = (whiteboard, options) => {
+  const bounds = contentBounds(whiteboard, options);
+  const layout = planLayout(bounds, options);
+  const background = options.background === 'transparent' ? '#ffffff' : options.background;
+
+  const doc = new PDFDocument({
+    autoFirstPage: false,
+    info: { Title: whiteboard.name, Producer: 'whiteboard-realtime-backend' }
+  });
+
+  if (options.titlePage) {
+    drawTitlePage(doc, whiteboard, layout);
+  }
+
+  for (let row = 0; row < layout.rows; row++) {
+    for (let column = 0; column < layout.columns; column++) {
+      doc.addPage({ size: [layout.pageWidth, layout.pageHeight], margin: 0 });
+
+      doc.save();
+      doc.rect(PAGE_MARGIN, PAGE_MARGIN, layout.areaWidth, layout.areaHeight).clip();
+      doc.translate(PAGE_MARGIN - column * layout.areaWidth, PAGE_MARGIN - row * layout.areaHeight);
+      doc.scale(layout.unit);
+      doc.translate(-bounds.x, -bounds.y);
+      drawBoard(doc, whiteboard, bounds, background, options.assets);
+      doc.restore();
+
+      if (layout.rows * layout.columns > 1) {
+        setColor(doc, 'fillColor', '#888888', '#888888');
+        doc.font('Helvetica').fontSize(8).text(
+          `${whiteboard.name} - row ${row + 1} of ${layout.rows}, column ${column + 1} of ${layout.columns}`,
+          PAGE_MARGIN,
+          layout.pageHeight - PAGE_MARGIN + 12,
+          { width: layout.areaWidth, height: 12, lineBreak: false }
+        );
+      }
+    }
+  }
+
+  return doc;
+};
+
+module.exports = { parsePdfOptions, renderPdf };
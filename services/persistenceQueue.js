@@ -0,0 +1,159 @@
+const EventEmitter = require('events');
+const { applyOperations } = require('./boardOperations');
+const { createSnapshot, snapshotIfDue } = require('./versionHistory');
+
+const FLUSH_DELAY_MS = parseInt(process.env.BOARD_FLUSH_DELAY_MS) || 500;
+const MAX_BATCH_SIZE = 200;
+// Batches that failed for a transient reason are retried with a growing delay,
+// up to this long apart. The room is told once a batch has failed MAX_RETRIES
+// times in a row, and the batch is given up after MAX_ATTEMPTS.
+const MAX_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRIES = 3;
+const MAX_ATTEMPTS = parseInt(process.env.BOARD_FLUSH_MAX_ATTEMPTS) || 8;
+// Operations a room may have waiting for MongoDB before new edits are refused
+const MAX_QUEUED_OPERATIONS = parseInt(process.env.BOARD_MAX_QUEUED_OPERATIONS) || 5000;
+
+// Errors that may go away by themselves: lost connections, elections, write conflicts
+const TRANSIENT_ERROR_NAMES = [
+  'MongoNetworkError',
+  'MongoNetworkTimeoutError',
+  'MongoServerSelectionError',
+  'MongoNotConnectedError'
+];
+const TRANSIENT_ERROR_CODES = [6, 7, 89, 91, 112, 189, 9001, 10107, 11600, 11602, 13435, 13436];
+
+// whiteboardId -> { operations, timer, writing, retries }
+const queues = new Map();
+
+// Emits 'flushed' (whiteboardId, whiteboard, operations) after each successful batch,
+// 'failing' (whiteboardId, error) when a batch has failed MAX_RETRIES times and
+// 'dropped' (whiteboardId, operations, error) when a batch is given up
+const events = new EventEmitter();
+
+const getQueue = (whiteboardId) => {
+  if (!queues.has(whiteboardId)) {
+    queues.set(whiteboardId, {
+      operations: [],
+      timer: null,
+      writing: Promise.resolve(),
+      retries: 0
+    });
+  }
+  return queues.get(whiteboardId);
+};
+
+const isTransient = (error) =>
+  TRANSIENT_ERROR_NAMES.includes(error.name) ||
+  TRANSIENT_ERROR_CODES.includes(error.code) ||
+  // Mongoose gives up on queries it buffered while disconnected
+  (error.name === 'MongooseError' && /buffering timed out/.test(error.message)) ||
+  (typeof error.hasErrorLabel === 'function' &&
+    (error.hasErrorLabel('RetryableWriteError') || error.hasErrorLabel('TransientTransactionError')));
+
+const retryDelay = (retries) => Math.min(FLUSH_DELAY_MS * 2 ** retries, MAX_RETRY_DELAY_MS);
+
+// Batches end just before a clear so the board can be snapshotted right before it's wiped
+const nextBatchSize = (operations) => {
+  const clearAt = operations.findIndex((operation, index) => index > 0 && operation.type === 'clear');
+  return Math.min(MAX_BATCH_SIZE, clearAt === -1 ? operations.length : clearAt);
+};
+
+// Write everything queued for a room. Writes for the same room are chained
+// so batches always reach MongoDB in the order the room saw them.
+const flush = (whiteboardId) => {
+  const queue = queues.get(whiteboardId);
+  if (!queue) return Promise.resolve();
+
+  clearTimeout(queue.timer);
+  queue.timer = null;
+
+  queue.writing = queue.writing.then(async () => {
+    while (queue.operations.length) {
+      const batch = queue.operations.splice(0, nextBatchSize(queue.operations));
+      let whiteboard;
+      try {
+        if (batch[0].type === 'clear') {
+          await createSnapshot(whiteboardId, { reason: 'before-clear', createdBy: batch[0].userId });
+        }
+        whiteboard = await applyOperations(whiteboardId, batch);
+      } catch (error) {
+        console.error(`Failed to persist operations for whiteboard ${whiteboardId}:`, error);
+        queue.retries += 1;
+
+        if (isTransient(error) && queue.retries < MAX_ATTEMPTS) {
+          // Keep the batch first in line so nothing the room saw is lost or reordered,
+          // and try it and everything queued behind it again later
+          queue.operations.unshift(...batch);
+          if (queue.retries === MAX_RETRIES) {
+            events.emit('failing', whiteboardId, error);
+          }
+          clearTimeout(queue.timer);
+          queue.timer = setTimeout(() => flush(whiteboardId), retryDelay(queue.retries));
+          return;
+        }
+
+        // Retrying won't help. Log the batch so it can be recovered by hand, and
+        // carry on with the rest so one bad batch can't block the room.
+        console.error(
+          `Dropped ${batch.length} operations for whiteboard ${whiteboardId} after ${queue.retries} attempts:`,
+          JSON.stringify(batch)
+        );
+        queue.retries = 0;
+        events.emit('dropped', whiteboardId, batch, error);
+        continue;
+      }
+
+      queue.retries = 0;
+      events.emit('flushed', whiteboardId, whiteboard, batch);
+    }
+
+    await snapshotIfDue(whiteboardId);
+
+    if (!queue.timer && !queue.operations.length) {
+      queues.delete(whiteboardId);
+    }
+  }).catch((error) => {
+    // Keep the chain usable for the next flush
+    console.error(`Persistence queue error for whiteboard ${whiteboardId}:`, error);
+  });
+
+  return queue.writing;
+};
+
+const schedule = (whiteboardId) => {
+  const queue = getQueue(whiteboardId);
+  if (!queue.timer) {
+    queue.timer = setTimeout(() => flush(whiteboardId), FLUSH_DELAY_MS);
+  }
+};
+
+// Whether a room has so much waiting to be written that new edits should be refused
+const isBacklogged = (whiteboardId) => {
+  const queue = queues.get(whiteboardId);
+  return Boolean(queue) && queue.operations.length >= MAX_QUEUED_OPERATIONS;
+};
+
+// Queue a normalized operation for a room, flushing early once a batch fills up
+const enqueue = (whiteboardId, operation) => {
+  if (isBacklogged(whiteboardId)) {
+    throw new Error(`Too many unsaved operations for whiteboard ${whiteboardId}`);
+  }
+  const queue = getQueue(whiteboardId);
+  queue.operations.push(operation);
+
+  if (queue.operations.length >= MAX_BATCH_SIZE) {
+    return flush(whiteboardId);
+  }
+  schedule(whiteboardId);
+  return queue.writing;
+};
+
+// Operations queued for a room that haven't been handed to MongoDB yet
+const pending = (whiteboardId) => {
+  const queue = queues.get(whiteboardId);
+  return queue ? queue.operations.slice() : [];
+};
+
+const flushAll = () => Promise.all(Array.from(queues.keys()).map(flush));
+
+module.exports = { enqueue, flush, flushAll, pending, isBacklogged, events };
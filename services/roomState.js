@@ -0,0 +1,318 @@
+const Whiteboard = require('../models/Whiteboard');
+const { normalizeOperation, isStaleOperation } = require('./boardOperations');
+const persistenceQueue = require('./persistenceQueue');
+const textOperations = require('./textOperations');
+
+const MAX_STROKE_UPDATES = 5000;
+const MAX_NOTE_HISTORY = 200;
+const NOTE_PROPERTIES = ['x', 'y', 'width', 'height', 'color'];
+
+// In-memory view of each active room's board: what's stored plus edits still
+// waiting in the persistence queue. Lets the socket layer know the state an
+// edit replaced (for undo) and hand late joiners the board everyone else sees
+// without reading MongoDB on every event.
+// whiteboardId -> { paths, notes, elements, noteHistory, strokes, revision, replacedAtRevision, loading }
+const rooms = new Map();
+
+const readBoard = async (whiteboardId) => {
+  // A batch being written is in neither MongoDB nor the pending list until the
+  // write finishes, e.g. when someone rejoins right after the last member left
+  await persistenceQueue.flush(whiteboardId);
+
+  const whiteboard = await Whiteboard.findById(whiteboardId)
+    .select('drawingPaths stickyNotes elements revision replacedAtRevision')
+    .lean();
+  if (!whiteboard) return null;
+
+  const room = {
+    paths: new Map(whiteboard.drawingPaths.map(path => [path.id, path])),
+    notes: new Map(whiteboard.stickyNotes.map(note => [note.id, note])),
+    elements: new Map((whiteboard.elements || []).map(element => [element.id, element])),
+    // noteId -> [{ version, textOperation }] for transforming concurrent note edits
+    noteHistory: new Map(),
+    // socketId -> stroke between drawing-start and drawing-end
+    strokes: new Map(),
+    revision: whiteboard.revision || 0,
+    replacedAtRevision: whiteboard.replacedAtRevision || 0
+  };
+
+  // Replay edits the room has seen that haven't reached MongoDB yet
+  for (const operation of persistenceQueue.pending(whiteboardId)) {
+    if (!isStaleOperation(operation, room)) applyToRoom(room, operation);
+  }
+  return room;
+};
+
+// Load a room's state once; concurrent joins share the same read
+const load = (whiteboardId) => {
+  if (!rooms.has(whiteboardId)) {
+    const loading = readBoard(whiteboardId).then((room) => {
+      if (!room) rooms.delete(whiteboardId);
+      else rooms.set(whiteboardId, room);
+      return room;
+    }, (error) => {
+      rooms.delete(whiteboardId);
+      throw error;
+    });
+    rooms.set(whiteboardId, { loading });
+  }
+
+  const room = rooms.get(whiteboardId);
+  return room.loading || Promise.resolve(room);
+};
+
+const get = (whiteboardId) => {
+  const room = rooms.get(whiteboardId);
+  return room && !room.loading ? room : null;
+};
+
+// Re-read a loaded room after a write that bypassed the socket layer (REST)
+const reload = async (whiteboardId) => {
+  if (!rooms.has(whiteboardId)) return null;
+  const previous = get(whiteboardId);
+
+  await persistenceQueue.flush(whiteboardId);
+  rooms.delete(whiteboardId);
+  const room = await load(whiteboardId);
+
+  if (room && previous) {
+    // Strokes in progress aren't stored, so carry them over
+    room.strokes = previous.strokes;
+
+    // Keep note versions moving forward. Notes the write changed lose their edit
+    // history, so clients editing them from an older version are asked to resync.
+    for (const [id, note] of room.notes) {
+      const before = previous.notes.get(id);
+      if (!before) continue;
+      if (before.text === note.text && before.version === note.version) {
+        if (previous.noteHistory.has(id)) room.noteHistory.set(id, previous.noteHistory.get(id));
+      } else {
+        note.version = Math.max(before.version || 0, note.version || 0) + 1;
+      }
+    }
+  }
+  return room;
+};
+
+const release = (whiteboardId) => {
+  rooms.delete(whiteboardId);
+};
+
+// Remember how a note's text changed at each version so later edits made
+// against an older version can be transformed past it
+const recordNoteEdit = (room, id, version, textOperation) => {
+  const history = room.noteHistory.get(id) || [];
+  history.push({ version, textOperation });
+  if (history.length > MAX_NOTE_HISTORY) history.shift();
+  room.noteHistory.set(id, history);
+};
+
+// Apply a normalized operation to the room. Returns the operation as applied
+// (note edits gain the version the room assigned) and the raw operations that undo it.
+const applyToRoom = (room, operation) => {
+  if (operation.type === 'upsert-note') {
+    return applyNoteToRoom(room, operation);
+  }
+  return { applied: operation, inverse: applyContentToRoom(room, operation) };
+};
+
+const applyNoteToRoom = (room, operation) => {
+  const { id, fields, insertable, full } = operation.note;
+  const previous = room.notes.get(id);
+
+  if (!previous) {
+    if (!insertable) return { applied: operation, inverse: [] };
+    room.notes.set(id, full);
+    room.noteHistory.delete(id);
+    return { applied: operation, inverse: [{ type: 'delete-note', id }] };
+  }
+
+  // Replayed operations already carry their version
+  const version = fields.version !== undefined ? fields.version : (previous.version || 0) + 1;
+  const textChanged = fields.text !== undefined && fields.text !== previous.text;
+  const textOperation = textChanged
+    ? operation.textOperation || textOperations.diff(previous.text, fields.text)
+    : null;
+
+  const appliedFields = { ...fields, version };
+  room.notes.set(id, { ...previous, ...appliedFields });
+  recordNoteEdit(room, id, version, textOperation);
+
+  const restored = { id };
+  for (const field of Object.keys(fields)) {
+    if (field !== 'timestamp' && field !== 'version') restored[field] = previous[field];
+  }
+
+  return {
+    applied: { ...operation, note: { ...operation.note, fields: appliedFields } },
+    inverse: [{ type: 'upsert-note', note: restored }]
+  };
+};
+
+// Apply a path, element, note delete or clear operation and return the raw operations that undo it
+const applyContentToRoom = (room, operation) => {
+  switch (operation.type) {
+    case 'add-path': {
+      const { path } = operation;
+      const previous = room.paths.get(path.id);
+      room.paths.delete(path.id);
+      room.paths.set(path.id, path);
+      return previous
+        ? [{ type: 'add-path', path: previous }]
+        : [{ type: 'delete-path', id: path.id }];
+    }
+    case 'delete-path': {
+      const previous = room.paths.get(operation.id);
+      if (!previous) return [];
+      room.paths.delete(operation.id);
+      return [{ type: 'add-path', path: previous }];
+    }
+    case 'delete-note': {
+      const previous = room.notes.get(operation.id);
+      if (!previous) return [];
+      room.notes.delete(operation.id);
+      room.noteHistory.delete(operation.id);
+      return [{ type: 'upsert-note', note: previous }];
+    }
+    case 'upsert-element': {
+      const { element } = operation;
+      const previous = room.elements.get(element.id);
+      room.elements.set(element.id, element);
+      return previous
+        ? [{ type: 'upsert-element', element: previous }]
+        : [{ type: 'delete-element', id: element.id }];
+    }
+    case 'delete-element': {
+      const previous = room.elements.get(operation.id);
+      if (!previous) return [];
+      room.elements.delete(operation.id);
+      return [{ type: 'upsert-element', element: previous }];
+    }
+    default: {
+      const restore = [
+        ...Array.from(room.paths.values()).map(path => ({ type: 'add-path', path })),
+        ...Array.from(room.notes.values()).map(note => ({ type: 'upsert-note', note })),
+        ...Array.from(room.elements.values()).map(element => ({ type: 'upsert-element', element }))
+      ];
+      room.paths.clear();
+      room.notes.clear();
+      room.elements.clear();
+      room.noteHistory.clear();
+      return restore;
+    }
+  }
+};
+
+// Apply an operation to a loaded room. Returns the operation to persist and the
+// normalized inverse operations, in the order they should be applied to undo it.
+const apply = (whiteboardId, operation) => {
+  const room = get(whiteboardId);
+  if (!room) return { applied: operation, inverse: [] };
+
+  const { applied, inverse } = applyToRoom(room, operation);
+  return { applied, inverse: inverse.map(normalizeOperation) };
+};
+
+// Turn a concurrent sticky note edit into a plain note update. The text operation,
+// made against `version`, is transformed past every edit the sender hadn't seen.
+// Returns null when that version can't be reconciled and the sender must resync.
+const resolveNoteEdit = (whiteboardId, { id, version, textOperation, properties = {} }) => {
+  const room = get(whiteboardId);
+  const note = room && room.notes.get(id);
+  if (!note) {
+    throw new Error('Sticky note not found');
+  }
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error('version must be a non-negative integer');
+  }
+  if (textOperation !== undefined && !textOperations.isValid(textOperation)) {
+    throw new Error('Invalid text operation');
+  }
+
+  const current = note.version || 0;
+  const missed = (room.noteHistory.get(id) || []).filter(entry => entry.version > version);
+  if (version > current || missed.length !== current - version) return null;
+
+  const update = { id };
+  for (const property of NOTE_PROPERTIES) {
+    if (properties[property] !== undefined) update[property] = properties[property];
+  }
+
+  let transformed = null;
+  if (textOperation) {
+    try {
+      transformed = textOperation;
+      for (const entry of missed) {
+        if (entry.textOperation) [transformed] = textOperations.transform(transformed, entry.textOperation);
+      }
+      update.text = textOperations.apply(note.text, transformed);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return { note: update, textOperation: transformed };
+};
+
+const getNote = (whiteboardId, id) => {
+  const room = get(whiteboardId);
+  return room ? room.notes.get(id) || null : null;
+};
+
+// Track strokes that are still being drawn so late joiners can replay them.
+// `start` is the drawing-start payload and `updates` the drawing payloads since.
+const startStroke = (whiteboardId, socketId, stroke) => {
+  const room = get(whiteboardId);
+  if (room) room.strokes.set(socketId, { ...stroke, updates: [] });
+};
+
+const extendStroke = (whiteboardId, socketId, update) => {
+  const room = get(whiteboardId);
+  const stroke = room && room.strokes.get(socketId);
+  if (stroke && stroke.updates.length < MAX_STROKE_UPDATES) stroke.updates.push(update);
+};
+
+const endStroke = (whiteboardId, socketId) => {
+  const room = get(whiteboardId);
+  if (room) room.strokes.delete(socketId);
+};
+
+// Everything a joining client needs to see exactly what the room sees. `revision`
+// is the last saved revision; the content also includes edits still being saved.
+const snapshot = (whiteboardId) => {
+  const room = get(whiteboardId);
+  if (!room) return null;
+
+  return {
+    revision: room.revision,
+    drawingPaths: Array.from(room.paths.values()),
+    stickyNotes: Array.from(room.notes.values()),
+    elements: Array.from(room.elements.values()),
+    inProgressStrokes: Array.from(room.strokes, ([socketId, stroke]) => ({ socketId, ...stroke }))
+  };
+};
+
+persistenceQueue.events.on('flushed', (whiteboardId, whiteboard) => {
+  const room = get(whiteboardId);
+  if (room && whiteboard) room.revision = whiteboard.revision;
+});
+
+const isStale = (whiteboardId, operation) => {
+  const room = get(whiteboardId);
+  return Boolean(room) && isStaleOperation(operation, room);
+};
+
+module.exports = {
+  load,
+  get,
+  reload,
+  release,
+  apply,
+  resolveNoteEdit,
+  getNote,
+  isStale,
+  startStroke,
+  extendStroke,
+  endStroke,
+  snapshot
+};
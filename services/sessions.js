@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Emits 'revoked' (sessionIds, reason) so open sockets on those sessions can be closed
+const events = new EventEmitter();
+
+const sessionError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const nextExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without a scan
+const newRefreshSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { userId: user._id, email: user.email, role: user.role, sid: String(sessionId) },
+  JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Last use is recorded at most this often, so busy clients don't write on every request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const MAX_USER_AGENT_LENGTH = 500;
+
+// Where a request or socket comes from: { userAgent, ip }
+const clientInfo = (userAgent, ip) => ({
+  userAgent: String(userAgent || '').slice(0, MAX_USER_AGENT_LENGTH),
+  ip: String(ip || '')
+});
+
+// Start a session for a user who just signed in. Resolves with { token, refreshToken, session }.
+const startSession = async (user, client = {}) => {
+  const secret = newRefreshSecret();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    expiresAt: nextExpiry(),
+    ...clientInfo(client.userAgent, client.ip)
+  });
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken: `${session._id}.${secret}`,
+    session
+  };
+};
+
+// Revoke the sessions matching a filter and resolve with their ids
+const revokeSessions = async (filter, reason) => {
+  const sessions = await Session.find(Session.activeFilter(filter)).select('_id');
+  const ids = sessions.map(session => session._id);
+  if (ids.length === 0) return [];
+
+  await Session.updateMany(
+    { _id: { $in: ids }, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  const sessionIds = ids.map(String);
+  events.emit('revoked', sessionIds, reason);
+  return sessionIds;
+};
+
+// End every session of a user, optionally keeping the one making the request
+const revokeUserSessions = (userId, reason, { except } = {}) => revokeSessions(
+  except ? { user: userId, _id: { $ne: except } } : { user: userId },
+  reason
+);
+
+// Swap a refresh token for a new access token and refresh token.
+// Resolves with { token, refreshToken, user }; throws errors with a status.
+const refreshSession = async (refreshToken, client = {}) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !mongoose.isValidObjectId(sessionId)) {
+    throw sessionError(401, 'Invalid refresh token');
+  }
+
+  const session = await Session.findOne(Session.activeFilter({ _id: sessionId }));
+  if (!session) {
+    throw sessionError(401, 'Session has expired or been revoked');
+  }
+
+  const presentedHash = hashToken(secret);
+  if (presentedHash !== session.refreshTokenHash) {
+    if (presentedHash === session.previousRefreshTokenHash) {
+      await revokeSessions({ _id: session._id }, 'Refresh token was reused');
+    }
+    throw sessionError(401, 'Invalid refresh token');
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || !user.isActive) {
+    await revokeSessions({ _id: session._id }, 'Account is deactivated');
+    throw sessionError(401, 'Account is deactivated');
+  }
+
+  // Only one caller can rotate a given token
+  const nextSecret = newRefreshSecret();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextSecret),
+        previousRefreshTokenHash: presentedHash,
+        expiresAt: nextExpiry(),
+        lastRefreshedAt: new Date(),
+        lastUsedAt: new Date(),
+        ...clientInfo(client.userAgent, client.ip)
+      }
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    throw sessionError(401, 'Invalid refresh token');
+  }
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken: `${session._id}.${nextSecret}`,
+    user
+  };
+};
+
+// Whether the session behind a decoded access token is still usable
+const isSessionActive = async (decoded) => {
+  if (!decoded.sid || !mongoose.isValidObjectId(decoded.sid)) {
+    return false;
+  }
+  const exists = await Session.exists(Session.activeFilter({ _id: decoded.sid, user: decoded.userId }));
+  return Boolean(exists);
+};
+
+// Record that a session was just used, from where
+const touchSession = (sessionId, client = {}) => Session.updateOne(
+  { _id: sessionId, lastUsedAt: { $lt: new Date(Date.now() - TOUCH_INTERVAL_MS) } },
+  { $set: { lastUsedAt: new Date(), ...clientInfo(client.userAgent, client.ip) } }
+);
+
+// A user's sessions that can still be used, most recently used first
+const listUserSessions = (userId) => Session.find(Session.activeFilter({ user: userId }))
+  .sort({ lastUsedAt: -1 });
+
+module.exports = {
+  events,
+  startSession,
+  refreshSession,
+  revokeSessions,
+  revokeUserSessions,
+  isSessionActive,
+  touchSession,
+  listUserSessions
+};
@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const ShareLink = require('../models/ShareLink');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+// Guest sessions last this long, or until the link expires if that's sooner
+const GUEST_SESSION_TTL_SECONDS = parseInt(process.env.GUEST_SESSION_TTL_SECONDS) || 12 * 60 * 60;
+const MAX_GUEST_NAME_LENGTH = 30;
+// Wrong passwords a link accepts before it refuses password attempts for a while.
+// Counted per link, like account lockouts, so guessing from many addresses doesn't help.
+const PASSWORD_LOCKOUT_THRESHOLD = parseInt(process.env.SHARE_LINK_LOCKOUT_THRESHOLD) || 10;
+const PASSWORD_LOCKOUT_MINUTES = parseInt(process.env.SHARE_LINK_LOCKOUT_MINUTES) || 15;
+
+// Guests can't use a second factor, so boards requiring one can't be opened through links
+const TWO_FACTOR_REQUIRED_MESSAGE = 'This whiteboard requires two-factor authentication and cannot be opened through a share link';
+
+const shareError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Create a link and return it with its token, which is not stored and can't be shown again
+const createShareLink = async (whiteboardId, { permission = 'view', label, password, expiresAt }, createdBy) => {
+  if (!['view', 'edit'].includes(permission)) {
+    throw shareError(400, 'Share link permission must be view or edit');
+  }
+
+  let expiry;
+  if (expiresAt !== undefined && expiresAt !== null) {
+    expiry = new Date(expiresAt);
+    if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+      throw shareError(400, 'expiresAt must be a date in the future');
+    }
+  }
+
+  if (password !== undefined && password !== null && (typeof password !== 'string' || password.length < 4)) {
+    throw shareError(400, 'Share link password must be at least 4 characters');
+  }
+
+  const token = crypto.randomBytes(24).toString('base64url');
+  const link = await ShareLink.create({
+    whiteboard: whiteboardId,
+    tokenHash: hashToken(token),
+    permission,
+    label,
+    password: password || undefined,
+    expiresAt: expiry,
+    createdBy
+  });
+  return { link, token };
+};
+
+// The link for a token, whatever its state
+const findByToken = (token) => ShareLink.findOne({ tokenHash: hashToken(token) })
+  .populate('whiteboard', 'name requireTwoFactor');
+
+const notLocked = (now) => ({ $or: [{ passwordLockedUntil: null }, { passwordLockedUntil: { $lte: now } }] });
+
+// Lock a link whose password attempts are used up
+const lockIfExhausted = (link) => {
+  const now = new Date();
+  return ShareLink.updateOne(
+    { _id: link._id, failedPasswordAttempts: { $gte: PASSWORD_LOCKOUT_THRESHOLD }, ...notLocked(now) },
+    {
+      $set: {
+        passwordLockedUntil: new Date(now.getTime() + PASSWORD_LOCKOUT_MINUTES * 60 * 1000),
+        failedPasswordAttempts: 0
+      }
+    }
+  );
+};
+
+// Count a password attempt before the password is checked, atomically so parallel
+// guesses can't overtake the limit. Resolves with the seconds to wait, or 0 if
+// the attempt may go ahead.
+const claimPasswordAttempt = async (link) => {
+  const now = new Date();
+  const claimed = await ShareLink.findOneAndUpdate(
+    { _id: link._id, failedPasswordAttempts: { $not: { $gte: PASSWORD_LOCKOUT_THRESHOLD } }, ...notLocked(now) },
+    { $inc: { failedPasswordAttempts: 1 } }
+  ).select('_id');
+  if (claimed) return 0;
+
+  await lockIfExhausted(link);
+  const current = await ShareLink.findById(link._id).select('passwordLockedUntil');
+  const lockedUntil = current && current.passwordLockedUntil;
+  return lockedUntil ? Math.max(1, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000)) : 1;
+};
+
+// Exchange a link token (and password, if the link has one) for a guest token
+// that join-whiteboard accepts in place of a user token
+const openGuestSession = async (token, { name, password } = {}) => {
+  const link = await findByToken(token);
+  if (!link || !link.whiteboard || !link.isUsable()) {
+    throw shareError(404, 'Share link is invalid or has expired');
+  }
+  if (link.whiteboard.requireTwoFactor) {
+    throw shareError(403, TWO_FACTOR_REQUIRED_MESSAGE);
+  }
+
+  const guestName = typeof name === 'string' ? name.trim() : '';
+  if (!guestName || guestName.length > MAX_GUEST_NAME_LENGTH) {
+    throw shareError(400, `A name of up to ${MAX_GUEST_NAME_LENGTH} characters is required`);
+  }
+
+  if (link.password) {
+    const wait = await claimPasswordAttempt(link);
+    if (wait) {
+      const error = shareError(429, 'Too many incorrect passwords for this share link. Try again later.');
+      error.retryAfter = wait;
+      throw error;
+    }
+
+    if (!(await link.comparePassword(password))) {
+      await lockIfExhausted(link);
+      throw shareError(401, 'Incorrect share link password');
+    }
+    await ShareLink.updateOne(
+      { _id: link._id },
+      { $set: { failedPasswordAttempts: 0 }, $unset: { passwordLockedUntil: 1 } }
+    );
+  }
+
+  const untilExpiry = link.expiresAt
+    ? Math.floor((link.expiresAt.getTime() - Date.now()) / 1000)
+    : GUEST_SESSION_TTL_SECONDS;
+  const guestToken = jwt.sign(
+    {
+      guest: true,
+      guestId: crypto.randomUUID(),
+      name: guestName,
+      linkId: link._id.toString(),
+      whiteboardId: link.whiteboard._id
+    },
+    JWT_SECRET,
+    { expiresIn: Math.max(1, Math.min(untilExpiry, GUEST_SESSION_TTL_SECONDS)) }
+  );
+
+  await ShareLink.updateOne({ _id: link._id }, { $set: { lastUsedAt: new Date() }, $inc: { useCount: 1 } });
+
+  return { guestToken, link };
+};
+
+// Check a decoded guest token against its link, which may have been revoked
+// since the token was issued. Resolves with the link, or null if it can't be used.
+const resolveGuest = async (decoded, whiteboardId) => {
+  if (!decoded || !decoded.guest || decoded.whiteboardId !== whiteboardId) return null;
+  const link = await ShareLink.findOne({ _id: decoded.linkId, whiteboard: whiteboardId });
+  return link && link.isUsable() ? link : null;
+};
+
+// Remove guests who joined through a link from its board's room
+const disconnectLinkGuests = (io, whiteboardId, linkId, reason) => {
+  const room = io.sockets.adapter.rooms.get(whiteboardId);
+  if (!room) return;
+
+  for (const socketId of Array.from(room)) {
+    const socket = io.sockets.sockets.get(socketId);
+    if (socket && socket.shareLinkId === String(linkId)) {
+      socket.emit('access-revoked', { whiteboardId, reason });
+      socket.disconnect(true);
+    }
+  }
+};
+
+module.exports = {
+  TWO_FACTOR_REQUIRED_MESSAGE,
+  createShareLink,
+  findByToken,
+  openGuestSession,
+  resolveGuest,
+  disconnectLinkGuests
+};
@@ -0,0 +1,151 @@
+const {
+  NOTE_PADDING,
+  NOTE_FONT_SIZE,
+  NOTE_LINE_HEIGHT,
+  contentBounds,
+  notesById,
+  connectorPoints,
+  arrowHead,
+  wrapNoteText
+} = require('./boardLayout');
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const pathData = (points) => {
+  const [first, ...rest] = points;
+  // A single point still needs a segment for the round cap to draw a dot
+  const segments = rest.length ? rest : [first];
+  return `M${round(first.x)} ${round(first.y)}` +
+    segments.map(point => ` L${round(point.x)} ${round(point.y)}`).join('');
+};
+
+const strokeAttributes = (path, color) =>
+  `fill="none" stroke="${escapeXml(color)}" stroke-width="${round(path.brushSize)}" ` +
+  'stroke-linecap="round" stroke-linejoin="round"';
+
+// Eraser strokes only hide what was drawn before them. Each one wraps everything
+// drawn so far in a group masked by that stroke, so later strokes stay visible.
+const renderStrokes = (paths, bounds) => {
+  const defs = [];
+  let content = '';
+
+  paths.filter(path => path.points.length).forEach((path, index) => {
+    if (path.tool === 'eraser') {
+      const maskId = `erase-${index}`;
+      defs.push(
+        `<mask id="${maskId}" maskUnits="userSpaceOnUse" x="${round(bounds.x)}" y="${round(bounds.y)}" ` +
+        `width="${round(bounds.width)}" height="${round(bounds.height)}">` +
+        `<rect x="${round(bounds.x)}" y="${round(bounds.y)}" width="${round(bounds.width)}" ` +
+        `height="${round(bounds.height)}" fill="white"/>` +
+        `<path d="${pathData(path.points)}" ${strokeAttributes(path, 'black')}/></mask>`
+      );
+      content = `<g mask="url(#${maskId})">${content}</g>`;
+    } else {
+      content += `<path d="${pathData(path.points)}" ${strokeAttributes(path, path.color)}/>`;
+    }
+  });
+
+  return { defs, content };
+};
+
+// Lines of text wrapped to a box, starting at its top-left corner plus padding
+const renderText = (box, fontSize, color, text = box.text) => {
+  const lineHeight = fontSize * NOTE_LINE_HEIGHT;
+  const lines = wrapNoteText(box, fontSize, text).map((line, index) =>
+    `<tspan x="${round(box.x + NOTE_PADDING)}" dy="${index === 0 ? round(fontSize) : round(lineHeight)}">` +
+    `${escapeXml(line)}</tspan>`
+  ).join('');
+
+  return `<text x="${round(box.x + NOTE_PADDING)}" y="${round(box.y + NOTE_PADDING)}" ` +
+    `font-family="Helvetica, Arial, sans-serif" font-size="${round(fontSize)}" fill="${escapeXml(color)}">` +
+    `${lines}</text>`;
+};
+
+const shapeAttributes = (element) =>
+  `fill="${escapeXml(element.fillColor)}" stroke="${escapeXml(element.strokeColor)}" ` +
+  `stroke-width="${round(element.strokeWidth)}"`;
+
+// Files that can't be embedded show as a labelled frame
+const renderPlaceholder = (element, asset) =>
+  `<rect x="${round(element.x)}" y="${round(element.y)}" width="${round(element.width)}" ` +
+  `height="${round(element.height)}" fill="#f5f5f5" stroke="#9e9e9e" stroke-width="1" stroke-dasharray="6 4"/>` +
+  renderText(element, NOTE_FONT_SIZE, '#616161', asset ? asset.filename : 'Missing image');
+
+const renderElement = (element, notes, assets) => {
+  switch (element.type) {
+    case 'rectangle':
+      return `<rect x="${round(element.x)}" y="${round(element.y)}" width="${round(element.width)}" ` +
+        `height="${round(element.height)}" ${shapeAttributes(element)}/>`;
+    case 'ellipse':
+      return `<ellipse cx="${round(element.x + element.width / 2)}" cy="${round(element.y + element.height / 2)}" ` +
+        `rx="${round(element.width / 2)}" ry="${round(element.height / 2)}" ${shapeAttributes(element)}/>`;
+    case 'text': {
+      const background = element.fillColor === 'transparent'
+        ? ''
+        : `<rect x="${round(element.x)}" y="${round(element.y)}" width="${round(element.width)}" ` +
+          `height="${round(element.height)}" fill="${escapeXml(element.fillColor)}"/>`;
+      return `<g>${background}${renderText(element, element.fontSize, element.strokeColor)}</g>`;
+    }
+    case 'image': {
+      const asset = assets && assets.get(String(element.assetId));
+      const box = `x="${round(element.x)}" y="${round(element.y)}" width="${round(element.width)}" ` +
+        `height="${round(element.height)}"`;
+      if (asset && asset.data) {
+        return `<image ${box} preserveAspectRatio="none" ` +
+          `href="data:${asset.mimeType};base64,${asset.data.toString('base64')}"/>`;
+      }
+      return `<g>${renderPlaceholder(element, asset)}</g>`;
+    }
+    default: {
+      const [start, end] = connectorPoints(element, notes);
+      const line = `<line x1="${round(start.x)}" y1="${round(start.y)}" x2="${round(end.x)}" y2="${round(end.y)}" ` +
+        `stroke="${escapeXml(element.strokeColor)}" stroke-width="${round(element.strokeWidth)}" stroke-linecap="round"/>`;
+      if (element.type !== 'arrow') return line;
+
+      const head = [end, ...arrowHead(start, end, element.strokeWidth)]
+        .map(point => `${round(point.x)},${round(point.y)}`).join(' ');
+      return `<g>${line}<polygon points="${head}" fill="${escapeXml(element.strokeColor)}"/></g>`;
+    }
+  }
+};
+
+const renderNote = (note) =>
+  `<g><rect x="${round(note.x)}" y="${round(note.y)}" width="${round(note.width)}" ` +
+  `height="${round(note.height)}" rx="4" fill="${escapeXml(note.color)}" ` +
+  'stroke="rgba(0,0,0,0.15)" stroke-width="1"/>' +
+  `${renderText(note, NOTE_FONT_SIZE, '#222222')}</g>`;
+
+// Render a board as a standalone SVG document. Strokes are drawn first, then
+// shapes, text boxes and images, with sticky notes on top, as in the editor.
+// options.assets (from loadBoardAssets) supplies image data to embed.
+const renderSvg = (whiteboard, options) => {
+  const bounds = contentBounds(whiteboard, options);
+  const { defs, content } = renderStrokes(whiteboard.drawingPaths, bounds);
+  const notes = notesById(whiteboard);
+
+  const background = options.background === 'transparent'
+    ? ''
+    : `<rect x="${round(bounds.x)}" y="${round(bounds.y)}" width="${round(bounds.width)}" ` +
+      `height="${round(bounds.height)}" fill="${escapeXml(options.background)}"/>`;
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<svg xmlns="http://www.w3.org/2000/svg" ' +
+    `width="${round(bounds.width * options.scale)}" height="${round(bounds.height * options.scale)}" ` +
+    `viewBox="${round(bounds.x)} ${round(bounds.y)} ${round(bounds.width)} ${round(bounds.height)}">` +
+    `<title>${escapeXml(whiteboard.name || 'Whiteboard')}</title>` +
+    (defs.length ? `<defs>${defs.join('')}</defs>` : '') +
+    background +
+    `<g>${content}</g>` +
+    (whiteboard.elements || []).map(element => renderElement(element, notes, options.assets)).join('') +
+    whiteboard.stickyNotes.map(renderNote).join('') +
+    '</svg>\n';
+};
+
+module.exports = { renderSvg, escapeXml };
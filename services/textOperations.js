@@ -0,0 +1,136 @@
+// Operational transformation for plain text, in the format used by ot.js so
+// clients can use an existing library. An operation is an array of components:
+//   positive integer  - retain that many characters
+//   negative integer  - delete that many characters
+//   non-empty string  - insert that string
+// It always spans the whole document it applies to.
+
+const isRetain = (component) => Number.isInteger(component) && component > 0;
+const isDelete = (component) => Number.isInteger(component) && component < 0;
+const isInsert = (component) => typeof component === 'string' && component.length > 0;
+
+const isValid = (operation) =>
+  Array.isArray(operation) && operation.every(c => isRetain(c) || isDelete(c) || isInsert(c));
+
+// Length of the text an operation applies to
+const baseLength = (operation) => operation.reduce((length, c) => {
+  if (isRetain(c)) return length + c;
+  if (isDelete(c)) return length - c;
+  return length;
+}, 0);
+
+// Append a component, merging it into the previous one when they are the same kind
+const push = (operation, component) => {
+  const last = operation[operation.length - 1];
+  if (isRetain(component) && isRetain(last)) operation[operation.length - 1] = last + component;
+  else if (isDelete(component) && isDelete(last)) operation[operation.length - 1] = last + component;
+  else if (isInsert(component) && isInsert(last)) operation[operation.length - 1] = last + component;
+  else if (component !== 0 && component !== '') operation.push(component);
+  return operation;
+};
+
+const apply = (text, operation) => {
+  if (baseLength(operation) !== text.length) {
+    throw new Error('Text operation does not match the current note text');
+  }
+
+  let index = 0;
+  let result = '';
+  for (const component of operation) {
+    if (isRetain(component)) {
+      result += text.slice(index, index + component);
+      index += component;
+    } else if (isDelete(component)) {
+      index -= component;
+    } else {
+      result += component;
+    }
+  }
+  return result;
+};
+
+// Given two operations made concurrently against the same text, return [a', b']
+// such that apply(apply(text, a), b') === apply(apply(text, b), a').
+// When both insert at the same position, a's insert goes first.
+const transform = (a, b) => {
+  if (baseLength(a) !== baseLength(b)) {
+    throw new Error('Concurrent text operations must have the same base length');
+  }
+
+  const aPrime = [];
+  const bPrime = [];
+  let i = 0;
+  let j = 0;
+  let opA = a[i++];
+  let opB = b[j++];
+
+  while (opA !== undefined || opB !== undefined) {
+    if (isInsert(opA)) {
+      push(aPrime, opA);
+      push(bPrime, opA.length);
+      opA = a[i++];
+      continue;
+    }
+    if (isInsert(opB)) {
+      push(aPrime, opB.length);
+      push(bPrime, opB);
+      opB = b[j++];
+      continue;
+    }
+
+    let length;
+    if (isRetain(opA) && isRetain(opB)) {
+      length = Math.min(opA, opB);
+      push(aPrime, length);
+      push(bPrime, length);
+      opA -= length;
+      opB -= length;
+    } else if (isDelete(opA) && isDelete(opB)) {
+      length = Math.min(-opA, -opB);
+      opA += length;
+      opB += length;
+    } else if (isDelete(opA) && isRetain(opB)) {
+      length = Math.min(-opA, opB);
+      push(aPrime, -length);
+      opA += length;
+      opB -= length;
+    } else {
+      length = Math.min(opA, -opB);
+      push(bPrime, -length);
+      opA -= length;
+      opB += length;
+    }
+
+    if (opA === 0) opA = a[i++];
+    if (opB === 0) opB = b[j++];
+  }
+
+  return [aPrime, bPrime];
+};
+
+// Smallest single-region operation turning `before` into `after`. Used for text
+// changes that arrive as whole values so they still take part in transformation.
+const diff = (before, after) => {
+  let prefix = 0;
+  while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (
+    suffix < before.length - prefix &&
+    suffix < after.length - prefix &&
+    before[before.length - 1 - suffix] === after[after.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const operation = [];
+  push(operation, prefix);
+  push(operation, -(before.length - prefix - suffix));
+  push(operation, after.slice(prefix, after.length - suffix));
+  push(operation, suffix);
+  return operation;
+};
+
+module.exports = { isValid, baseLength, apply, transform, diff };
@@ -0,0 +1,263 @@
+const {
+  isFiniteNumber,
+  rotatePoint,
+  rectangleOutline,
+  diamondOutline,
+  ellipseOutline
+} = require('./importHelpers');
+
+// tldraw stores named colours and sizes; these are its default light-theme values
+const COLORS = {
+  black: '#1d1d1d',
+  grey: '#9fa8b2',
+  'light-violet': '#e085f4',
+  violet: '#ae3ec9',
+  blue: '#4465e9',
+  'light-blue': '#4ba1f1',
+  yellow: '#f1ac4b',
+  orange: '#e16919',
+  green: '#099268',
+  'light-green': '#4cb05e',
+  'light-red': '#f87777',
+  red: '#e03131',
+  white: '#ffffff'
+};
+const STROKE_SIZES = { s: 2, m: 3.5, l: 5, xl: 10 };
+const TEXT_FONT_SIZES = { s: 18, m: 24, l: 36, xl: 44 };
+const NOTE_SIZE = 200;
+const TEXT_LINE_HEIGHT = 24;
+const SKIP_REASONS = {
+  frame: 'Frame borders are not imported; their contents are',
+  image: 'Images are not supported',
+  video: 'Videos are not supported',
+  embed: 'Embedded content is not supported',
+  bookmark: 'Bookmarks are not supported'
+};
+
+const isTldraw = (data) => Array.isArray(data.records) &&
+  (data.tldrawFileFormatVersion !== undefined || data.records.some(record => record && record.typeName === 'shape'));
+
+const colorOf = (props) => COLORS[props.color] || COLORS.black;
+const fillOf = (props) => (!props.fill || props.fill === 'none' ? 'transparent' : colorOf(props));
+const brushSizeOf = (props) => STROKE_SIZES[props.size] || STROKE_SIZES.m;
+
+// Plain text from either the `text` prop or the newer rich text document
+const textOf = (props) => {
+  if (typeof props.text === 'string') return props.text;
+  const collect = (node) => {
+    if (!node || typeof node !== 'object') return '';
+    if (typeof node.text === 'string') return node.text;
+    const children = Array.isArray(node.content) ? node.content : [];
+    return children.map(collect).join(node.type === 'doc' ? '\n' : '');
+  };
+  return collect(props.richText);
+};
+
+// Points on a draw shape's segments, in shape coordinates. Malformed segments and
+// points are skipped; null means the points are encoded in a way we can't read.
+const drawPoints = (props) => {
+  const segments = props.segments === undefined ? [] : props.segments;
+  if (!Array.isArray(segments)) return null;
+
+  const points = [];
+  for (const segment of segments) {
+    if (!segment || typeof segment !== 'object') continue;
+    if (segment.points === undefined || segment.points === null) continue;
+    if (!Array.isArray(segment.points)) return null;
+    for (const point of segment.points) {
+      if (point && isFiniteNumber(point.x) && isFiniteNumber(point.y)) points.push({ x: point.x, y: point.y });
+    }
+  }
+  if (props.isClosed && points.length) points.push(points[0]);
+  return points;
+};
+
+// Line handles are keyed by id (or listed) and ordered by fractional index
+const linePoints = (props) => Object.values(props.points || {})
+  .filter(point => point && isFiniteNumber(point.x) && isFiniteNumber(point.y))
+  .sort((a, b) => String(a.index).localeCompare(String(b.index)))
+  .map(({ x, y }) => ({ x, y }));
+
+// Arrow endpoints are stored as points unless they are bound to another shape (tldraw v2)
+const arrowPoints = (props) => {
+  const ends = [props.start, props.end];
+  if (!ends.every(end => end && isFiniteNumber(end.x) && isFiniteNumber(end.y))) return null;
+  return ends.map(({ x, y }) => ({ x, y }));
+};
+
+const geoOutline = (props) => {
+  const width = props.w;
+  const height = props.h;
+  if (!isFiniteNumber(width) || !isFiniteNumber(height)) return null;
+  if (props.geo === 'ellipse' || props.geo === 'oval') return ellipseOutline(0, 0, width, height);
+  if (props.geo === 'diamond') return diamondOutline(0, 0, width, height);
+  return rectangleOutline(0, 0, width, height);
+};
+
+// Convert a tldraw document (.tldr file) to board content. Only the first page is imported.
+const fromTldraw = (file, report) => {
+  const records = file.records.filter(record => record && typeof record === 'object');
+  const shapes = records.filter(record => record.typeName === 'shape' && record.props);
+  const byId = new Map(shapes.map(shape => [shape.id, shape]));
+  const [page] = records
+    .filter(record => record.typeName === 'page')
+    .sort((a, b) => String(a.index).localeCompare(String(b.index)));
+
+  // Shape positions are relative to their parent shape (groups, frames)
+  const ancestors = (shape) => {
+    const chain = [shape];
+    let parent = byId.get(shape.parentId);
+    while (parent && !chain.includes(parent)) {
+      chain.push(parent);
+      parent = byId.get(parent.parentId);
+    }
+    return chain;
+  };
+  const toPage = (shape, point) => ancestors(shape).reduce((current, node) => {
+    const rotated = rotatePoint(current, { x: 0, y: 0 }, node.rotation || 0);
+    return { x: rotated.x + (node.x || 0), y: rotated.y + (node.y || 0) };
+  }, point);
+  const pageOf = (shape) => ancestors(shape).pop().parentId;
+  const isRotated = (shape) => ancestors(shape).some(node => node.rotation);
+  // Siblings are painted in fractional index order, children above their parent
+  const paintKey = (shape) => ancestors(shape).reverse().map(node => String(node.index || ''));
+  const comparePaintOrder = (a, b) => {
+    const keyA = paintKey(a);
+    const keyB = paintKey(b);
+    for (let i = 0; i < Math.min(keyA.length, keyB.length); i++) {
+      if (keyA[i] !== keyB[i]) return keyA[i] < keyB[i] ? -1 : 1;
+    }
+    return keyA.length - keyB.length;
+  };
+
+  const drawingPaths = [];
+  const stickyNotes = [];
+  const elements = [];
+  const addConnector = (shape, type, [start, end]) => elements.push({
+    id: shape.id,
+    type,
+    start: toPage(shape, start),
+    end: toPage(shape, end),
+    strokeColor: colorOf(shape.props),
+    strokeWidth: brushSizeOf(shape.props)
+  });
+  const addPath = (shape, points, suffix = '') => drawingPaths.push({
+    id: `${shape.id}${suffix}`,
+    points: points.map(point => toPage(shape, point)),
+    color: colorOf(shape.props),
+    brushSize: brushSizeOf(shape.props),
+    tool: 'pen'
+  });
+  const addNote = (shape, text, width, height, color) => {
+    const origin = toPage(shape, { x: 0, y: 0 });
+    const note = { id: shape.id, text, x: origin.x, y: origin.y, width, height };
+    if (color) note.color = color;
+    stickyNotes.push(note);
+  };
+
+  for (const shape of [...shapes].sort(comparePaintOrder)) {
+    const { type, props } = shape;
+
+    if (page && pageOf(shape) !== page.id) {
+      report.skip(type, 'Shape is on another page');
+      continue;
+    }
+
+    switch (type) {
+      case 'draw':
+      case 'highlight': {
+        const points = drawPoints(props);
+        if (!points) report.skip(type, 'Unsupported stroke encoding');
+        else if (!points.length) report.skip(type, 'Shape has no points');
+        else {
+          addPath(shape, points);
+          if (type === 'highlight') report.approximate(type, 'drawing path');
+        }
+        break;
+      }
+      case 'line':
+      case 'arrow': {
+        const points = type === 'line' ? linePoints(props) : arrowPoints(props);
+        if (!points || !points.length) {
+          report.skip(type, type === 'arrow' ? 'Bound arrow endpoints are not supported' : 'Shape has no points');
+          break;
+        }
+        // Curved arrows (drawn straight) and multi-point lines become paths
+        if (points.length === 2 && !props.bend) {
+          addConnector(shape, type, points);
+        } else {
+          addPath(shape, points);
+          report.approximate(type, 'drawing path');
+        }
+        break;
+      }
+      case 'geo': {
+        const outline = geoOutline(props);
+        if (!outline) {
+          report.skip(type, 'Shape has no size');
+          break;
+        }
+        const elementType = { rectangle: 'rectangle', ellipse: 'ellipse', oval: 'ellipse' }[props.geo];
+        if (elementType && !isRotated(shape)) {
+          const origin = toPage(shape, { x: 0, y: 0 });
+          elements.push({
+            id: shape.id,
+            type: elementType,
+            x: origin.x,
+            y: origin.y,
+            width: props.w,
+            height: props.h,
+            strokeColor: colorOf(props),
+            fillColor: fillOf(props),
+            strokeWidth: brushSizeOf(props)
+          });
+          if (props.geo === 'oval') report.approximate('geo:oval', 'ellipse');
+        } else {
+          addPath(shape, outline, ':outline');
+          report.approximate(props.geo ? `geo:${props.geo}` : type, 'drawing path');
+        }
+        const text = textOf(props);
+        if (text.trim()) addNote(shape, text, props.w, props.h);
+        break;
+      }
+      case 'note': {
+        const text = textOf(props);
+        if (!text.trim()) report.skip(type, 'Empty note');
+        else addNote(shape, text, NOTE_SIZE, NOTE_SIZE, props.color && props.color !== 'black' ? colorOf(props) : null);
+        break;
+      }
+      case 'text': {
+        const text = textOf(props);
+        if (!text.trim()) {
+          report.skip(type, 'Empty text');
+          break;
+        }
+        const origin = toPage(shape, { x: 0, y: 0 });
+        elements.push({
+          id: shape.id,
+          type: 'text',
+          text,
+          x: origin.x,
+          y: origin.y,
+          width: isFiniteNumber(props.w) ? props.w : NOTE_SIZE,
+          height: text.split('\n').length * TEXT_LINE_HEIGHT + TEXT_LINE_HEIGHT,
+          fontSize: TEXT_FONT_SIZES[props.size] || TEXT_FONT_SIZES.m,
+          strokeColor: colorOf(props)
+        });
+        if (isRotated(shape)) report.approximate(type, 'unrotated text box');
+        break;
+      }
+      case 'group':
+        // Groups have no appearance of their own; their children are imported
+        break;
+      default:
+        report.skip(type || 'unknown', SKIP_REASONS[type] || 'Unsupported shape type');
+    }
+  }
+
+  const document = records.find(record => record.typeName === 'document');
+  const name = document && typeof document.name === 'string' && document.name ? document.name : null;
+  return { name, drawingPaths, stickyNotes, elements };
+};
+
+module.exports = { isTldraw, fromTldraw };
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { generateSecret, verifyCode, otpauthUri } = require('./totp');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Whiteboard';
+// How long the second login step may take after the password was accepted
+const CHALLENGE_TTL = process.env.TWO_FACTOR_CHALLENGE_TTL || '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+const twoFactorError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const hashCode = (code) => crypto.createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+// Fresh recovery codes like "k3m9x-7qp2d". Only their hashes are stored.
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(8).toString('hex').slice(0, 10);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashCode) };
+};
+
+const loadWithSecrets = (userId) => User.findById(userId).select(SECRET_FIELDS);
+
+// Start enrolment: store a pending secret and return it with its otpauth URI
+const beginEnrolment = async (user) => {
+  if (user.twoFactor && user.twoFactor.enabled) {
+    throw twoFactorError(400, 'Two-factor authentication is already enabled');
+  }
+
+  const secret = generateSecret();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+  return {
+    secret,
+    otpauthUri: otpauthUri({ secret, accountName: user.email, issuer: TOTP_ISSUER })
+  };
+};
+
+// Finish enrolment with a code from the app. Resolves with the recovery codes.
+const confirmEnrolment = async (userId, code) => {
+  const user = await loadWithSecrets(userId);
+  if (!user.twoFactor.pendingSecret) {
+    throw twoFactorError(400, 'Start two-factor setup first');
+  }
+
+  const step = verifyCode(user.twoFactor.pendingSecret, code);
+  if (step === null) {
+    throw twoFactorError(400, 'Invalid authentication code');
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactor = {
+    enabled: true,
+    enabledAt: new Date(),
+    secret: user.twoFactor.pendingSecret,
+    pendingSecret: undefined,
+    lastUsedStep: step,
+    recoveryCodes: hashes
+  };
+  await user.save();
+  return codes;
+};
+
+// Check a TOTP code or a recovery code for a user with 2FA enabled.
+// Each is accepted once: TOTP steps can't be replayed and recovery codes are removed.
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  const user = await loadWithSecrets(userId);
+  if (!user || !user.twoFactor.enabled) {
+    return false;
+  }
+
+  if (code) {
+    const step = verifyCode(user.twoFactor.secret, code, { afterStep: user.twoFactor.lastUsedStep ?? -1 });
+    if (step === null) return false;
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.lastUsedStep': user.twoFactor.lastUsedStep ?? null },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  if (recoveryCode) {
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hashCode(recoveryCode) },
+      { $pull: { 'twoFactor.recoveryCodes': hashCode(recoveryCode) } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  return false;
+};
+
+// Turn 2FA off and forget the secret and recovery codes
+const disable = (userId) => User.updateOne(
+  { _id: userId },
+  { $set: { twoFactor: { enabled: false } } }
+);
+
+// Replace the recovery codes. Resolves with the new codes.
+const regenerateRecoveryCodes = async (userId) => {
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne({ _id: userId }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+  return codes;
+};
+
+const recoveryCodesRemaining = async (userId) => {
+  const user = await loadWithSecrets(userId);
+  return user && user.twoFactor.recoveryCodes ? user.twoFactor.recoveryCodes.length : 0;
+};
+
+// Short-lived token proving the password step of a login passed
+const createChallenge = (user) => jwt.sign(
+  { userId: user._id, purpose: 'two-factor-login' },
+  JWT_SECRET,
+  { expiresIn: CHALLENGE_TTL }
+);
+
+// The user id from a challenge token; throws errors with a status
+const verifyChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(String(token), JWT_SECRET);
+    if (decoded.purpose !== 'two-factor-login') {
+      throw new Error('Not a login challenge');
+    }
+    return decoded.userId;
+  } catch (error) {
+    throw twoFactorError(401, 'Login challenge is invalid or has expired');
+  }
+};
+
+module.exports = {
+  beginEnrolment,
+  confirmEnrolment,
+  verifySecondFactor,
+  disable,
+  regenerateRecoveryCodes,
+  recoveryCodesRemaining,
+  createChallenge,
+  verifyChallenge
+};
@@ -0,0 +1,52 @@
+const MAX_HISTORY = 100;
+
+// `${whiteboardId}:${userId}` -> { undo: [[operation]], redo: [[operation]] }
+// Each entry holds the normalized operations that revert one user action.
+const stacks = new Map();
+
+const key = (whiteboardId, userId) => `${whiteboardId}:${userId}`;
+
+const getStacks = (whiteboardId, userId) => {
+  const stackKey = key(whiteboardId, userId);
+  if (!stacks.has(stackKey)) {
+    stacks.set(stackKey, { undo: [], redo: [] });
+  }
+  return stacks.get(stackKey);
+};
+
+const push = (stack, operations) => {
+  if (!operations.length) return;
+  stack.push(operations);
+  if (stack.length > MAX_HISTORY) stack.shift();
+};
+
+// A new edit: remember how to revert it and drop anything that could be redone
+const record = (whiteboardId, userId, inverse) => {
+  const history = getStacks(whiteboardId, userId);
+  push(history.undo, inverse);
+  if (inverse.length) history.redo = [];
+};
+
+const takeUndo = (whiteboardId, userId) => getStacks(whiteboardId, userId).undo.pop() || null;
+const takeRedo = (whiteboardId, userId) => getStacks(whiteboardId, userId).redo.pop() || null;
+
+const pushUndo = (whiteboardId, userId, operations) => push(getStacks(whiteboardId, userId).undo, operations);
+const pushRedo = (whiteboardId, userId, operations) => push(getStacks(whiteboardId, userId).redo, operations);
+
+const summary = (whiteboardId, userId) => {
+  const history = stacks.get(key(whiteboardId, userId));
+  return {
+    canUndo: Boolean(history && history.undo.length),
+    canRedo: Boolean(history && history.redo.length)
+  };
+};
+
+// Forget every user's history for a board (room emptied or content replaced)
+const clear = (whiteboardId) => {
+  const prefix = `${whiteboardId}:`;
+  for (const stackKey of stacks.keys()) {
+    if (stackKey.startsWith(prefix)) stacks.delete(stackKey);
+  }
+};
+
+module.exports = { record, takeUndo, takeRedo, pushUndo, pushRedo, summary, clear };
@@ -0,0 +1,130 @@
+const Whiteboard = require('../models/Whiteboard');
+const WhiteboardVersion = require('../models/WhiteboardVersion');
+
+const SNAPSHOT_INTERVAL_MS = parseInt(process.env.SNAPSHOT_INTERVAL_MS) || 10 * 60 * 1000;
+const MAX_AUTOMATIC_SNAPSHOTS = parseInt(process.env.MAX_AUTOMATIC_SNAPSHOTS) || 100;
+
+// whiteboardId -> time of the last interval check, so busy rooms don't query on every write
+const lastIntervalCheck = new Map();
+
+// Keep manual snapshots forever, but only the newest automatic ones
+const pruneAutomaticSnapshots = async (whiteboardId) => {
+  const stale = await WhiteboardVersion.find({ whiteboard: whiteboardId, reason: { $ne: 'manual' } })
+    .sort({ createdAt: -1 })
+    .skip(MAX_AUTOMATIC_SNAPSHOTS)
+    .select('_id');
+
+  if (stale.length) {
+    await WhiteboardVersion.deleteMany({ _id: { $in: stale.map(version => version._id) } });
+  }
+};
+
+// Record already-loaded board content as a version. Automatic snapshots of an empty
+// board are skipped since there is nothing to recover; resolves with the version or null.
+const snapshotContent = async (whiteboardId, content, { name = '', reason = 'manual', createdBy } = {}) => {
+  const isEmpty = !content.drawingPaths.length && !content.stickyNotes.length &&
+    !content.elements.length;
+  if (reason !== 'manual' && isEmpty) return null;
+
+  const version = await WhiteboardVersion.create({
+    whiteboard: whiteboardId,
+    name,
+    reason,
+    revision: content.revision,
+    createdBy,
+    drawingPaths: content.drawingPaths,
+    stickyNotes: content.stickyNotes,
+    elements: content.elements
+  });
+
+  if (reason !== 'manual') {
+    await pruneAutomaticSnapshots(whiteboardId);
+  }
+  lastIntervalCheck.set(whiteboardId, Date.now());
+
+  return version;
+};
+
+// Snapshot a board's current content; resolves with the version or null
+const createSnapshot = async (whiteboardId, options) => {
+  const whiteboard = await Whiteboard.findById(whiteboardId)
+    .select('revision drawingPaths stickyNotes elements');
+  if (!whiteboard) return null;
+
+  return snapshotContent(whiteboardId, whiteboard, options);
+};
+
+// Take an 'interval' snapshot if the board changed since the last snapshot
+// and that snapshot is older than SNAPSHOT_INTERVAL_MS
+const snapshotIfDue = async (whiteboardId) => {
+  const now = Date.now();
+  if (now - (lastIntervalCheck.get(whiteboardId) || 0) < SNAPSHOT_INTERVAL_MS) return null;
+  lastIntervalCheck.set(whiteboardId, now);
+
+  const [latest, whiteboard] = await Promise.all([
+    WhiteboardVersion.findOne({ whiteboard: whiteboardId }).sort({ createdAt: -1 }).select('revision createdAt'),
+    Whiteboard.findById(whiteboardId).select('revision')
+  ]);
+
+  if (!whiteboard) return null;
+  if (latest && (latest.revision === whiteboard.revision || now - latest.createdAt < SNAPSHOT_INTERVAL_MS)) {
+    return null;
+  }
+
+  return createSnapshot(whiteboardId, { reason: 'interval' });
+};
+
+const byId = (items) => new Map(items.map(item => [item.id, item]));
+
+const NOTE_FIELDS = ['text', 'x', 'y', 'width', 'height', 'color'];
+const ELEMENT_FIELDS = [
+  'type', 'x', 'y', 'width', 'height', 'text', 'assetId', 'fontSize', 'strokeColor', 'fillColor', 'strokeWidth'
+];
+const ENDPOINT_FIELDS = ['x', 'y', 'noteId'];
+
+const noteChanged = (before, after) => NOTE_FIELDS.some(field => before[field] !== after[field]);
+
+const endpointChanged = (before, after) => Boolean(before) !== Boolean(after) ||
+  (before && ENDPOINT_FIELDS.some(field => before[field] !== after[field]));
+
+const elementChanged = (before, after) =>
+  ELEMENT_FIELDS.some(field => before[field] !== after[field]) ||
+  endpointChanged(before.start, after.start) ||
+  endpointChanged(before.end, after.end);
+
+// Added, removed and changed items between two lists of id-keyed items
+const diffById = (from, to, changed) => {
+  const fromItems = byId(from);
+  const toItems = byId(to);
+  const diff = {
+    added: to.filter(item => !fromItems.has(item.id)),
+    removed: from.filter(item => !toItems.has(item.id))
+  };
+  if (changed) {
+    diff.changed = to
+      .filter(item => fromItems.has(item.id) && changed(fromItems.get(item.id), item))
+      .map(item => ({ before: fromItems.get(item.id), after: item }));
+  }
+  return diff;
+};
+
+// Compare two sets of board content by element id. "added" is what `to` has that `from` doesn't.
+const diffContent = (from, to) => ({
+  drawingPaths: diffById(from.drawingPaths, to.drawingPaths),
+  stickyNotes: diffById(from.stickyNotes, to.stickyNotes, noteChanged),
+  elements: diffById(from.elements || [], to.elements || [], elementChanged)
+});
+
+// True if replacing `current` with `next` would drop any path, note or element.
+// Content that `next` leaves out entirely (undefined) is being kept, not removed.
+const removesContent = (current, next) => {
+  const diff = diffContent(current, {
+    ...next,
+    elements: next.elements === undefined ? current.elements : next.elements
+  });
+  return diff.drawingPaths.removed.length > 0 ||
+    diff.stickyNotes.removed.length > 0 ||
+    diff.elements.removed.length > 0;
+};
+
+module.exports = { createSnapshot, snapshotContent, snapshotIfDue, diffContent, removesContent };
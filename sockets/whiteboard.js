@@ -0,0 +1,674 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Whiteboard = require('../models/Whiteboard');
+const {
+  normalizeOperation,
+  toClientOperation,
+  isStaleOperation
+} = require('../services/boardOperations');
+const persistenceQueue = require('../services/persistenceQueue');
+const roomState = require('../services/roomState');
+const undoHistory = require('../services/undoHistory');
+const { resolveGuest, TWO_FACTOR_REQUIRED_MESSAGE } = require('../services/shareLinks');
+const sessions = require('../services/sessions');
+const { resolveBoardRole, roleAllows, isBoardOwner } = require('../services/boardAccess');
+const chat = require('../services/chat');
+
+// Apply normalized operations to the room state and queue them for the room's
+// next batched write. Returns the operations that would revert them.
+const commit = (socket, operations) => {
+  const inverse = [];
+  for (const operation of operations) {
+    const result = roomState.apply(socket.whiteboardId, operation);
+    inverse.unshift(...result.inverse);
+    persistenceQueue.enqueue(socket.whiteboardId, {
+      ...result.applied,
+      socketId: socket.id,
+      userId: socket.userId
+    });
+  }
+  return inverse;
+};
+
+// Whether the room can take more edits. Refused while its unsaved backlog is full,
+// e.g. when MongoDB has been unreachable for a while.
+const canQueue = (socket) => {
+  if (!persistenceQueue.isBacklogged(socket.whiteboardId)) return true;
+  socket.emit('error', { message: 'Changes cannot be saved right now. Try again shortly.' });
+  return false;
+};
+
+// Validate a committed edit, apply it and record it in the sender's undo history.
+// Returns false (after telling the sender why) if the payload can't be stored.
+// Clients may send the board revision they are editing as `revision`.
+const persist = (socket, operation, data, extra = {}) => {
+  if (!canQueue(socket)) return false;
+
+  let normalized;
+  try {
+    normalized = {
+      ...normalizeOperation({ ...operation, baseRevision: data.revision }),
+      ...extra
+    };
+  } catch (error) {
+    socket.emit('error', { message: error.message });
+    return false;
+  }
+
+  if (roomState.isStale(socket.whiteboardId, normalized)) {
+    socket.emit('revision-conflict', {
+      message: 'Whiteboard was replaced before your changes were saved'
+    });
+    return false;
+  }
+
+  undoHistory.record(socket.whiteboardId, socket.userId, commit(socket, [normalized]));
+  return true;
+};
+
+// Role and edit rights of a registered user on a board, or { error }
+const resolveUserMember = async (userId, whiteboardId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    return { error: 'User not found' };
+  }
+
+  if (!user.isActive) {
+    return { error: 'Account is deactivated' };
+  }
+
+  const whiteboard = await Whiteboard.findById(whiteboardId)
+    .populate('owner', 'username email')
+    .populate('collaborators.user', 'username email');
+
+  if (!whiteboard) {
+    return { error: 'Whiteboard not found' };
+  }
+
+  const member = {
+    userId: user._id.toString(),
+    username: user.username,
+    twoFactorEnabled: user.twoFactor.enabled
+  };
+
+  // Ownership, collaborator entries and workspace membership all count
+  const userRole = await resolveBoardRole(whiteboard, user._id);
+  if (!userRole) {
+    return { error: 'Access denied' };
+  }
+
+  if (!isBoardOwner(whiteboard, user._id) && whiteboard.requireTwoFactor && !user.twoFactor.enabled) {
+    return { error: 'Two-factor authentication is required for this whiteboard' };
+  }
+
+  return { ...member, userRole, canEdit: roleAllows(userRole, 'edit') };
+};
+
+// Role and edit rights of a share link guest, checked against the link as it is now
+const resolveGuestMember = async (guest, whiteboardId) => {
+  const whiteboard = await Whiteboard.findById(whiteboardId).select('requireTwoFactor');
+  if (!whiteboard) {
+    return { error: 'Whiteboard not found' };
+  }
+  if (whiteboard.requireTwoFactor) {
+    return { error: TWO_FACTOR_REQUIRED_MESSAGE };
+  }
+
+  const link = await resolveGuest(guest, whiteboardId);
+  if (!link) {
+    return { error: 'Share link is invalid or has expired' };
+  }
+
+  // The session ends when the guest token or the link expires, whichever is first
+  const tokenExpiry = guest.exp * 1000;
+  const expiresAt = link.expiresAt ? Math.min(link.expiresAt.getTime(), tokenExpiry) : tokenExpiry;
+
+  return {
+    userId: `guest:${guest.guestId}`,
+    username: guest.name,
+    userRole: 'guest',
+    canEdit: link.permission === 'edit',
+    shareLinkId: link._id.toString(),
+    expiresAt
+  };
+};
+
+// Disconnect a guest socket when its session runs out
+const endGuestSessionAt = (socket, expiresAt) => {
+  clearTimeout(socket.guestSessionTimer);
+  // setTimeout can't wait longer than ~24.8 days; sessions are much shorter
+  const delay = Math.min(Math.max(0, expiresAt - Date.now()), 2 ** 31 - 1);
+  socket.guestSessionTimer = setTimeout(() => {
+    socket.emit('access-revoked', { whiteboardId: socket.whiteboardId, reason: 'Guest session has expired' });
+    socket.disconnect(true);
+  }, delay);
+};
+
+// Chat messages one socket may send per window
+const CHAT_RATE_LIMIT = 10;
+const CHAT_RATE_WINDOW_MS = 10 * 1000;
+
+// Whether a socket is in a board room, and the room named in the payload if any
+// is that one. Chat only reaches the room the socket joined through join-whiteboard.
+const inChatRoom = (socket, data) => {
+  if (!socket.whiteboardId) {
+    socket.emit('error', { message: 'Join a whiteboard before chatting' });
+    return false;
+  }
+  if (data.whiteboardId && data.whiteboardId !== socket.whiteboardId) {
+    socket.emit('error', { message: 'You can only chat in the whiteboard you joined' });
+    return false;
+  }
+  return true;
+};
+
+const registerWhiteboardSocket = (io) => {
+  // Tell rooms which revision their edits were saved as, and tell senders whose
+  // edits were based on content that has since been replaced to reload
+  persistenceQueue.events.on('flushed', (whiteboardId, whiteboard, operations) => {
+    if (!whiteboard) return;
+
+    io.to(whiteboardId).emit('board-saved', {
+      revision: whiteboard.revision,
+      lastModified: whiteboard.lastModified
+    });
+
+    const staleSockets = new Set(
+      operations.filter(op => isStaleOperation(op, whiteboard)).map(op => op.socketId)
+    );
+    for (const socketId of staleSockets) {
+      io.to(socketId).emit('revision-conflict', {
+        message: 'Whiteboard was replaced before your changes were saved',
+        revision: whiteboard.revision
+      });
+    }
+  });
+
+  // Warn rooms whose edits keep failing to save. They stay queued and are retried.
+  persistenceQueue.events.on('failing', (whiteboardId) => {
+    io.to(whiteboardId).emit('error', {
+      message: 'Recent changes could not be saved yet. They will be retried.'
+    });
+  });
+
+  // Edits that could not be saved at all are gone: bring the room back in line
+  // with what was stored and have everyone reload it
+  persistenceQueue.events.on('dropped', async (whiteboardId) => {
+    try {
+      undoHistory.clear(whiteboardId);
+      await roomState.reload(whiteboardId);
+      const room = roomState.get(whiteboardId);
+      io.to(whiteboardId).emit('error', {
+        message: 'Some recent changes could not be saved and were discarded.'
+      });
+      io.to(whiteboardId).emit('board-replaced', { revision: room ? room.revision : null, userId: null });
+    } catch (error) {
+      console.error(`Reload after dropped operations error for whiteboard ${whiteboardId}:`, error);
+    }
+  });
+
+  // Close sockets whose session was signed out, its password changed or its account deactivated
+  sessions.events.on('revoked', (sessionIds, reason) => {
+    const revoked = new Set(sessionIds);
+    for (const socket of io.sockets.sockets.values()) {
+      if (socket.sessionId && revoked.has(socket.sessionId)) {
+        socket.emit('session-revoked', { reason });
+        socket.disconnect(true);
+      }
+    }
+  });
+
+  // Take a socket out of the board room it joined, on disconnect or when it joins another board
+  const leaveBoard = (socket) => {
+    const { whiteboardId } = socket;
+    clearTimeout(socket.guestSessionTimer);
+    if (!whiteboardId) return;
+
+    socket.leave(whiteboardId);
+    socket.whiteboardId = null;
+    roomState.endStroke(whiteboardId, socket.id);
+
+    if (socket.chatTyping) {
+      socket.chatTyping = false;
+      socket.to(whiteboardId).emit('chat-typing', {
+        userId: socket.userId,
+        username: socket.username,
+        socketId: socket.id,
+        isTyping: false
+      });
+    }
+
+    // Notify other users in the room
+    socket.to(whiteboardId).emit('user-left', {
+      userId: socket.userId,
+      username: socket.username,
+      socketId: socket.id
+    });
+
+    // Last editor left - don't wait for the debounce to write their work
+    if (!io.sockets.adapter.rooms.has(whiteboardId)) {
+      persistenceQueue.flush(whiteboardId);
+      roomState.release(whiteboardId);
+      undoHistory.clear(whiteboardId);
+    }
+  };
+
+  io.on('connection', (socket) => {
+    console.log('User connected:', socket.id);
+
+    // Join a whiteboard room with authentication and permissions
+    socket.on('join-whiteboard', async (data) => {
+      try {
+        const { whiteboardId, token } = data;
+
+        if (!whiteboardId) {
+          socket.emit('error', { message: 'Whiteboard ID is required' });
+          return;
+        }
+
+        // Sockets may already be authenticated during the handshake (server-prod.js).
+        // The token may also be a guest token from a share link.
+        const credentials = token || (socket.handshake.auth && socket.handshake.auth.token);
+        let userId = socket.userId;
+        let sessionId = socket.sessionId;
+        let guest = null;
+        if (credentials) {
+          const decoded = jwt.verify(credentials, process.env.JWT_SECRET || 'your-secret-key');
+          if (decoded.guest) {
+            guest = decoded;
+          } else {
+            userId = decoded.userId;
+            sessionId = decoded.sid;
+          }
+        }
+
+        if (!userId && !guest) {
+          socket.emit('error', { message: 'Authentication required' });
+          return;
+        }
+
+        if (!guest && !(await sessions.isSessionActive({ userId, sid: sessionId }))) {
+          socket.emit('error', { message: 'Session has expired or been revoked' });
+          return;
+        }
+
+        const member = guest
+          ? await resolveGuestMember(guest, whiteboardId)
+          : await resolveUserMember(userId, whiteboardId);
+        if (member.error) {
+          socket.emit('error', { message: member.error });
+          return;
+        }
+        const { userRole, canEdit } = member;
+
+        // Make sure the room's board state is in memory before any edits arrive
+        await roomState.load(whiteboardId);
+        if (!roomState.get(whiteboardId)) {
+          socket.emit('error', { message: 'Failed to join whiteboard' });
+          return;
+        }
+
+        // A socket is in one board room at a time
+        if (socket.whiteboardId && socket.whiteboardId !== whiteboardId) {
+          leaveBoard(socket);
+        }
+
+        // Join the room
+        socket.join(whiteboardId);
+
+        // Store user info in socket for later use
+        socket.userId = member.userId;
+        socket.username = member.username;
+        socket.userRole = userRole;
+        socket.canEdit = canEdit;
+        socket.whiteboardId = whiteboardId;
+        socket.twoFactorEnabled = Boolean(member.twoFactorEnabled);
+        socket.isGuest = Boolean(guest);
+        socket.shareLinkId = member.shareLinkId || null;
+        socket.sessionId = guest ? null : String(sessionId);
+        if (!guest) {
+          sessions.touchSession(sessionId, {
+            userAgent: socket.handshake.headers['user-agent'],
+            ip: socket.handshake.address
+          }).catch(error => console.error('Touch session error:', error));
+        }
+        if (member.expiresAt) endGuestSessionAt(socket, member.expiresAt);
+
+        console.log(`User ${socket.username} (${userRole}) joined whiteboard: ${whiteboardId}`);
+
+        // Notify other users in the room
+        socket.to(whiteboardId).emit('user-joined', {
+          userId: member.userId,
+          username: member.username,
+          userRole: userRole,
+          isGuest: socket.isGuest,
+          socketId: socket.id
+        });
+
+        // Send current room info to the joining user, with the board as the room
+        // sees it right now. No await happens between joining the room and taking
+        // this snapshot, so every later edit reaches this socket after room-info.
+        const board = roomState.snapshot(whiteboardId);
+        const room = io.sockets.adapter.rooms.get(whiteboardId);
+        const usersInRoom = room ? Array.from(room).map(socketId => {
+          const socketInfo = io.sockets.sockets.get(socketId);
+          return socketInfo ? {
+            socketId: socketId,
+            username: socketInfo.username,
+            userRole: socketInfo.userRole,
+            isGuest: Boolean(socketInfo.isGuest)
+          } : null;
+        }).filter(Boolean) : [];
+
+        socket.emit('room-info', {
+          whiteboardId: whiteboardId,
+          users: usersInRoom,
+          yourRole: userRole,
+          canEdit: canEdit,
+          revision: board.revision,
+          board
+        });
+
+      } catch (error) {
+        console.error('Join whiteboard error:', error);
+        socket.emit('error', { message: 'Failed to join whiteboard' });
+      }
+    });
+
+    // Handle drawing events (requires edit permission)
+    socket.on('drawing', (data) => {
+      if (!socket.canEdit) {
+        socket.emit('error', { message: 'You do not have permission to draw' });
+        return;
+      }
+      roomState.extendStroke(socket.whiteboardId, socket.id, data);
+      socket.to(socket.whiteboardId).emit('drawing', {
+        ...data,
+        userId: socket.userId,
+        username: socket.username
+      });
+    });
+
+    // Handle drawing start
+    socket.on('drawing-start', (data) => {
+      if (!socket.canEdit) {
+        socket.emit('error', { message: 'You do not have permission to draw' });
+        return;
+      }
+      roomState.startStroke(socket.whiteboardId, socket.id, {
+        userId: socket.userId,
+        username: socket.username,
+        start: data
+      });
+      socket.to(socket.whiteboardId).emit('drawing-start', {
+        ...data,
+        userId: socket.userId,
+        username: socket.username
+      });
+    });
+
+    // Handle drawing end - the finished stroke is committed to the board
+    socket.on('drawing-end', (data = {}) => {
+      if (!socket.canEdit) {
+        socket.emit('error', { message: 'You do not have permission to draw' });
+        return;
+      }
+      roomState.endStroke(socket.whiteboardId, socket.id);
+      if (!persist(socket, { type: 'add-path', path: data.path || data }, data)) return;
+      socket.to(socket.whiteboardId).emit('drawing-end', {
+        ...data,
+        userId: socket.userId,
+        username: socket.username
+      });
+    });
+
+    // Handle sticky note events (requires edit permission)
+    socket.on('sticky-note-add', (data = {}) => {
+      if (!socket.canEdit) {
+        socket.emit('error', { message: 'You do not have permission to add sticky notes' });
+        return;
+      }
+      if (!persist(socket, { type: 'upsert-note', note: data.note || data }, data)) return;
+      socket.to(socket.whiteboardId).emit('sticky-note-add', {
+        ...data,
+        userId: socket.userId,
+        username: socket.username
+      });
+    });
+
+    socket.on('sticky-note-update', (data = {}) => {
+      if (!socket.canEdit) {
+        socket.emit('error', { message: 'You do not have permission to edit sticky notes' });
+        return;
+      }
+      const note = data.note || data;
+      if (!persist(socket, { type: 'upsert-note', note }, data)) return;
+      const updated = roomState.getNote(socket.whiteboardId, note.id);
+      socket.to(socket.whiteboardId).emit('sticky-note-update', {
+        ...data,
+        version: updated ? updated.version : undefined,
+        userId: socket.userId,
+        username: socket.username
+      });
+    });
+
+    // Concurrent note editing. Clients send { id, version, textOperation, properties }
+    // where version is the note version the edit was made against and textOperation
+    // is an ot.js-style operation. The server transforms the text past edits the
+    // sender hadn't seen and broadcasts the result to the whole room, sender
+    // included, so everyone applies edits in the same order and converges.
+    socket.on('sticky-note-edit', (data = {}) => {
+      if (!socket.canEdit) {
+        socket.emit('error', { message: 'You do not have permission to edit sticky notes' });
+        return;
+      }
+
+      let edit;
+      try {
+        edit = roomState.resolveNoteEdit(socket.whiteboardId, data);
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+        return;
+      }
+
+      if (!edit) {
+        socket.emit('sticky-note-resync', {
+          note: roomState.getNote(socket.whiteboardId, data.id),
+          editId: data.editId
+        });
+        return;
+      }
+
+      const operation = { type: 'upsert-note', note: edit.note };
+      if (!persist(socket, operation, data, { textOperation: edit.textOperation })) return;
+
+      const { id, text, ...properties } = edit.note;
+      io.to(socket.whiteboardId).emit('sticky-note-edit', {
+        id,
+        version: roomState.getNote(socket.whiteboardId, id).version,
+        textOperation: edit.textOperation,
+        properties,
+        editId: data.editId,
+        userId: socket.userId,
+        username: socket.username,
+        socketId: socket.id
+      });
+    });
+
+    socket.on('sticky-note-delete', (data = {}) => {
+      if (!socket.canEdit) {
+        socket.emit('error', { message: 'You do not have permission to delete sticky notes' });
+        return;
+      }
+      if (!persist(socket, { type: 'delete-note', id: data.id || data.noteId }, data)) return;
+      socket.to(socket.whiteboardId).emit('sticky-note-delete', {
+        ...data,
+        userId: socket.userId,
+        username: socket.username
+      });
+    });
+
+    // Shapes, lines, arrows and text boxes (requires edit permission). Adds and
+    // updates both carry the whole element, which replaces any stored copy.
+    const upsertElement = (event) => (data = {}) => {
+      if (!socket.canEdit) {
+        socket.emit('error', { message: 'You do not have permission to edit shapes' });
+        return;
+      }
+      if (!persist(socket, { type: 'upsert-element', element: data.element || data }, data)) return;
+      socket.to(socket.whiteboardId).emit(event, {
+        ...data,
+        userId: socket.userId,
+        username: socket.username
+      });
+    };
+
+    socket.on('element-add', upsertElement('element-add'));
+    socket.on('element-update', upsertElement('element-update'));
+
+    socket.on('element-delete', (data = {}) => {
+      if (!socket.canEdit) {
+        socket.emit('error', { message: 'You do not have permission to delete shapes' });
+        return;
+      }
+      if (!persist(socket, { type: 'delete-element', id: data.id || data.elementId }, data)) return;
+      socket.to(socket.whiteboardId).emit('element-delete', {
+        ...data,
+        userId: socket.userId,
+        username: socket.username
+      });
+    });
+
+    // Handle undo/redo (requires edit permission). The server keeps each user's
+    // history, reverts only that user's own last action and broadcasts the exact
+    // operations it applied to everyone in the room, sender included.
+    const replayHistory = (action, take, pushOpposite) => {
+      if (!socket.canEdit) {
+        socket.emit('error', { message: 'You do not have permission to perform this action' });
+        return;
+      }
+      if (!canQueue(socket)) return;
+
+      const operations = take(socket.whiteboardId, socket.userId);
+      if (!operations) {
+        socket.emit('history-state', undoHistory.summary(socket.whiteboardId, socket.userId));
+        return;
+      }
+
+      pushOpposite(socket.whiteboardId, socket.userId, commit(socket, operations));
+
+      io.to(socket.whiteboardId).emit(action, {
+        operations: operations.map(toClientOperation),
+        userId: socket.userId,
+        username: socket.username
+      });
+      socket.emit('history-state', undoHistory.summary(socket.whiteboardId, socket.userId));
+    };
+
+    socket.on('undo', () => {
+      replayHistory('undo', undoHistory.takeUndo, undoHistory.pushRedo);
+    });
+
+    socket.on('redo', () => {
+      replayHistory('redo', undoHistory.takeRedo, undoHistory.pushUndo);
+    });
+
+    // Handle clear board (requires admin permission)
+    socket.on('clear-board', (data = {}) => {
+      if (socket.userRole !== 'owner' && socket.userRole !== 'admin') {
+        socket.emit('error', { message: 'You do not have permission to clear the board' });
+        return;
+      }
+      if (!persist(socket, { type: 'clear' }, data)) return;
+      socket.to(socket.whiteboardId).emit('clear-board', {
+        ...data,
+        userId: socket.userId,
+        username: socket.username
+      });
+    });
+
+    // Handle cursor movement (real-time cursor tracking)
+    socket.on('cursor-move', (data) => {
+      if (socket.whiteboardId) {
+        socket.to(socket.whiteboardId).emit('cursor-move', {
+          ...data,
+          userId: socket.userId,
+          username: socket.username,
+          socketId: socket.id
+        });
+      }
+    });
+
+    // Chat. Messages are stored per board and sent to the whole room, sender included.
+    socket.on('chat-message', async (data = {}) => {
+      if (!inChatRoom(socket, data)) return;
+
+      const now = Date.now();
+      socket.chatSentAt = (socket.chatSentAt || []).filter(time => now - time < CHAT_RATE_WINDOW_MS);
+      if (socket.chatSentAt.length >= CHAT_RATE_LIMIT) {
+        socket.emit('error', { message: 'You are sending messages too quickly' });
+        return;
+      }
+      socket.chatSentAt.push(now);
+
+      try {
+        const message = await chat.postMessage(socket.whiteboardId, {
+          userId: socket.userId,
+          username: socket.username,
+          isGuest: socket.isGuest
+        }, data.text);
+
+        if (socket.chatTyping) {
+          socket.chatTyping = false;
+          socket.to(socket.whiteboardId).emit('chat-typing', {
+            userId: socket.userId,
+            username: socket.username,
+            socketId: socket.id,
+            isTyping: false
+          });
+        }
+        io.to(socket.whiteboardId).emit('chat-message', { ...message, clientId: data.clientId });
+      } catch (error) {
+        if (!error.status) console.error('Chat message error:', error);
+        socket.emit('error', { message: error.status ? error.message : 'Failed to send message' });
+      }
+    });
+
+    socket.on('chat-typing', (data = {}) => {
+      if (!inChatRoom(socket, data)) return;
+      socket.chatTyping = Boolean(data.isTyping);
+      socket.to(socket.whiteboardId).emit('chat-typing', {
+        userId: socket.userId,
+        username: socket.username,
+        socketId: socket.id,
+        isTyping: socket.chatTyping
+      });
+    });
+
+    // Authors can delete their own messages; owners and admins can delete any
+    socket.on('chat-delete', async (data = {}) => {
+      if (!inChatRoom(socket, data)) return;
+      try {
+        const message = await chat.deleteMessage(socket.whiteboardId, data.id || data.messageId, {
+          userId: socket.userId,
+          isAdmin: roleAllows(socket.userRole, 'admin')
+        });
+        io.to(socket.whiteboardId).emit('chat-message-deleted', {
+          id: message.id,
+          whiteboardId: socket.whiteboardId
+        });
+      } catch (error) {
+        if (!error.status) console.error('Chat delete error:', error);
+        socket.emit('error', { message: error.status ? error.message : 'Failed to delete message' });
+      }
+    });
+
+    // Handle user disconnect
+    socket.on('disconnect', () => {
+      console.log('User disconnected:', socket.id, socket.username);
+      leaveBoard(socket);
+    });
+  });
+};
+
+module.exports = registerWhiteboardSocket;
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+
+// Files are read from here; read when the storage backend is first used
+process.env.ASSET_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'assets-test-'));
+
+const Asset = require('../models/Asset');
+const User = require('../models/User');
+const Whiteboard = require('../models/Whiteboard');
+const assetRoutes = require('../routes/assets');
+const { query } = require('./helpers/fakeMongo');
+const { serve, signIn } = require('./helpers/http');
+
+const BOARD_ID = 'asset-test-board';
+
+test.after(() => fs.rmSync(process.env.ASSET_DIR, { recursive: true, force: true }));
+
+// The owner of a board holding one uploaded file
+const setup = async (t, { filename, mimeType = 'image/png', stored = true }) => {
+  const owner = new User({ username: 'ada', email: 'ada@example.com', password: 'secret123' });
+  const asset = {
+    _id: new mongoose.Types.ObjectId(),
+    whiteboard: BOARD_ID,
+    filename,
+    mimeType,
+    size: 4,
+    storage: 'local',
+    key: `${new mongoose.Types.ObjectId()}`
+  };
+  if (stored) {
+    fs.writeFileSync(path.join(process.env.ASSET_DIR, asset.key), 'data');
+  }
+
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(Whiteboard, 'findById', () => query(() => ({ _id: BOARD_ID, owner: owner._id, collaborators: [] })));
+  t.mock.method(Asset, 'findOne', async () => asset);
+
+  const request = await serve(t, '/api/whiteboards/:id/assets', assetRoutes);
+  const download = () => request('GET', `/api/whiteboards/${BOARD_ID}/assets/${asset._id}`, { token: signIn(t, owner) });
+  return { download };
+};
+
+test('files with non-Latin names download with an encoded filename', async (t) => {
+  const { download } = await setup(t, { filename: 'Снимок экрана.png' });
+
+  const response = await download();
+  assert.equal(response.status, 200);
+  assert.equal(
+    response.headers.get('content-disposition'),
+    'inline; filename="?????? ??????.png"; filename*=UTF-8\'\'%D0%A1%D0%BD%D0%B8%D0%BC%D0%BE%D0%BA%20%D1%8D%D0%BA%D1%80%D0%B0%D0%BD%D0%B0.png'
+  );
+  assert.equal(response.body.toString(), 'data');
+});
+
+test('quotes in filenames cannot break out of the header', async (t) => {
+  const { download } = await setup(t, { filename: 'a"b.pdf', mimeType: 'application/pdf' });
+
+  const response = await download();
+  assert.equal(response.headers.get('content-disposition'), 'attachment; filename="a\\"b.pdf"');
+});
+
+test('a missing file is a 404 that is not cached', async (t) => {
+  const { download } = await setup(t, { filename: 'gone.png', stored: false });
+
+  const response = await download();
+  assert.equal(response.status, 404);
+  assert.equal(response.body.message, 'Asset file is missing');
+  assert.equal(response.headers.get('cache-control'), null);
+  assert.equal(response.headers.get('content-disposition'), null);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AccountToken = require('../models/AccountToken');
+const AuthEvent = require('../models/AuthEvent');
+const User = require('../models/User');
+const authRoutes = require('../routes/auth');
+const { mockDocument, query } = require('./helpers/fakeMongo');
+const { serve } = require('./helpers/http');
+
+// One account; reset emails are recorded instead of sent
+const setup = async (t) => {
+  const user = mockDocument(t, User, new User({ username: 'ada', email: 'ada@example.com', password: 'secret123' }));
+  const events = [];
+  t.mock.method(AuthEvent, 'create', async (event) => {
+    events.push(event);
+  });
+  // Within the mail cooldown, so the reset is checked for but no email goes out
+  const resetsSent = t.mock.method(AccountToken, 'exists', async () => ({ _id: 'recent' }));
+
+  const request = await serve(t, '/api/auth', authRoutes);
+  const forgotPassword = (email) => request('POST', '/api/auth/forgot-password', { body: { email } });
+  return { user, events, resetsSent, forgotPassword };
+};
+
+test('reset requests for an account are throttled without revealing it', async (t) => {
+  const { user, events, resetsSent, forgotPassword } = await setup(t);
+
+  const responses = [];
+  for (let attempt = 0; attempt < 5; attempt++) {
+    responses.push(await forgotPassword('ada@example.com'));
+  }
+
+  assert.deepEqual(responses.map(response => response.status), [200, 200, 200, 200, 200]);
+  assert.ok(responses.every(response =>
+    response.body.message === 'If an account exists for that email, a reset link has been sent'));
+  assert.equal(resetsSent.mock.callCount(), 3);
+  assert.deepEqual(events.map(event => event.type), [
+    'password-reset-requested',
+    'password-reset-requested',
+    'password-reset-requested',
+    'password-reset-throttled',
+    'password-reset-throttled'
+  ]);
+  // Signing in is unaffected
+  assert.equal(user.failedLoginAttempts, 0);
+});
+
+test('requests for unknown emails get the same answer', async (t) => {
+  const { events, forgotPassword } = await setup(t);
+  t.mock.method(User, 'findOne', () => query(() => null));
+
+  const response = await forgotPassword('nobody@example.com');
+  assert.equal(response.status, 200);
+  assert.equal(response.body.message, 'If an account exists for that email, a reset link has been sent');
+  assert.equal(events[0].email, 'nobody@example.com');
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Whiteboard = require('../models/Whiteboard');
+const { parseArchive, importArchive } = require('../services/boardArchive');
+const { query } = require('./helpers/fakeMongo');
+
+const archive = (content, fields = {}) => ({
+  format: 'whiteboard-archive',
+  version: 1,
+  board: { name: 'Plan' },
+  content: { drawingPaths: [], stickyNotes: [], ...content },
+  ...fields
+});
+
+test('a valid archive parses into board content', () => {
+  const parsed = parseArchive(archive({
+    drawingPaths: [{ id: 'p1', points: [{ x: 0, y: 0 }, { x: 5, y: 5 }], color: '#000000', brushSize: 2 }],
+    stickyNotes: [{ id: 'n1', text: 'hi', x: 10, y: 10 }]
+  }, { collaborators: [{ email: 'ada@example.com', permission: 'edit' }] }));
+
+  assert.equal(parsed.name, 'Plan');
+  assert.equal(parsed.isPublic, false);
+  assert.equal(parsed.drawingPaths.length, 1);
+  assert.equal(parsed.stickyNotes[0].text, 'hi');
+  assert.deepEqual(parsed.collaborators, [{ email: 'ada@example.com', permission: 'edit' }]);
+});
+
+test('files that are not archives are rejected with 400', () => {
+  assert.throws(() => parseArchive({ format: 'other' }), { status: 400, message: /Not a whiteboard-archive/ });
+  assert.throws(() => parseArchive(archive({}, { version: 2 })), { status: 400, message: /Unsupported archive version/ });
+  assert.throws(() => parseArchive(archive({ stickyNotes: {} })), { status: 400 });
+  assert.throws(() => parseArchive(archive({ elements: 'none' })), { status: 400, message: /elements must be an array/ });
+});
+
+test('null and non-object content entries are rejected with 400', () => {
+  for (const field of ['drawingPaths', 'stickyNotes', 'elements']) {
+    for (const entry of [null, 'note', 3, []]) {
+      assert.throws(() => parseArchive(archive({ [field]: [entry] })), {
+        status: 400,
+        message: `Invalid content at ${field}.0: expected an object`
+      });
+    }
+  }
+});
+
+test('content failing the board schema is rejected with 400', () => {
+  assert.throws(
+    () => parseArchive(archive({ stickyNotes: [{ id: 'n1', text: 'hi', x: 'left', y: 0 }] })),
+    { status: 400, message: /Invalid content at stickyNotes\.0\.x/ }
+  );
+});
+
+test('collaborators need an email and a known permission', () => {
+  assert.throws(
+    () => parseArchive(archive({}, { collaborators: [{ email: 'ada@example.com', permission: 'owner' }] })),
+    { status: 400 }
+  );
+  assert.throws(() => parseArchive(archive({}, { collaborators: [null] })), { status: 400 });
+});
+
+test('importing adds collaborators only for verified accounts', async (t) => {
+  const ownerId = new mongoose.Types.ObjectId();
+  const accounts = {
+    'verified@example.com': { _id: new mongoose.Types.ObjectId(), emailVerified: true },
+    'unverified@example.com': { _id: new mongoose.Types.ObjectId(), emailVerified: false }
+  };
+  t.mock.method(User, 'findOne', (filter) => query(() => accounts[filter.email] || null));
+  t.mock.method(Whiteboard, 'create', async (fields) => ({
+    ...fields,
+    drawingPaths: [],
+    stickyNotes: [],
+    elements: []
+  }));
+
+  const parsed = parseArchive(archive({}, {
+    collaborators: [
+      { email: 'Verified@Example.com', permission: 'edit' },
+      { email: 'unverified@example.com', permission: 'admin' },
+      { email: 'nobody@example.com', permission: 'view' }
+    ]
+  }));
+  const { whiteboard, report } = await importArchive(parsed, ownerId);
+
+  assert.deepEqual(whiteboard.collaborators, [{ user: accounts['verified@example.com']._id, permission: 'edit' }]);
+  assert.equal(report.collaboratorsAdded, 1);
+  assert.deepEqual(report.unresolvedCollaborators, [
+    { email: 'unverified@example.com', permission: 'admin', reason: 'User has not verified their email address' },
+    { email: 'nobody@example.com', permission: 'view', reason: 'No account with this email' }
+  ]);
+});
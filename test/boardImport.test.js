@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseImport } = require('../services/boardImport');
+
+// Converted content is cast through the board schema; compare plain coordinates
+const xy = ({ x, y }) => ({ x, y });
+
+const tldraw = (...shapes) => ({
+  tldrawFileFormatVersion: 1,
+  records: [
+    { typeName: 'page', id: 'page:1', index: 'a1' },
+    ...shapes.map((shape, index) => ({
+      typeName: 'shape',
+      id: `shape:${index}`,
+      parentId: 'page:1',
+      index: `a${index}`,
+      x: 0,
+      y: 0,
+      ...shape
+    }))
+  ]
+});
+
+const excalidraw = (...elements) => ({
+  type: 'excalidraw',
+  elements: elements.map((element, index) => ({ id: `e${index}`, x: 0, y: 0, ...element }))
+});
+
+test('unrecognised bodies are rejected with 400', () => {
+  assert.throws(() => parseImport(null), { status: 400 });
+  assert.throws(() => parseImport({ type: 'svg' }), { status: 400, message: /Unrecognised import format/ });
+});
+
+test('tldraw draw shapes become drawing paths', () => {
+  const parsed = parseImport(tldraw({
+    type: 'draw',
+    x: 10,
+    y: 20,
+    props: { color: 'red', size: 'm', segments: [{ type: 'free', points: [{ x: 0, y: 0 }, { x: 5, y: 5 }] }] }
+  }));
+
+  assert.equal(parsed.format, 'tldraw');
+  assert.deepEqual(parsed.drawingPaths[0].points.map(xy), [{ x: 10, y: 20 }, { x: 15, y: 25 }]);
+  assert.equal(parsed.drawingPaths[0].color, '#e03131');
+});
+
+test('tldraw segments that are null or have no points are skipped', () => {
+  const parsed = parseImport(tldraw({
+    type: 'draw',
+    props: {
+      segments: [
+        null,
+        'free',
+        { type: 'free' },
+        { type: 'free', points: null },
+        { type: 'free', points: [null, { x: 'a', y: 0 }, { x: 1, y: 2 }] }
+      ]
+    }
+  }));
+
+  assert.deepEqual(parsed.drawingPaths[0].points.map(xy), [{ x: 1, y: 2 }]);
+});
+
+test('tldraw strokes without usable points are reported, not fatal', () => {
+  const parsed = parseImport(tldraw(
+    { type: 'draw', props: { segments: [null, { type: 'free' }] } },
+    { type: 'draw', props: { segments: 'encoded' } },
+    { type: 'highlight', props: { segments: [{ points: 'encoded' }] } }
+  ));
+
+  assert.equal(parsed.drawingPaths.length, 0);
+  assert.deepEqual(parsed.skipped, [
+    { type: 'draw', reason: 'Shape has no points', count: 1 },
+    { type: 'draw', reason: 'Unsupported stroke encoding', count: 1 },
+    { type: 'highlight', reason: 'Unsupported stroke encoding', count: 1 }
+  ]);
+});
+
+test('excalidraw elements with missing or malformed points are skipped', () => {
+  const parsed = parseImport(excalidraw(
+    { type: 'freedraw', points: { 0: [0, 0] } },
+    { type: 'line', points: null },
+    { type: 'arrow', points: [null, [0, 0], ['a', 1], [4, 3]] }
+  ));
+
+  assert.equal(parsed.drawingPaths.length, 0);
+  assert.deepEqual(parsed.elements.map(({ type, start, end }) => ({ type, start: xy(start), end: xy(end) })), [
+    { type: 'arrow', start: { x: 0, y: 0 }, end: { x: 4, y: 3 } }
+  ]);
+  assert.deepEqual(parsed.skipped, [
+    { type: 'freedraw', reason: 'Element has no points', count: 1 },
+    { type: 'line', reason: 'Element has no points', count: 1 }
+  ]);
+});
+
+test('an import name overrides the one in the file', () => {
+  const scene = { ...excalidraw(), appState: { name: 'Sketch' } };
+  assert.equal(parseImport(scene).name, 'Sketch');
+  assert.equal(parseImport(scene, { name: 'Renamed' }).name, 'Renamed');
+});
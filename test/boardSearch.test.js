@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSearchQuery, findMatches } = require('../services/boardSearch');
+
+// The highlighted stretches of each match's snippet
+const highlighted = (board, q) => findMatches(board, parseSearchQuery(q).terms)
+  .map(match => match.highlights.map(({ start, end }) => match.snippet.slice(start, end)));
+
+test('words are highlighted wherever the text index matched their stem', () => {
+  const board = { name: 'Sprint planning', stickyNotes: [{ id: 'a', text: 'We planned two plans; the planet waits' }] };
+
+  assert.deepEqual(highlighted(board, 'plans'), [['planning'], ['planned', 'plans']]);
+});
+
+test('matching ignores case and accents and stops at punctuation', () => {
+  const board = { name: 'CAFÉ menu', stickyNotes: [{ id: 'a', text: 'cafe-au-lait, cafés' }] };
+
+  assert.deepEqual(highlighted(board, 'Cafe'), [['CAFÉ'], ['cafe', 'cafés']]);
+});
+
+test('phrases are highlighted as typed and negated terms not at all', () => {
+  const board = {
+    name: 'Road map',
+    stickyNotes: [{ id: 'a', text: 'The road map for the map room' }],
+    elements: [{ id: 'b', type: 'text', text: 'Draft road map' }]
+  };
+
+  assert.deepEqual(highlighted(board, '"road map" -draft'), [['Road map'], ['road map'], ['road map']]);
+  // A word inside a phrase is highlighted once, not twice
+  assert.deepEqual(highlighted(board, '"road map" road'), [['Road map'], ['road map'], ['road map']]);
+});
+
+test('queries need a term that is not excluded', () => {
+  for (const q of [undefined, '   ', '-draft', '-"road map"', '!!!']) {
+    assert.throws(() => parseSearchQuery(q), { status: 400 }, `q ${q}`);
+  }
+});
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// Just enough of MongoDB's query language to run the services' atomic filters
+// and updates against documents held in memory
+
+// Aggregation expressions, as used in $expr
+const evaluate = (doc, expression) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) return doc[expression.slice(1)];
+  if (!expression || typeof expression !== 'object' || expression instanceof Date) return expression;
+
+  const [[operator, args]] = Object.entries(expression);
+  const value = (index) => evaluate(doc, args[index]);
+  switch (operator) {
+    case '$ifNull': return value(0) ?? value(1);
+    case '$lt': return value(0) < value(1);
+    case '$lte': return value(0) <= value(1);
+    case '$cond': return value(0) ? value(1) : value(2);
+    case '$subtract': return value(0) - value(1);
+    case '$multiply': return value(0) * value(1);
+    case '$min': return Math.min(value(0), value(1));
+    case '$pow': return value(0) ** value(1);
+    case '$add': {
+      const sum = args.reduce((total, arg) => total + Number(evaluate(doc, arg)), 0);
+      return value(0) instanceof Date ? new Date(sum) : sum;
+    }
+    default: throw new Error(`Unsupported expression ${operator}`);
+  }
+};
+
+const isMissing = (value) => value === null || value === undefined;
+
+// A field condition. Like MongoDB, comparisons never match a missing field and $not does.
+const matchesCondition = (value, condition) => {
+  if (condition === null) return isMissing(value);
+  if (condition instanceof mongoose.Types.ObjectId) return condition.equals(value);
+  if (typeof condition !== 'object' || condition instanceof Date) return String(value) === String(condition);
+  return Object.entries(condition).every(([operator, operand]) => {
+    if (operator === '$not') return !matchesCondition(value, operand);
+    if (operator === '$ne') return !matchesCondition(value, operand);
+    if (operator === '$in') return operand.some(option => matchesCondition(value, option));
+    if (isMissing(value)) return false;
+    switch (operator) {
+      case '$gte': return value >= operand;
+      case '$gt': return value > operand;
+      case '$lte': return value <= operand;
+      case '$lt': return value < operand;
+      default: throw new Error(`Unsupported operator ${operator}`);
+    }
+  });
+};
+
+// The values a dotted path reaches, stepping into every element of arrays on the way
+const valuesAt = (doc, path) => path.split('.').reduce(
+  (values, field) => values.flatMap(value => (Array.isArray(value) ? value : [value]))
+    .map(value => (isMissing(value) ? undefined : value[field])),
+  [doc]
+);
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$and') return condition.every(part => matches(doc, part));
+  if (key === '$or') return condition.some(part => matches(doc, part));
+  if (key === '$expr') return Boolean(evaluate(doc, condition));
+  if (key.includes('.')) return valuesAt(doc, key).some(value => matchesCondition(value, condition));
+  return matchesCondition(doc[key], condition);
+});
+
+const applyUpdate = (doc, { $inc = {}, $set = {}, $unset = {} }) => {
+  for (const [key, amount] of Object.entries($inc)) doc[key] = (doc[key] || 0) + amount;
+  Object.assign(doc, $set);
+  for (const key of Object.keys($unset)) delete doc[key];
+};
+
+// A query that can be chained like a Mongoose query and awaited
+const query = (result) => {
+  const chain = () => query(result);
+  return {
+    select: chain,
+    populate: chain,
+    sort: chain,
+    skip: chain,
+    lean: chain,
+    then: (resolve, reject) => Promise.resolve().then(result).then(resolve, reject)
+  };
+};
+
+// Stand in for one document of `Model`: lookups return it (plain objects as a copy),
+// and conditional updates apply only when their filter matches it as it is now
+const mockDocument = (t, Model, doc) => {
+  const current = () => (doc instanceof mongoose.Document ? doc : { ...doc });
+  t.mock.method(Model, 'findById', () => query(current));
+  t.mock.method(Model, 'findOne', (filter) => query(() => (matches(doc, filter) ? current() : null)));
+  t.mock.method(Model, 'findOneAndUpdate', (filter, changes) => query(() => {
+    if (!matches(doc, filter)) return null;
+    applyUpdate(doc, changes);
+    return current();
+  }));
+  t.mock.method(Model, 'updateOne', async (filter, changes) => {
+    if (matches(doc, filter)) applyUpdate(doc, changes);
+  });
+  return doc;
+};
+
+module.exports = { evaluate, matches, applyUpdate, query, mockDocument };
@@ -0,0 +1,69 @@
+// A Socket.IO server without a transport. Client events are handed straight to the
+// registered handlers, and everything emitted to sockets and rooms is recorded.
+const createServer = (register) => {
+  const rooms = new Map();
+  const sockets = new Map();
+  // Emits to rooms: { to, event, data }
+  const broadcasts = [];
+  const waiting = [];
+  let onConnection;
+
+  const toRoom = (room) => ({
+    emit: (event, data) => {
+      broadcasts.push({ to: room, event, data });
+      for (const waiter of waiting.filter(entry => entry.event === event)) {
+        waiting.splice(waiting.indexOf(waiter), 1);
+        waiter.resolve({ to: room, data });
+      }
+    }
+  });
+  // Resolves with the next broadcast of `event`: { to, data }
+  const nextBroadcast = (event) => new Promise(resolve => waiting.push({ event, resolve }));
+  const io = {
+    on: (event, handler) => {
+      if (event === 'connection') onConnection = handler;
+    },
+    to: toRoom,
+    sockets: { sockets, adapter: { rooms } }
+  };
+  register(io);
+
+  const connect = ({ auth = {} } = {}) => {
+    const handlers = new Map();
+    const socket = {
+      id: `socket-${sockets.size + 1}`,
+      handshake: { auth, headers: { 'user-agent': 'test-agent' }, address: '127.0.0.1' },
+      // Emits to this socket: { event, data }
+      received: [],
+      on: (event, handler) => handlers.set(event, handler),
+      emit: (event, data) => socket.received.push({ event, data }),
+      to: toRoom,
+      join: (room) => {
+        if (!rooms.has(room)) rooms.set(room, new Set());
+        rooms.get(room).add(socket.id);
+      },
+      leave: (room) => {
+        const members = rooms.get(room);
+        if (!members) return;
+        members.delete(socket.id);
+        if (!members.size) rooms.delete(room);
+      },
+      disconnect: () => {
+        sockets.delete(socket.id);
+        const handler = handlers.get('disconnect');
+        if (handler) handler();
+      },
+      // Send a client event and wait for its handler to finish
+      send: async (event, data) => handlers.get(event)(data),
+      // The last thing this socket received as `event`
+      last: (event) => socket.received.filter(entry => entry.event === event).map(entry => entry.data).pop()
+    };
+    sockets.set(socket.id, socket);
+    onConnection(socket);
+    return socket;
+  };
+
+  return { io, broadcasts, nextBroadcast, connect };
+};
+
+module.exports = { createServer };
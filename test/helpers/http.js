@@ -0,0 +1,56 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../../models/Session');
+const User = require('../../models/User');
+const { query } = require('./fakeMongo');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+
+// Serve `router` at `path` on a throwaway app for the length of a test, with
+// `io` as its Socket.IO server if given. Resolves with a function that makes a
+// request and reads the JSON reply.
+const serve = async (t, path, router, { io } = {}) => {
+  const app = express();
+  if (io) app.set('io', io);
+  app.use(express.json());
+  app.use(path, router);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  return async (method, url, { body, token, headers: extra } = {}) => {
+    const headers = { ...extra };
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const response = await fetch(`${base}${url}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const type = response.headers.get('content-type') || '';
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: type.includes('application/json') ? await response.json() : Buffer.from(await response.arrayBuffer())
+    };
+  };
+};
+
+// An access token for `user` whose session the auth middleware will accept
+const signIn = (t, user) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  t.mock.method(Session, 'exists', async () => ({ _id: sessionId }));
+  t.mock.method(Session, 'updateOne', async () => {});
+  t.mock.method(User, 'findById', (id) => query(() => (String(id) === String(user._id) ? user : null)));
+  return jwt.sign({ userId: String(user._id), sid: String(sessionId) }, JWT_SECRET);
+};
+
+module.exports = { serve, signIn };
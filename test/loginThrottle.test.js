@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const AuthEvent = require('../models/AuthEvent');
+const { claimOrThrottle, rejectIfThrottled, recordFailure, recordSuccess } = require('../services/loginThrottle');
+const { mockDocument } = require('./helpers/fakeMongo');
+
+const setup = (t, fields = {}) => {
+  const user = mockDocument(t, User, {
+    _id: new mongoose.Types.ObjectId(),
+    email: 'ada@example.com',
+    failedLoginAttempts: 0,
+    ...fields
+  });
+  const events = [];
+  t.mock.method(AuthEvent, 'create', async (event) => {
+    events.push(event);
+  });
+  return { user, events };
+};
+
+const request = () => ({ ip: '203.0.113.7', get: () => 'test-agent' });
+
+const response = () => ({
+  statusCode: 200,
+  headers: {},
+  set(name, value) {
+    this.headers[name] = value;
+  },
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+// One attempt with a wrong password, as the login route makes it
+const failAttempt = async (user) => {
+  const res = response();
+  if (await rejectIfThrottled(request(), res, user, 'login')) return res;
+  await recordFailure(request(), user, 'login-failed', { reason: 'wrong-password' });
+  return res;
+};
+
+test('an attempt is counted before the credential is checked', async (t) => {
+  const { user } = setup(t);
+  const res = response();
+
+  assert.equal(await rejectIfThrottled(request(), res, user, 'login'), false);
+  assert.equal(user.failedLoginAttempts, 1);
+  assert.ok(user.lastFailedLoginAt);
+});
+
+test('parallel attempts cannot overtake the limit', async (t) => {
+  const { user } = setup(t);
+
+  const refused = await Promise.all(
+    Array.from({ length: 20 }, () => rejectIfThrottled(request(), response(), user, 'login'))
+  );
+  // Three free attempts; the rest have to wait for the first delay
+  assert.equal(refused.filter(Boolean).length, 17);
+  assert.equal(user.failedLoginAttempts, 3);
+});
+
+test('throttled requests get 429 with Retry-After and are audited', async (t) => {
+  const { user, events } = setup(t, { failedLoginAttempts: 5, lastFailedLoginAt: new Date() });
+  const res = response();
+
+  assert.equal(await rejectIfThrottled(request(), res, user, 'login'), true);
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.headers['Retry-After'], '4');
+  assert.equal(res.body.retryAfter, 4);
+  assert.equal(events[0].type, 'login-throttled');
+});
+
+test('reaching the threshold locks the account', async (t) => {
+  const { user, events } = setup(t);
+
+  for (let attempt = 0; attempt < 10; attempt++) {
+    // Let any back-off delay pass
+    if (user.lastFailedLoginAt) user.lastFailedLoginAt = new Date(0);
+    const res = await failAttempt(user);
+    assert.equal(res.statusCode, 200);
+  }
+
+  assert.ok(user.lockedUntil > new Date());
+  assert.equal(user.failedLoginAttempts, 0);
+  assert.ok(events.some(event => event.type === 'account-locked'));
+
+  const res = await failAttempt(user);
+  assert.equal(res.statusCode, 429);
+  assert.match(res.body.message, /locked/);
+  assert.ok(Number(res.headers['Retry-After']) > 60);
+});
+
+test('attempts that were never settled still end in a lockout', async (t) => {
+  const { user, events } = setup(t, { failedLoginAttempts: 10, lastFailedLoginAt: new Date(0) });
+  const res = response();
+
+  assert.equal(await rejectIfThrottled(request(), res, user, 'login'), true);
+  assert.ok(user.lockedUntil > new Date());
+  assert.ok(events.some(event => event.type === 'account-locked'));
+});
+
+test('an expired lockout lets the account try again', async (t) => {
+  const { user } = setup(t, { lockedUntil: new Date(Date.now() - 1000) });
+
+  assert.equal(await rejectIfThrottled(request(), response(), user, 'login'), false);
+});
+
+test('a successful check forgets earlier failures', async (t) => {
+  const { user, events } = setup(t, { failedLoginAttempts: 2, lastFailedLoginAt: new Date(0) });
+
+  assert.equal(await rejectIfThrottled(request(), response(), user, 'login'), false);
+  await recordSuccess(request(), user, 'login-succeeded');
+
+  assert.equal(user.failedLoginAttempts, 0);
+  assert.equal(user.lastFailedLoginAt, null);
+  assert.equal(events.at(-1).type, 'login-succeeded');
+});
+
+test('password reset requests are throttled without touching sign-in attempts', async (t) => {
+  const { user, events } = setup(t);
+  const requestReset = () => claimOrThrottle(request(), user, 'forgot-password', { counter: 'password-reset' });
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    assert.equal(await requestReset(), null);
+  }
+  const throttled = await requestReset();
+  assert.deepEqual(throttled, { retryAfter: 1, locked: false });
+  assert.equal(events.at(-1).type, 'password-reset-throttled');
+
+  assert.equal(user.passwordResetAttempts, 3);
+  assert.equal(user.failedLoginAttempts, 0);
+  assert.equal(await rejectIfThrottled(request(), response(), user, 'login'), false);
+});
+
+test('too many password reset requests lock only password resets', async (t) => {
+  const { user, events } = setup(t, { passwordResetAttempts: 10, lastPasswordResetAt: new Date(0) });
+
+  const throttled = await claimOrThrottle(request(), user, 'forgot-password', { counter: 'password-reset' });
+  assert.equal(throttled.locked, true);
+  assert.ok(user.passwordResetLockedUntil > new Date());
+  assert.equal(user.lockedUntil, undefined);
+  assert.ok(events.some(event => event.type === 'password-reset-locked'));
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+
+// Keep retry back-off short and the limits small; read when the queue module loads
+process.env.BOARD_FLUSH_DELAY_MS = '1';
+process.env.BOARD_FLUSH_MAX_ATTEMPTS = '5';
+process.env.BOARD_MAX_QUEUED_OPERATIONS = '250';
+
+const Whiteboard = require('../models/Whiteboard');
+const WhiteboardVersion = require('../models/WhiteboardVersion');
+const { normalizeOperation } = require('../services/boardOperations');
+const persistenceQueue = require('../services/persistenceQueue');
+
+const BOARD_ID = 'persistence-queue-test';
+
+const deletePath = (id) => normalizeOperation({ type: 'delete-path', id });
+
+const networkError = () => Object.assign(new Error('write failed'), { name: 'MongoNetworkError' });
+
+// Board writes that fail `failures` times, with `error`, before succeeding
+const setup = (t, { failures, error = networkError }) => {
+  const writes = { attempts: 0 };
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(Whiteboard, 'findOneAndUpdate', () => ({
+    select: async () => {
+      writes.attempts++;
+      if (writes.attempts <= failures) throw error();
+      return { _id: BOARD_ID, revision: writes.attempts };
+    }
+  }));
+  // No interval snapshot is due
+  t.mock.method(Whiteboard, 'findById', () => ({ select: async () => null }));
+  t.mock.method(WhiteboardVersion, 'findOne', () => ({ sort: () => ({ select: async () => null }) }));
+  return writes;
+};
+
+test('a batch that failed for a transient reason stays queued and is retried until it is written', async (t) => {
+  const writes = setup(t, { failures: 2 });
+  const flushed = once(persistenceQueue.events, 'flushed');
+
+  persistenceQueue.enqueue(BOARD_ID, deletePath('p1'));
+  await persistenceQueue.flush(BOARD_ID);
+  assert.deepEqual(persistenceQueue.pending(BOARD_ID).map(operation => operation.id), ['p1']);
+
+  const [, , batch] = await flushed;
+  assert.deepEqual(batch.map(operation => operation.id), ['p1']);
+  assert.equal(writes.attempts, 3);
+  assert.deepEqual(persistenceQueue.pending(BOARD_ID), []);
+});
+
+test('operations queued behind a failed batch are written after it, in order', async (t) => {
+  setup(t, { failures: 1 });
+  const flushed = once(persistenceQueue.events, 'flushed');
+
+  persistenceQueue.enqueue(BOARD_ID, deletePath('p1'));
+  await persistenceQueue.flush(BOARD_ID);
+  persistenceQueue.enqueue(BOARD_ID, deletePath('p2'));
+
+  const [, , batch] = await flushed;
+  assert.deepEqual(batch.map(operation => operation.id), ['p1', 'p2']);
+});
+
+test('the room is told once a batch keeps failing, and nothing is dropped', async (t) => {
+  setup(t, { failures: 3 });
+  const failing = once(persistenceQueue.events, 'failing');
+  const flushed = once(persistenceQueue.events, 'flushed');
+
+  persistenceQueue.enqueue(BOARD_ID, deletePath('p1'));
+  persistenceQueue.flush(BOARD_ID);
+
+  const [whiteboardId, error] = await failing;
+  assert.equal(whiteboardId, BOARD_ID);
+  assert.equal(error.message, 'write failed');
+  assert.deepEqual(persistenceQueue.pending(BOARD_ID).map(operation => operation.id), ['p1']);
+
+  const [, , batch] = await flushed;
+  assert.deepEqual(batch.map(operation => operation.id), ['p1']);
+});
+
+test('a batch that cannot succeed is dropped without holding up later edits', async (t) => {
+  const writes = setup(t, { failures: 1, error: () => new Error('Cast to Number failed') });
+  const dropped = once(persistenceQueue.events, 'dropped');
+  const flushed = once(persistenceQueue.events, 'flushed');
+
+  persistenceQueue.enqueue(BOARD_ID, deletePath('p1'));
+  await persistenceQueue.flush(BOARD_ID);
+  const [, droppedBatch] = await dropped;
+  assert.deepEqual(droppedBatch.map(operation => operation.id), ['p1']);
+
+  persistenceQueue.enqueue(BOARD_ID, deletePath('p2'));
+  await persistenceQueue.flush(BOARD_ID);
+  const [, , batch] = await flushed;
+  assert.deepEqual(batch.map(operation => operation.id), ['p2']);
+  assert.equal(writes.attempts, 2);
+});
+
+test('a batch is given up after a bounded number of transient failures', async (t) => {
+  const writes = setup(t, { failures: Infinity });
+  const dropped = once(persistenceQueue.events, 'dropped');
+
+  persistenceQueue.enqueue(BOARD_ID, deletePath('p1'));
+  persistenceQueue.flush(BOARD_ID);
+
+  const [, batch] = await dropped;
+  assert.deepEqual(batch.map(operation => operation.id), ['p1']);
+  assert.equal(writes.attempts, 5);
+  assert.deepEqual(persistenceQueue.pending(BOARD_ID), []);
+});
+
+test('new edits are refused once the unsaved backlog is full', async (t) => {
+  setup(t, { failures: 1 });
+  const flushed = once(persistenceQueue.events, 'flushed');
+
+  for (let index = 0; index < 250; index++) {
+    persistenceQueue.enqueue(BOARD_ID, deletePath(`p${index}`));
+  }
+  assert.equal(persistenceQueue.isBacklogged(BOARD_ID), true);
+  assert.throws(() => persistenceQueue.enqueue(BOARD_ID, deletePath('extra')), /Too many unsaved operations/);
+
+  // The backlog drains once writes succeed again
+  await flushed;
+  await persistenceQueue.flush(BOARD_ID);
+  assert.equal(persistenceQueue.isBacklogged(BOARD_ID), false);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Whiteboard = require('../models/Whiteboard');
+const roomState = require('../services/roomState');
+const { normalizeOperation } = require('../services/boardOperations');
+
+const BOARD_ID = 'room-state-test';
+
+// Apply a resolved note edit the way the socket layer does
+const commitEdit = (edit) => roomState.apply(BOARD_ID, {
+  ...normalizeOperation({ type: 'upsert-note', note: edit.note }),
+  textOperation: edit.textOperation
+});
+
+test.beforeEach(async (t) => {
+  const board = {
+    drawingPaths: [],
+    stickyNotes: [{ id: 'n1', text: 'hello', x: 0, y: 0, version: 0 }],
+    elements: [],
+    revision: 1
+  };
+  t.mock.method(Whiteboard, 'findById', () => ({ select: () => ({ lean: async () => board }) }));
+
+  roomState.release(BOARD_ID);
+  await roomState.load(BOARD_ID);
+});
+
+test('an edit against the current version applies as sent', () => {
+  const edit = roomState.resolveNoteEdit(BOARD_ID, { id: 'n1', version: 0, textOperation: [5, ' world'] });
+  assert.equal(edit.note.text, 'hello world');
+
+  commitEdit(edit);
+  assert.equal(roomState.getNote(BOARD_ID, 'n1').version, 1);
+});
+
+test('an edit against an older version is transformed past the edits it missed', () => {
+  commitEdit(roomState.resolveNoteEdit(BOARD_ID, { id: 'n1', version: 0, textOperation: [5, ' world'] }));
+
+  const edit = roomState.resolveNoteEdit(BOARD_ID, { id: 'n1', version: 0, textOperation: ['> ', 5] });
+  assert.equal(edit.note.text, '> hello world');
+  assert.deepEqual(edit.textOperation, ['> ', 11]);
+
+  commitEdit(edit);
+  const note = roomState.getNote(BOARD_ID, 'n1');
+  assert.equal(note.text, '> hello world');
+  assert.equal(note.version, 2);
+});
+
+test('whole-text updates take part in transformation', () => {
+  roomState.apply(BOARD_ID, normalizeOperation({ type: 'upsert-note', note: { id: 'n1', text: 'hello there' } }));
+
+  const edit = roomState.resolveNoteEdit(BOARD_ID, { id: 'n1', version: 0, textOperation: ['oh ', 5] });
+  assert.equal(edit.note.text, 'oh hello there');
+});
+
+test('an edit from a version the room never had asks for a resync', () => {
+  assert.equal(roomState.resolveNoteEdit(BOARD_ID, { id: 'n1', version: 3, textOperation: [5, '!'] }), null);
+});
+
+test('an edit whose operation does not fit the text asks for a resync', () => {
+  assert.equal(roomState.resolveNoteEdit(BOARD_ID, { id: 'n1', version: 0, textOperation: [9, '!'] }), null);
+});
+
+test('malformed edits are rejected', () => {
+  assert.throws(() => roomState.resolveNoteEdit(BOARD_ID, { id: 'missing', version: 0 }), /not found/);
+  assert.throws(() => roomState.resolveNoteEdit(BOARD_ID, { id: 'n1', version: -1 }), /non-negative/);
+  assert.throws(() => roomState.resolveNoteEdit(BOARD_ID, { id: 'n1', version: 0, textOperation: [0] }), /Invalid/);
+});
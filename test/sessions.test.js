@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const sessions = require('../services/sessions');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+
+// One user and their sessions, standing in for MongoDB
+const setup = (t, { isActive = true } = {}) => {
+  const user = { _id: new mongoose.Types.ObjectId(), email: 'ada@example.com', role: 'user', isActive };
+  const stored = [];
+  const isActiveSession = (session) => !session.revokedAt && session.expiresAt > new Date();
+  const byId = (id) => stored.find(session => session._id.equals(id));
+
+  t.mock.method(Session, 'create', async (fields) => {
+    const session = { _id: new mongoose.Types.ObjectId(), ...fields };
+    stored.push(session);
+    return session;
+  });
+  t.mock.method(Session, 'findOne', async (filter) => {
+    const session = byId(filter._id);
+    return session && isActiveSession(session) ? session : null;
+  });
+  t.mock.method(Session, 'find', (filter) => ({
+    select: async () => stored.filter(session => session._id.equals(filter._id) && isActiveSession(session))
+  }));
+  t.mock.method(Session, 'updateMany', async (filter, update) => {
+    for (const id of filter._id.$in) Object.assign(byId(id), update.$set);
+  });
+  // Rotation only succeeds for the token the session currently holds
+  t.mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+    const session = byId(filter._id);
+    if (!session || session.revokedAt || session.refreshTokenHash !== filter.refreshTokenHash) return null;
+    return Object.assign(session, update.$set);
+  });
+  t.mock.method(User, 'findById', async () => user);
+
+  return { user, stored };
+};
+
+test('startSession issues an access token bound to the session and a refresh token', async (t) => {
+  const { user, stored } = setup(t);
+  const { token, refreshToken } = await sessions.startSession(user, { userAgent: 'test', ip: '127.0.0.1' });
+
+  const decoded = jwt.verify(token, JWT_SECRET);
+  assert.equal(decoded.sid, String(stored[0]._id));
+  assert.ok(refreshToken.startsWith(`${stored[0]._id}.`));
+  // Only a hash of the refresh token is kept
+  assert.ok(!stored[0].refreshTokenHash.includes(refreshToken.split('.')[1]));
+});
+
+test('refreshing rotates the refresh token', async (t) => {
+  const { user } = setup(t);
+  const { refreshToken } = await sessions.startSession(user);
+
+  const refreshed = await sessions.refreshSession(refreshToken);
+  assert.notEqual(refreshed.refreshToken, refreshToken);
+
+  // The new token works, and rotates again
+  const again = await sessions.refreshSession(refreshed.refreshToken);
+  assert.ok(again.token);
+});
+
+test('reusing a rotated refresh token revokes the session', async (t) => {
+  const { user, stored } = setup(t);
+  const { refreshToken } = await sessions.startSession(user);
+  const refreshed = await sessions.refreshSession(refreshToken);
+
+  const revoked = [];
+  const onRevoked = (ids, reason) => revoked.push({ ids, reason });
+  sessions.events.on('revoked', onRevoked);
+  t.after(() => sessions.events.off('revoked', onRevoked));
+
+  await assert.rejects(sessions.refreshSession(refreshToken), { status: 401 });
+  assert.ok(stored[0].revokedAt);
+  assert.deepEqual(revoked, [{ ids: [String(stored[0]._id)], reason: 'Refresh token was reused' }]);
+
+  // Whoever holds the current token is signed out too
+  await assert.rejects(sessions.refreshSession(refreshed.refreshToken), {
+    status: 401,
+    message: 'Session has expired or been revoked'
+  });
+});
+
+test('a token that was never issued is rejected without revoking the session', async (t) => {
+  const { user, stored } = setup(t);
+  const { refreshToken } = await sessions.startSession(user);
+  const [sessionId] = refreshToken.split('.');
+
+  await assert.rejects(sessions.refreshSession(`${sessionId}.guessed`), { status: 401 });
+  assert.equal(stored[0].revokedAt, undefined);
+  await sessions.refreshSession(refreshToken);
+});
+
+test('malformed refresh tokens are rejected', async (t) => {
+  setup(t);
+  for (const token of [undefined, '', 'no-dot', 'not-an-id.secret']) {
+    await assert.rejects(sessions.refreshSession(token), { status: 401, message: 'Invalid refresh token' });
+  }
+});
+
+test('only one of two concurrent refreshes with the same token succeeds', async (t) => {
+  const { user } = setup(t);
+  const { refreshToken } = await sessions.startSession(user);
+
+  const results = await Promise.allSettled([
+    sessions.refreshSession(refreshToken),
+    sessions.refreshSession(refreshToken)
+  ]);
+  assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+});
+
+test('refreshing for a deactivated account ends the session', async (t) => {
+  const { user, stored } = setup(t, { isActive: false });
+  const { refreshToken } = await sessions.startSession(user);
+
+  await assert.rejects(sessions.refreshSession(refreshToken), { status: 401, message: 'Account is deactivated' });
+  assert.equal(stored[0].revokedReason, 'Account is deactivated');
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const ShareLink = require('../models/ShareLink');
+const User = require('../models/User');
+const Whiteboard = require('../models/Whiteboard');
+const shareLinkRoutes = require('../routes/shareLinks');
+const { openGuestSession } = require('../services/shareLinks');
+const { mockDocument, query } = require('./helpers/fakeMongo');
+const { serve, signIn } = require('./helpers/http');
+
+// A password-protected link standing in for MongoDB
+const setup = (t, fields = {}) => mockDocument(t, ShareLink, {
+  _id: new mongoose.Types.ObjectId(),
+  tokenHash: crypto.createHash('sha256').update('token').digest('hex'),
+  whiteboard: { _id: 'board-1', name: 'Plan' },
+  permission: 'view',
+  password: bcrypt.hashSync('secret', 4),
+  failedPasswordAttempts: 0,
+  isUsable: ShareLink.schema.methods.isUsable,
+  comparePassword: ShareLink.schema.methods.comparePassword,
+  ...fields
+});
+
+const open = (password) => openGuestSession('token', { name: 'Guest', password });
+
+test('the right password opens a guest session and forgets earlier failures', async (t) => {
+  const link = setup(t, { failedPasswordAttempts: 4 });
+
+  const { guestToken } = await open('secret');
+  assert.ok(guestToken);
+  assert.equal(link.failedPasswordAttempts, 0);
+  assert.equal(link.useCount, 1);
+});
+
+test('wrong passwords are counted and eventually lock the link', async (t) => {
+  const link = setup(t);
+
+  for (let attempt = 0; attempt < 10; attempt++) {
+    await assert.rejects(open('guess'), { status: 401 });
+  }
+  assert.ok(link.passwordLockedUntil > new Date());
+
+  // Even the right password waits out the lock
+  await assert.rejects(open('secret'), (error) => {
+    assert.equal(error.status, 429);
+    assert.ok(error.retryAfter > 60);
+    return true;
+  });
+});
+
+test('parallel guesses cannot overtake the limit', async (t) => {
+  const link = setup(t, { failedPasswordAttempts: 8 });
+
+  const results = await Promise.allSettled(Array.from({ length: 10 }, () => open('guess')));
+  const statuses = results.map(result => result.reason.status);
+  assert.equal(statuses.filter(status => status === 401).length, 2);
+  assert.equal(statuses.filter(status => status === 429).length, 8);
+  assert.ok(link.passwordLockedUntil > new Date());
+});
+
+test('an expired lock lets guests try again', async (t) => {
+  setup(t, { passwordLockedUntil: new Date(Date.now() - 1000) });
+
+  const { guestToken } = await open('secret');
+  assert.ok(guestToken);
+});
+
+test('links to a board that requires two-factor authentication cannot be opened', async (t) => {
+  setup(t, { whiteboard: { _id: 'board-1', name: 'Plan', requireTwoFactor: true } });
+
+  await assert.rejects(open('secret'), {
+    status: 403,
+    message: 'This whiteboard requires two-factor authentication and cannot be opened through a share link'
+  });
+});
+
+test('links cannot be created on a board that requires two-factor authentication', async (t) => {
+  const owner = new User({ username: 'ada', email: 'ada@example.com', password: 'secret123' });
+  t.mock.method(Whiteboard, 'findById', () => query(() => ({
+    _id: 'board-1',
+    owner: owner._id,
+    collaborators: [],
+    requireTwoFactor: true
+  })));
+  t.mock.method(ShareLink, 'create', async () => assert.fail('no link should be created'));
+
+  const request = await serve(t, '/api/whiteboards/:id/share-links', shareLinkRoutes);
+  const response = await request('POST', '/api/whiteboards/board-1/share-links', {
+    token: signIn(t, owner),
+    body: { permission: 'view' }
+  });
+
+  assert.equal(response.status, 403);
+  assert.match(response.body.message, /two-factor authentication is required/);
+});
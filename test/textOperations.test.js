@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const textOperations = require('../services/textOperations');
+
+const { apply, transform, diff, isValid, baseLength } = textOperations;
+
+// Small deterministic PRNG so failures can be reproduced
+const random = (seed) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return (seed - 1) / 2147483646;
+};
+
+// A random multi-part operation over `text`, with neighbouring parts of the same kind merged
+const randomOperation = (text, next) => {
+  const parts = [];
+  const add = (part) => {
+    const last = parts[parts.length - 1];
+    if (typeof part === typeof last && (typeof part === 'string' || Math.sign(part) === Math.sign(last))) {
+      parts[parts.length - 1] = last + part;
+    } else {
+      parts.push(part);
+    }
+  };
+
+  let index = 0;
+  while (index < text.length) {
+    const choice = next();
+    if (choice < 0.25) {
+      add('xyz'.slice(0, 1 + Math.floor(next() * 3)));
+      continue;
+    }
+    const length = 1 + Math.floor(next() * Math.min(3, text.length - index));
+    add(choice < 0.65 ? length : -length);
+    index += length;
+  }
+  if (next() < 0.3) add('!');
+  return parts;
+};
+
+test('apply retains, deletes and inserts', () => {
+  assert.equal(apply('hello world', [6, -5, 'there']), 'hello there');
+  assert.equal(apply('', ['new']), 'new');
+});
+
+test('apply rejects operations made for different text', () => {
+  assert.throws(() => apply('short', [10]), /does not match/);
+});
+
+test('isValid accepts only ot.js components', () => {
+  assert.equal(isValid([3, -1, 'a']), true);
+  assert.equal(isValid([0]), false);
+  assert.equal(isValid(['']), false);
+  assert.equal(isValid([1.5]), false);
+  assert.equal(isValid('abc'), false);
+});
+
+test('diff produces an operation turning one text into another', () => {
+  const operation = diff('the quick fox', 'the slow brown fox');
+  assert.equal(baseLength(operation), 'the quick fox'.length);
+  assert.equal(apply('the quick fox', operation), 'the slow brown fox');
+  assert.deepEqual(diff('same', 'same'), [4]);
+});
+
+test('transform makes concurrent inserts converge with the first operation first', () => {
+  const text = 'abc';
+  const a = [1, 'X', 2];
+  const b = [1, 'Y', 2];
+  const [aPrime, bPrime] = transform(a, b);
+
+  const viaA = apply(apply(text, a), bPrime);
+  const viaB = apply(apply(text, b), aPrime);
+  assert.equal(viaA, 'aXYbc');
+  assert.equal(viaB, viaA);
+});
+
+test('transform handles overlapping deletes', () => {
+  const text = 'abcdef';
+  const a = [1, -3, 2];
+  const b = [2, -3, 1];
+  const [aPrime, bPrime] = transform(a, b);
+
+  assert.equal(apply(apply(text, a), bPrime), 'af');
+  assert.equal(apply(apply(text, b), aPrime), 'af');
+});
+
+test('transform keeps an insert inside a range the other side deleted', () => {
+  const text = 'abcdef';
+  const a = [3, 'X', 3];
+  const b = [1, -4, 1];
+  const [aPrime, bPrime] = transform(a, b);
+
+  assert.equal(apply(apply(text, a), bPrime), 'aXf');
+  assert.equal(apply(apply(text, b), aPrime), 'aXf');
+});
+
+test('transform rejects operations on different texts', () => {
+  assert.throws(() => transform([3], [4]), /same base length/);
+});
+
+test('transform converges for random concurrent edits', () => {
+  const next = random(42);
+  for (let round = 0; round < 500; round++) {
+    const text = 'abcdefghij'.slice(0, Math.floor(next() * 11));
+    const a = randomOperation(text, next);
+    const b = randomOperation(text, next);
+    assert.ok(isValid(a) && isValid(b));
+    const [aPrime, bPrime] = transform(a, b);
+
+    assert.equal(
+      apply(apply(text, a), bPrime),
+      apply(apply(text, b), aPrime),
+      `diverged on ${JSON.stringify({ text, a, b })}`
+    );
+  }
+});
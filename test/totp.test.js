@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateSecret, verifyCode, otpauthUri } = require('../services/totp');
+
+// The SHA-1 key from RFC 6238 appendix B ("12345678901234567890"), base32 encoded
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const at = (seconds) => ({ now: seconds * 1000 });
+
+test('codes match the RFC 6238 test vectors', () => {
+  // The RFC lists 8-digit codes; authenticator apps show the last 6
+  const vectors = [
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037']
+  ];
+  for (const [seconds, code] of vectors) {
+    assert.equal(verifyCode(RFC_SECRET, code, at(seconds)), Math.floor(seconds / 30), `at ${seconds}s`);
+  }
+});
+
+test('codes from one step either side are accepted for clock drift', () => {
+  assert.equal(verifyCode(RFC_SECRET, '287082', at(59 + 30)), 1);
+  assert.equal(verifyCode(RFC_SECRET, '287082', at(59 - 30)), 1);
+  assert.equal(verifyCode(RFC_SECRET, '287082', at(59 + 60)), null);
+});
+
+test('a code is refused once its step has been used', () => {
+  assert.equal(verifyCode(RFC_SECRET, '287082', { ...at(59), afterStep: 0 }), 1);
+  assert.equal(verifyCode(RFC_SECRET, '287082', { ...at(59), afterStep: 1 }), null);
+});
+
+test('malformed codes are refused', () => {
+  for (const code of [undefined, '', '28708', '2870822', 'abcdef', '28 70 8x']) {
+    assert.equal(verifyCode(RFC_SECRET, code, at(59)), null, `code ${code}`);
+  }
+  // Spaces as shown by some apps are fine
+  assert.equal(verifyCode(RFC_SECRET, '287 082', at(59)), 1);
+});
+
+test('generated secrets are 160-bit base32 strings', () => {
+  const secret = generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.notEqual(generateSecret(), secret);
+});
+
+test('otpauth URIs carry the secret, issuer and parameters', () => {
+  const uri = new URL(otpauthUri({ secret: RFC_SECRET, accountName: 'ada@example.com', issuer: 'Whiteboard' }));
+  assert.equal(uri.protocol, 'otpauth:');
+  assert.equal(uri.host, 'totp');
+  assert.equal(decodeURIComponent(uri.pathname), '/Whiteboard:ada@example.com');
+  assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+  assert.equal(uri.searchParams.get('issuer'), 'Whiteboard');
+  assert.equal(uri.searchParams.get('digits'), '6');
+  assert.equal(uri.searchParams.get('period'), '30');
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AuthEvent = require('../models/AuthEvent');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const twoFactorRoutes = require('../routes/twoFactor');
+const { mockDocument } = require('./helpers/fakeMongo');
+const { serve, signIn } = require('./helpers/http');
+
+// The RFC 6238 test key, whose code at T=59s is 287082
+const PENDING_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// A signed-in user part way through 2FA enrolment
+const setup = async (t) => {
+  const user = new User({ username: 'ada', email: 'ada@example.com', password: 'secret123' });
+  user.twoFactor.pendingSecret = PENDING_SECRET;
+  const token = signIn(t, user);
+  mockDocument(t, User, user);
+  t.mock.method(user, 'save', async () => user);
+  t.mock.method(Session, 'updateMany', async () => ({}));
+  t.mock.method(Session, 'find', () => ({ select: async () => [] }));
+
+  const events = [];
+  t.mock.method(AuthEvent, 'create', async (event) => {
+    events.push(event);
+  });
+
+  const request = await serve(t, '/api/auth/2fa', twoFactorRoutes);
+  const verify = (code) => request('POST', '/api/auth/2fa/verify', { token, body: { code } });
+  return { user, events, verify };
+};
+
+test('the right code enables 2FA and forgets earlier failures', async (t) => {
+  const { user, events, verify } = await setup(t);
+  user.failedLoginAttempts = 2;
+  t.mock.method(Date, 'now', () => 59 * 1000);
+
+  const response = await verify('287082');
+  assert.equal(response.status, 200);
+  assert.equal(response.body.recoveryCodes.length, 10);
+  assert.equal(user.twoFactor.enabled, true);
+  assert.equal(user.failedLoginAttempts, 0);
+  assert.equal(events.at(-1).type, 'two-factor-enabled');
+});
+
+test('wrong enrolment codes are counted and audited', async (t) => {
+  const { user, events, verify } = await setup(t);
+
+  const response = await verify('wrong');
+  assert.equal(response.status, 400);
+  assert.equal(user.failedLoginAttempts, 1);
+  assert.equal(events.at(-1).type, 'two-factor-failed');
+  assert.equal(events.at(-1).details.action, 'two-factor-enable');
+});
+
+test('guessing enrolment codes is throttled like signing in', async (t) => {
+  const { user, events, verify } = await setup(t);
+
+  const statuses = [];
+  for (let attempt = 0; attempt < 5; attempt++) {
+    statuses.push((await verify('wrong')).status);
+  }
+  assert.deepEqual(statuses, [400, 400, 400, 429, 429]);
+  assert.equal(user.failedLoginAttempts, 3);
+  assert.equal(events.at(-1).type, 'login-throttled');
+  assert.equal(events.at(-1).details.attempt, 'two-factor-verify');
+});
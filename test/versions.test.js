@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Whiteboard = require('../models/Whiteboard');
+const WhiteboardVersion = require('../models/WhiteboardVersion');
+const versionRoutes = require('../routes/versions');
+const { query } = require('./helpers/fakeMongo');
+const { serve, signIn } = require('./helpers/http');
+
+// Lists versions of a board the user owns; resolves with the response and the $limit used
+const setup = async (t) => {
+  const owner = new User({ username: 'ada', email: 'ada@example.com', password: 'secret123' });
+  t.mock.method(Whiteboard, 'findById', () => query(() => ({
+    _id: 'board-1',
+    owner: owner._id,
+    collaborators: []
+  })));
+  const pipelines = [];
+  t.mock.method(WhiteboardVersion, 'aggregate', async (pipeline) => {
+    pipelines.push(pipeline);
+    return [];
+  });
+  t.mock.method(WhiteboardVersion, 'populate', async (versions) => versions);
+
+  const request = await serve(t, '/api/whiteboards/:id/versions', versionRoutes);
+  const token = signIn(t, owner);
+  return async (search = '') => {
+    const response = await request('GET', `/api/whiteboards/board-1/versions${search}`, { token });
+    const pipeline = pipelines.pop();
+    return { response, limit: pipeline && pipeline.find(stage => stage.$limit).$limit };
+  };
+};
+
+test('versions are listed 50 at a time unless a limit is given', async (t) => {
+  const list = await setup(t);
+
+  assert.equal((await list()).limit, 50);
+  assert.equal((await list('?limit=200')).limit, 200);
+  assert.equal((await list('?limit=1')).limit, 1);
+});
+
+test('limits that are not whole numbers from 1 to 200 are refused', async (t) => {
+  const list = await setup(t);
+
+  for (const limit of ['0', '-5', '201', '2.5', 'abc', '', '10&limit=20']) {
+    const { response, limit: used } = await list(`?limit=${limit}`);
+    assert.equal(response.status, 400, `limit ${limit}`);
+    assert.equal(response.body.message, 'limit must be a whole number from 1 to 200');
+    assert.equal(used, undefined);
+  }
+});
@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Whiteboard = require('../models/Whiteboard');
+const Workspace = require('../models/Workspace');
+const WhiteboardVersion = require('../models/WhiteboardVersion');
+const whiteboardRoutes = require('../routes/whiteboard');
+const persistenceQueue = require('../services/persistenceQueue');
+const { query, matches } = require('./helpers/fakeMongo');
+const { serve, signIn } = require('./helpers/http');
+
+const note = (id) => ({ id, text: `Note ${id}`, x: 0, y: 0 });
+
+// A board at revision 3 standing in for MongoDB. `events` records the order of
+// flushes, writes and snapshots; `pendingEdits` lists socket edits the next flush writes.
+const setup = async (t) => {
+  const owner = new User({ username: 'ada', email: 'ada@example.com', password: 'secret123' });
+  const state = {
+    board: {
+      _id: 'board-1',
+      owner: owner._id,
+      collaborators: [],
+      revision: 3,
+      drawingPaths: [],
+      stickyNotes: [note('a'), note('b')],
+      elements: []
+    },
+    events: [],
+    pendingEdits: [],
+    versions: []
+  };
+
+  const write = (changes) => {
+    state.board = { ...state.board, ...changes, revision: state.board.revision + 1 };
+  };
+  state.write = write;
+
+  t.mock.method(persistenceQueue, 'flush', async () => {
+    state.events.push('flush');
+    for (const edit of state.pendingEdits.splice(0)) write(edit);
+  });
+  t.mock.method(Whiteboard, 'findById', () => query(() => ({ ...state.board })));
+  t.mock.method(Whiteboard, 'findOneAndUpdate', (filter, pipeline) => query(() => {
+    if (state.beforeWrite) state.beforeWrite();
+    if (filter.revision !== undefined && filter.revision !== state.board.revision) return null;
+    state.events.push('write');
+    write({ stickyNotes: pipeline[0].$set.stickyNotes.$literal });
+    return { ...state.board };
+  }));
+  t.mock.method(WhiteboardVersion, 'create', async (version) => {
+    state.events.push('snapshot');
+    state.versions.push(version);
+    return version;
+  });
+  t.mock.method(WhiteboardVersion, 'find', () => query(() => []));
+
+  const request = await serve(t, '/api/whiteboards', whiteboardRoutes);
+  const token = signIn(t, owner);
+  state.put = (stickyNotes, headers) => request('PUT', '/api/whiteboards/board-1', {
+    token,
+    headers,
+    body: { drawingPaths: [], stickyNotes }
+  });
+  return state;
+};
+
+test('replacing a board writes queued socket edits first and snapshots what was replaced', async (t) => {
+  const state = await setup(t);
+  state.pendingEdits.push({ stickyNotes: [note('a'), note('b'), note('c')] });
+
+  const response = await state.put([note('a')]);
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.revision, 5);
+  assert.deepEqual(state.events, ['flush', 'write', 'snapshot']);
+  // The snapshot holds the flushed content the write replaced
+  assert.equal(state.versions[0].reason, 'before-replace');
+  assert.equal(state.versions[0].revision, 4);
+  assert.deepEqual(state.versions[0].stickyNotes.map(n => n.id), ['a', 'b', 'c']);
+});
+
+test('a replacement rejected by If-Match leaves no snapshot', async (t) => {
+  const state = await setup(t);
+  // A socket edit based on revision 3 is still queued when the client saves
+  state.pendingEdits.push({ stickyNotes: [note('a'), note('b'), note('c')] });
+
+  const response = await state.put([note('a')], { 'If-Match': '"3"' });
+
+  assert.equal(response.status, 409);
+  assert.equal(response.body.revision, 4);
+  assert.deepEqual(state.events, ['flush']);
+  assert.equal(state.versions.length, 0);
+});
+
+test('a write landing between the read and an unconditional replacement is retried', async (t) => {
+  const state = await setup(t);
+  state.beforeWrite = () => {
+    state.beforeWrite = null;
+    state.write({ stickyNotes: [note('a'), note('b'), note('d')] });
+  };
+
+  const response = await state.put([note('a')]);
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(state.events, ['flush', 'write', 'snapshot']);
+  assert.equal(state.versions.length, 1);
+  assert.deepEqual(state.versions[0].stickyNotes.map(n => n.id), ['a', 'b', 'd']);
+});
+
+// Three boards Ada collaborates on and one she owns, all matching the search. The
+// fake query applies the filter (bar $text), skip and limit like MongoDB would.
+const setupSearch = async (t, { twoFactor }) => {
+  const ada = new User({ username: 'ada', email: 'ada@example.com', password: 'secret123' });
+  ada.twoFactor.enabled = twoFactor;
+  const other = new User({ username: 'linus', email: 'linus@example.com', password: 'secret123' });
+  const board = (_id, owner, requireTwoFactor) => ({
+    _id,
+    name: `${_id} plans`,
+    owner: owner._id,
+    collaborators: [{ user: ada._id, permission: 'view' }],
+    requireTwoFactor,
+    stickyNotes: [],
+    elements: []
+  });
+  const boards = [
+    board('secret', other, true),
+    board('roadmap', other, false),
+    board('own-secret', ada, true),
+    board('retro', other, undefined)
+  ];
+
+  t.mock.method(Workspace, 'find', () => query(() => []));
+  t.mock.method(Whiteboard, 'find', (filter) => {
+    const { $text, ...rest } = filter;
+    assert.ok($text);
+    let skip = 0;
+    let limit = Infinity;
+    const chain = {
+      select: () => chain,
+      sort: () => chain,
+      populate: () => chain,
+      lean: () => chain,
+      skip: (value) => { skip = value; return chain; },
+      limit: (value) => { limit = value; return chain; },
+      then: (resolve, reject) => Promise.resolve(
+        boards.filter(candidate => matches(candidate, rest)).slice(skip, skip + limit)
+      ).then(resolve, reject)
+    };
+    return chain;
+  });
+
+  const request = await serve(t, '/api/whiteboards', whiteboardRoutes);
+  const token = signIn(t, ada);
+  return async (search) => {
+    const response = await request('GET', `/api/whiteboards/search?q=plans&${search}`, { token });
+    assert.equal(response.status, 200);
+    return { ids: response.body.results.map(result => result.whiteboard._id), hasMore: response.body.hasMore };
+  };
+};
+
+test('search pages skip boards hidden by two-factor requirements before counting', async (t) => {
+  const search = await setupSearch(t, { twoFactor: false });
+
+  assert.deepEqual(await search('limit=2'), { ids: ['roadmap', 'own-secret'], hasMore: true });
+  assert.deepEqual(await search('limit=2&offset=2'), { ids: ['retro'], hasMore: false });
+});
+
+test('members with two-factor authentication find every board', async (t) => {
+  const search = await setupSearch(t, { twoFactor: true });
+
+  assert.deepEqual(await search('limit=4'), { ids: ['secret', 'roadmap', 'own-secret', 'retro'], hasMore: false });
+});
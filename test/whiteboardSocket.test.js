@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Whiteboard = require('../models/Whiteboard');
+const ShareLink = require('../models/ShareLink');
+const ChatMessage = require('../models/ChatMessage');
+const registerWhiteboardSocket = require('../sockets/whiteboard');
+const persistenceQueue = require('../services/persistenceQueue');
+const roomState = require('../services/roomState');
+const { query } = require('./helpers/fakeMongo');
+const { createServer } = require('./helpers/fakeSocketServer');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const BOARD_ID = 'socket-test-board';
+
+const server = createServer(registerWhiteboardSocket);
+
+// A board with a share link, and the chat messages sent in its room
+const setup = (t, { board: boardFields = {}, link: linkFields = {} } = {}) => {
+  const board = {
+    _id: BOARD_ID,
+    drawingPaths: [],
+    stickyNotes: [],
+    elements: [],
+    revision: 1,
+    requireTwoFactor: false,
+    ...boardFields
+  };
+  const link = {
+    _id: new mongoose.Types.ObjectId(),
+    whiteboard: BOARD_ID,
+    permission: 'edit',
+    isUsable: () => true,
+    ...linkFields
+  };
+  const messages = [];
+
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(Whiteboard, 'findById', () => query(() => board));
+  t.mock.method(ShareLink, 'findOne', () => query(() => link));
+  t.mock.method(ChatMessage, 'create', async (fields) => {
+    const message = { _id: new mongoose.Types.ObjectId(), createdAt: new Date(), ...fields };
+    messages.push(message);
+    return message;
+  });
+  t.mock.method(ChatMessage, 'findOne', async (filter) =>
+    messages.find(message => message._id.equals(filter._id) && message.whiteboard === filter.whiteboard) || null);
+  t.mock.method(ChatMessage, 'deleteOne', async (filter) => {
+    messages.splice(messages.findIndex(message => message._id.equals(filter._id)), 1);
+  });
+
+  return { board, link, messages };
+};
+
+const guestToken = (link, name = 'Guest') => jwt.sign({
+  guest: true,
+  guestId: crypto.randomUUID(),
+  name,
+  linkId: String(link._id),
+  whiteboardId: BOARD_ID
+}, JWT_SECRET, { expiresIn: 60 });
+
+// Join the board as a share link guest; the socket leaves again when the test ends
+const joinAsGuest = async (t, link, name) => {
+  const socket = server.connect();
+  t.after(() => socket.disconnect());
+  await socket.send('join-whiteboard', { whiteboardId: BOARD_ID, token: guestToken(link, name) });
+  return socket;
+};
+
+test('guests cannot join a board that requires two-factor authentication', async (t) => {
+  const { link } = setup(t, { board: { requireTwoFactor: true } });
+  const guest = await joinAsGuest(t, link);
+
+  assert.equal(
+    guest.last('error').message,
+    'This whiteboard requires two-factor authentication and cannot be opened through a share link'
+  );
+  assert.equal(guest.last('room-info'), undefined);
+  assert.equal(guest.whiteboardId, undefined);
+});
+
+test('a guest can delete their own chat message', async (t) => {
+  const { link, messages } = setup(t);
+  const guest = await joinAsGuest(t, link);
+  assert.equal(guest.last('room-info').yourRole, 'guest');
+
+  await guest.send('chat-message', { text: 'hello' });
+  const [message] = messages;
+  await guest.send('chat-delete', { id: String(message._id) });
+
+  assert.equal(guest.last('error'), undefined);
+  assert.equal(messages.length, 0);
+  assert.deepEqual(server.broadcasts.at(-1), {
+    to: BOARD_ID,
+    event: 'chat-message-deleted',
+    data: { id: message._id, whiteboardId: BOARD_ID }
+  });
+});
+
+test("a guest cannot delete someone else's chat message", async (t) => {
+  const { link, messages } = setup(t);
+  const author = await joinAsGuest(t, link, 'Author');
+  const other = await joinAsGuest(t, link, 'Other');
+
+  await author.send('chat-message', { text: 'hello' });
+  await other.send('chat-delete', { id: String(messages[0]._id) });
+
+  assert.equal(other.last('error').message, 'Only the author or a board admin can delete a message');
+  assert.equal(messages.length, 1);
+});
+
+test('a room whose edits could not be saved goes back to the stored board', async (t) => {
+  const { link } = setup(t);
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(Whiteboard, 'findOneAndUpdate', () => query(() => {
+    throw new Error('Cast to Number failed');
+  }));
+  const guest = await joinAsGuest(t, link);
+
+  await guest.send('sticky-note-add', { note: { id: 'n1', text: 'unsaved', x: 0, y: 0 } });
+  assert.equal(roomState.getNote(BOARD_ID, 'n1').text, 'unsaved');
+
+  const replaced = server.nextBroadcast('board-replaced');
+  await persistenceQueue.flush(BOARD_ID);
+
+  assert.deepEqual(await replaced, { to: BOARD_ID, data: { revision: 1, userId: null } });
+  assert.equal(roomState.getNote(BOARD_ID, 'n1'), null);
+});
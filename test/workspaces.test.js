@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Whiteboard = require('../models/Whiteboard');
+const Workspace = require('../models/Workspace');
+const WorkspaceEvent = require('../models/WorkspaceEvent');
+const workspaceRoutes = require('../routes/workspaces');
+const { query } = require('./helpers/fakeMongo');
+const { serve, signIn } = require('./helpers/http');
+const { createServer } = require('./helpers/fakeSocketServer');
+
+const account = (username, fields = {}) => new User({
+  username,
+  email: `${username}@example.com`,
+  password: 'secret123',
+  emailVerified: true,
+  ...fields
+});
+
+// A workspace owned by `owner`, and the accounts that can be found by email
+const setup = async (t, { owner, accounts = [] }) => {
+  const workspace = new Workspace({ name: 'Team', members: [{ user: owner._id, role: 'owner' }] });
+  t.mock.method(workspace, 'save', async () => workspace);
+  t.mock.method(Workspace, 'findById', () => query(() => workspace));
+  t.mock.method(User, 'findOne', (filter) => query(() => accounts.find(user => user.email === filter.email) || null));
+
+  const request = await serve(t, '/api/workspaces', workspaceRoutes);
+  const token = signIn(t, owner);
+  const addMember = (body) => request('POST', `/api/workspaces/${workspace._id}/members`, { token, body });
+  return { workspace, addMember };
+};
+
+test('members are found by their email however it is typed', async (t) => {
+  const owner = account('owner');
+  const grace = account('grace');
+  const { workspace, addMember } = await setup(t, { owner, accounts: [grace] });
+
+  const response = await addMember({ email: '  Grace@Example.COM ', role: 'member' });
+  assert.equal(response.status, 200);
+  assert.equal(workspace.roleOf(grace._id), 'member');
+});
+
+test('accounts that have not verified their email cannot be added', async (t) => {
+  const owner = account('owner');
+  const unverified = account('linus', { emailVerified: false });
+  const { workspace, addMember } = await setup(t, { owner, accounts: [unverified] });
+
+  const response = await addMember({ email: 'linus@example.com' });
+  assert.equal(response.status, 403);
+  assert.equal(response.body.message, 'User has not verified their email address');
+  assert.equal(workspace.roleOf(unverified._id), null);
+});
+
+test('an email is required', async (t) => {
+  const { addMember } = await setup(t, { owner: account('owner') });
+
+  for (const email of [undefined, '', '  ', ['a@example.com']]) {
+    assert.equal((await addMember({ email })).status, 400);
+  }
+});
+
+// A workspace where `owner` is signed in, with an admin and Linus, who owns one of its
+// two boards and has a socket open on each. He is also a viewing collaborator on the other.
+const setupRemoval = async (t) => {
+  const owner = account('owner');
+  const admin = account('admin');
+  const member = account('member');
+  const linus = account('linus');
+  const workspace = new Workspace({
+    name: 'Team',
+    members: [
+      { user: owner._id, role: 'owner' },
+      { user: admin._id, role: 'admin' },
+      { user: member._id, role: 'member' },
+      { user: linus._id, role: 'member' }
+    ]
+  });
+  t.mock.method(workspace, 'save', async () => workspace);
+  t.mock.method(Workspace, 'findById', () => query(() => workspace));
+
+  const boards = [
+    { _id: 'roadmap', name: 'Roadmap', owner: linus._id, workspace: workspace._id, collaborators: [] },
+    {
+      _id: 'retro',
+      name: 'Retro',
+      owner: owner._id,
+      workspace: workspace._id,
+      collaborators: [{ user: linus._id, permission: 'view' }]
+    }
+  ];
+  t.mock.method(Whiteboard, 'find', (filter) => query(() => boards.filter(board =>
+    !filter.owner || String(board.owner) === String(filter.owner))));
+  t.mock.method(Whiteboard, 'updateMany', async (filter, update) => {
+    for (const board of boards.filter(board => filter._id.$in.includes(board._id))) {
+      board.owner = update.$set.owner;
+    }
+    return { modifiedCount: filter._id.$in.length };
+  });
+  const events = [];
+  t.mock.method(WorkspaceEvent, 'create', async (event) => events.push(event));
+
+  const server = createServer(io => io.on('connection', () => {}));
+  const sockets = {};
+  for (const board of boards) {
+    const socket = server.connect();
+    socket.join(board._id);
+    Object.assign(socket, { userId: String(linus._id), whiteboardId: board._id, userRole: 'edit', canEdit: true });
+    sockets[board._id] = socket;
+  }
+
+  const request = await serve(t, '/api/workspaces', workspaceRoutes, { io: server.io });
+  const token = signIn(t, owner);
+  const remove = (transferTo) => request(
+    'DELETE',
+    `/api/workspaces/${workspace._id}/members/${linus._id}${transferTo ? `?transferTo=${transferTo}` : ''}`,
+    { token }
+  );
+  return { workspace, boards, events, sockets, admin, member, linus, remove };
+};
+
+test('a member who owns boards is not removed until someone is chosen to take them over', async (t) => {
+  const { workspace, boards, linus, remove } = await setupRemoval(t);
+
+  const response = await remove();
+  assert.equal(response.status, 409);
+  assert.deepEqual(response.body.boards.map(board => board._id), ['roadmap']);
+  assert.equal(workspace.roleOf(linus._id), 'member');
+  assert.equal(String(boards[0].owner), String(linus._id));
+});
+
+test('boards are only transferred to another admin or owner', async (t) => {
+  const { workspace, member, linus, remove } = await setupRemoval(t);
+
+  for (const transferTo of [member._id, linus._id, 'nobody']) {
+    const response = await remove(transferTo);
+    assert.equal(response.status, 400, `transfer to ${transferTo}`);
+  }
+  assert.equal(workspace.roleOf(linus._id), 'member');
+});
+
+test('removing a member transfers their boards, records it and updates their open sockets', async (t) => {
+  const { workspace, boards, events, sockets, admin, linus, remove } = await setupRemoval(t);
+
+  const response = await remove(admin._id);
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.boardsTransferred.map(board => board.name), ['Roadmap']);
+  assert.equal(response.body.transferredTo, String(admin._id));
+  assert.equal(workspace.roleOf(linus._id), null);
+  assert.equal(String(boards[0].owner), String(admin._id));
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].type, 'member-removed');
+  assert.equal(String(events[0].user), String(linus._id));
+  assert.equal(String(events[0].details.transferredTo), String(admin._id));
+
+  // No access is left on the board he gave up; only his collaborator entry on the other
+  assert.ok(sockets.roadmap.last('access-revoked'));
+  assert.equal(sockets.roadmap.last('role-changed'), undefined);
+  assert.equal(sockets.retro.last('access-revoked'), undefined);
+  assert.deepEqual(sockets.retro.last('role-changed'), { whiteboardId: 'retro', role: 'view', canEdit: false });
+  assert.equal(sockets.retro.canEdit, false);
+});